@@ -6,12 +6,13 @@ import {
     createEnhancedAnalyzer, 
     createTypeScriptAnalyzer, 
     createPythonAnalyzer,
-    CustomTagDefinition 
+    CustomTagDefinition,
+    TagDefinition
 } from '../src/index';
 import * as ts from 'typescript';
 
 // Example 1: Custom Infrastructure Tags
-const customInfraTags: CustomTagDefinition[] = [
+const customInfraTags: TagDefinition[] = [
     {
         name: 'microservice_endpoint',
         description: 'Microservice API Endpoint',
@@ -19,7 +20,7 @@ const customInfraTags: CustomTagDefinition[] = [
         confidence: 0.9,
         matcher: (node, sourceFile) => {
             if (ts.isCallExpression(node)) {
-                const text = node.getText(sourceFile);
+                const text = node.getFullText(sourceFile); // Includes leading comments
                 return text.includes('app.') && /\.(get|post|put|delete)\s*\(/.test(text);
             }
             return false;
@@ -44,13 +45,8 @@ const customInfraTags: CustomTagDefinition[] = [
         description: 'Feature Flag',
         category: 'custom',
         confidence: 0.85,
-        matcher: (node, sourceFile) => {
-            if (ts.isCallExpression(node)) {
-                const text = node.getText(sourceFile);
-                return text.includes('featureFlag') || text.includes('isEnabled');
-            }
-            return false;
-        }
+        // Declarative form of a matcher; can also be written in .semantictags.json
+        selector: { kind: 'CallExpression', text: 'featureFlag|isEnabled' }
     }
 ];
 
@@ -120,15 +116,16 @@ export function demonstrateCustomTags() {
 export function demonstrateTagOverrides() {
     const analyzer = createEnhancedAnalyzer();
     
-    // Override default TODO detection to be more strict
+    // Replace the built-in TODO rule with a stricter one and drop debug tags
     analyzer.overrideDefaultTags({
+        'debug': false,
         'todo': {
             name: 'todo',
             description: 'High Priority TODO',
             category: 'custom',
             confidence: 0.95,
             matcher: (node, sourceFile) => {
-                const text = node.getText(sourceFile);
+                const text = node.getFullText(sourceFile); // Includes leading comments
                 return text.includes('TODO:') && text.includes('HIGH');
             }
         }
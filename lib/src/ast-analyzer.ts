@@ -4,6 +4,10 @@
  */
 
 import * as ts from 'typescript';
+import { resolveOverlaps } from './overlap';
+import { CancellationOptions, isCancelled } from './cancellation';
+import { AstSelector, AstSelectorError, SelectorMatcher, compileSelector } from './ast-selector';
+import { AstRule, DEFAULT_AST_RULES } from './ast-rules';
 
 export interface ASTSemanticTag {
     type: string;
@@ -15,8 +19,23 @@ export interface ASTSemanticTag {
     match: string;
     astNode: string; // AST node type for debugging
     context?: string; // Additional context from AST
+    secondaryTypes?: string[]; // Other types found on the same node
 }
 
+export interface ASTAnalysisResult {
+    tags: ASTSemanticTag[];
+    partial: boolean; // Analysis was cancelled or ran past its deadline
+    linesAnalyzed: number; // Lines before the first node left unvisited
+}
+
+interface VisitState {
+    options: CancellationOptions;
+    stoppedAt?: number; // Start position of the first node left unvisited
+}
+
+/**
+ * A custom tag matching nodes with a function
+ */
 export interface CustomTagDefinition {
     name: string;
     description: string;
@@ -25,17 +44,57 @@ export interface CustomTagDefinition {
     category: 'infrastructure' | 'purpose' | 'general' | 'custom';
 }
 
+/**
+ * A custom tag matching nodes with a declarative selector, the serializable alternative
+ * to a matcher, e.g. from .semantictags.json
+ */
+export interface SelectorTagDefinition {
+    name: string;
+    description: string;
+    selector: AstSelector;
+    confidence: number;
+    category: 'infrastructure' | 'purpose' | 'general' | 'custom';
+}
+
+// Told apart by whether the definition has a selector
+export type TagDefinition = CustomTagDefinition | SelectorTagDefinition;
+
+/**
+ * Adjusts the built-in rules reporting a type (or the rule or custom tag with that name)
+ */
+export interface DefaultTagAdjustment {
+    enabled?: boolean;
+    confidence?: number;
+    label?: string;
+}
+
+// A definition replaces the rules, false disables them, an adjustment re-weights or relabels them
+export type DefaultTagOverride = TagDefinition | DefaultTagAdjustment | false;
+
 export class ASTAnalyzer {
-    private customTags: CustomTagDefinition[] = [];
+    private customTags: TagDefinition[] = [];
+    private rules: AstRule[] = DEFAULT_AST_RULES.map(rule => ({ ...rule })); // Own copies, so re-weighting stays local
+    private disabledRules = new Set<string>();
+    private replacements = new Map<string, TagDefinition>(); // Override key to the definition replacing it
+    private selectorMatchers = new Map<AstSelector, SelectorMatcher>(); // Compiled once when a tag is added
 
-    constructor(customTags?: CustomTagDefinition[]) {
-        this.customTags = customTags || [];
+    constructor(customTags?: TagDefinition[]) {
+        this.customTags = [...(customTags || [])]; // addCustomTags must not grow the caller's array
+        this.customTags.forEach(tag => this.compileCustomTag(tag));
     }
 
     /**
      * Analyze TypeScript/JavaScript code using AST
      */
     analyzeTypeScript(code: string, fileName: string = 'temp.ts'): ASTSemanticTag[] {
+        return this.analyzeTypeScriptCancellable(code, fileName).tags;
+    }
+
+    /**
+     * Analyze TypeScript/JavaScript code, stopping cleanly when the signal
+     * aborts or the deadline passes
+     */
+    analyzeTypeScriptCancellable(code: string, fileName: string = 'temp.ts', options: CancellationOptions = {}): ASTAnalysisResult {
         const sourceFile = ts.createSourceFile(
             fileName,
             code,
@@ -44,157 +103,184 @@ export class ASTAnalyzer {
         );
 
         const tags: ASTSemanticTag[] = [];
-        this.visitNode(sourceFile, sourceFile, tags);
-        return tags;
+        const state: VisitState = { options };
+        this.visitNode(sourceFile, sourceFile, tags, state);
+
+        const partial = state.stoppedAt !== undefined;
+        const linesAnalyzed = partial ?
+            sourceFile.getLineAndCharacterOfPosition(state.stoppedAt!).line :
+            sourceFile.getLineStarts().length;
+
+        // Every ancestor of a TODO comment or an AWS call matches too; keep the innermost node
+        return { tags: resolveOverlaps(tags, code), partial, linesAnalyzed };
     }
 
     /**
      * Add custom tag definitions
      */
-    addCustomTags(customTags: CustomTagDefinition[]): void {
+    addCustomTags(customTags: TagDefinition[]): void {
+        customTags.forEach(tag => this.compileCustomTag(tag));
         this.customTags.push(...customTags);
     }
 
     /**
-     * Override default tag behavior
+     * Override built-in rules and custom tags, keyed by tag type (every rule reporting it),
+     * rule name or custom tag name. A replacement definition reports its own name as the type;
+     * the key only looks it up, so later overrides of the key find it:
+     *
+     *     analyzer.overrideDefaultTags({ debug: false, cloud: { confidence: 0.7 }, todo: strictTodoDefinition });
      */
-    overrideDefaultTags(overrides: Partial<Record<string, CustomTagDefinition>>): void {
-        // Implementation for overriding default patterns
-        Object.entries(overrides).forEach(([tagType, definition]) => {
-            if (definition) {
-                const existingIndex = this.customTags.findIndex(tag => tag.name === tagType);
+    overrideDefaultTags(overrides: Partial<Record<string, DefaultTagOverride>>): void {
+        Object.entries(overrides).forEach(([key, override]) => {
+            if (override === undefined) {
+                return;
+            }
+            const rules = this.rules.filter(rule => rule.name === key || rule.type === key);
+
+            if (override !== false && isTagDefinition(override)) {
+                // The definition takes over from the built-in rules
+                this.compileCustomTag(override);
+                rules.forEach(rule => this.disabledRules.add(rule.name));
+                const existingIndex = this.findCustomTag(key);
                 if (existingIndex >= 0) {
-                    this.customTags[existingIndex] = definition;
+                    this.setCustomTag(existingIndex, override);
                 } else {
-                    this.customTags.push(definition);
+                    this.customTags.push(override);
                 }
+                this.replacements.set(key, override);
+                return;
             }
-        });
-    }
-
-    private visitNode(node: ts.Node, sourceFile: ts.SourceFile, tags: ASTSemanticTag[]): void {
-        // Infrastructure patterns
-        this.checkInfrastructurePatterns(node, sourceFile, tags);
-        
-        // Purpose-driven metadata
-        this.checkPurposeMetadata(node, sourceFile, tags);
-        
-        // General code patterns
-        this.checkGeneralPatterns(node, sourceFile, tags);
-        
-        // Custom user-defined patterns
-        this.checkCustomPatterns(node, sourceFile, tags);
 
-        // Recursively visit child nodes
-        ts.forEachChild(node, child => this.visitNode(child, sourceFile, tags));
-    }
-
-    private checkInfrastructurePatterns(node: ts.Node, sourceFile: ts.SourceFile, tags: ASTSemanticTag[]): void {
-        // AWS SDK calls
-        if (ts.isCallExpression(node)) {
-            const text = node.getText(sourceFile);
-            
-            // AWS SDK patterns
-            if (text.includes('AWS.') || text.includes('aws-sdk')) {
-                this.addTag(node, sourceFile, 'cloud', 'AWS Service Call', 0.9, tags, text);
-            }
-            
-            // Terraform provider calls
-            if (text.includes('terraform') || text.includes('provider')) {
-                this.addTag(node, sourceFile, 'iac', 'Terraform Provider', 0.9, tags, text);
+            const adjustment: DefaultTagAdjustment = override === false ? { enabled: false } : override;
+            const customIndex = this.findCustomTag(key);
+            if (rules.length === 0 && customIndex === -1) {
+                const known = [...new Set(this.rules.flatMap(rule => [rule.type, rule.name]))].join(', ');
+                throw new Error(`No default rule, tag type or custom tag named '${key}'; built-in names are ${known}`);
             }
-            
-            // Docker/Container calls
-            if (text.includes('docker') || text.includes('container')) {
-                this.addTag(node, sourceFile, 'container', 'Container Operation', 0.9, tags, text);
-            }
-        }
 
-        // Import statements for infrastructure libraries
-        if (ts.isImportDeclaration(node)) {
-            const moduleSpecifier = node.moduleSpecifier.getText(sourceFile);
-            
-            if (moduleSpecifier.includes('aws-sdk') || moduleSpecifier.includes('@aws-sdk')) {
-                this.addTag(node, sourceFile, 'cloud', 'AWS SDK Import', 0.95, tags, moduleSpecifier);
-            }
-            
-            if (moduleSpecifier.includes('kubernetes') || moduleSpecifier.includes('k8s')) {
-                this.addTag(node, sourceFile, 'container', 'Kubernetes Import', 0.95, tags, moduleSpecifier);
+            for (const rule of rules) {
+                if (adjustment.enabled === true) {
+                    this.disabledRules.delete(rule.name);
+                } else if (adjustment.enabled === false) {
+                    this.disabledRules.add(rule.name);
+                }
+                rule.confidence = adjustment.confidence ?? rule.confidence;
+                rule.label = adjustment.label ?? rule.label;
             }
-            
-            if (moduleSpecifier.includes('terraform') || moduleSpecifier.includes('cdktf')) {
-                this.addTag(node, sourceFile, 'iac', 'Terraform Import', 0.95, tags, moduleSpecifier);
+            if (customIndex >= 0) {
+                const customTag = this.customTags[customIndex];
+                if (adjustment.enabled === false) {
+                    this.setCustomTag(customIndex, undefined);
+                } else {
+                    this.setCustomTag(customIndex, {
+                        ...customTag,
+                        confidence: adjustment.confidence ?? customTag.confidence,
+                        description: adjustment.label ?? customTag.description
+                    });
+                }
             }
+        });
+    }
+
+    /**
+     * Register a rule alongside the defaults, replacing any rule with the same name
+     */
+    registerRule(rule: AstRule): void {
+        const existingIndex = this.rules.findIndex(existing => existing.name === rule.name);
+        if (existingIndex >= 0) {
+            this.rules[existingIndex] = { ...rule };
+        } else {
+            this.rules.push({ ...rule });
         }
+        this.disabledRules.delete(rule.name);
     }
 
-    private checkPurposeMetadata(node: ts.Node, sourceFile: ts.SourceFile, tags: ASTSemanticTag[]): void {
-        // Object literal properties for purpose metadata
-        if (ts.isPropertyAssignment(node)) {
-            const propertyName = node.name.getText(sourceFile);
-            const propertyValue = node.initializer.getText(sourceFile);
-            
-            if (propertyName === 'purpose' || propertyName === '"purpose"' || propertyName === "'purpose'") {
-                this.addTag(node, sourceFile, 'purpose', 'Resource Purpose', 0.95, tags, propertyValue, propertyValue);
-            }
-            
-            if (propertyName === 'expiry' || propertyName === '"expiry"' || propertyName === "'expiry'") {
-                this.addTag(node, sourceFile, 'expiry', 'Resource Expiry', 0.95, tags, propertyValue, propertyValue);
+    /**
+     * Rules that currently run, in order
+     */
+    getRules(): AstRule[] {
+        return this.rules.filter(rule => !this.disabledRules.has(rule.name)).map(rule => ({ ...rule }));
+    }
+
+    /**
+     * Index of the custom tag replacing an override key, or else of the custom tag with that name
+     */
+    private findCustomTag(key: string): number {
+        const replacement = this.replacements.get(key);
+        return this.customTags.findIndex(tag => replacement ? tag === replacement : tag.name === key);
+    }
+
+    /**
+     * Swap or remove a custom tag, keeping the override keys that point at it in step
+     */
+    private setCustomTag(index: number, tag: TagDefinition | undefined): void {
+        const previous = this.customTags[index];
+        if (tag) {
+            this.customTags[index] = tag;
+        } else {
+            this.customTags.splice(index, 1);
+        }
+        for (const [key, replacement] of this.replacements) {
+            if (replacement !== previous) {
+                continue;
             }
-            
-            if (propertyName === 'owner' || propertyName === '"owner"' || propertyName === "'owner'") {
-                this.addTag(node, sourceFile, 'owner', 'Resource Owner', 0.95, tags, propertyValue, propertyValue);
+            if (tag) {
+                this.replacements.set(key, tag);
+            } else {
+                this.replacements.delete(key);
             }
         }
+    }
 
-        // Variable declarations with purpose metadata
-        if (ts.isVariableDeclaration(node)) {
-            const name = node.name.getText(sourceFile);
-            if (name.includes('purpose') || name.includes('owner') || name.includes('expiry')) {
-                const type = name.includes('purpose') ? 'purpose' : 
-                           name.includes('owner') ? 'owner' : 'expiry';
-                this.addTag(node, sourceFile, type, `Resource ${type.charAt(0).toUpperCase() + type.slice(1)}`, 0.8, tags, name);
+    /**
+     * Validate a tag's selector up front, so a malformed one fails when added rather than mid-analysis
+     */
+    private compileCustomTag(tag: TagDefinition): void {
+        if ('selector' in tag) {
+            if (!this.selectorMatchers.has(tag.selector)) {
+                this.selectorMatchers.set(tag.selector, compileSelector(tag.selector, `${tag.name}.selector`));
             }
+        } else if (typeof tag.matcher !== 'function') {
+            // Plain JavaScript callers get no type check
+            throw new AstSelectorError('needs a matcher or a selector', tag.name);
         }
     }
 
-    private checkGeneralPatterns(node: ts.Node, sourceFile: ts.SourceFile, tags: ASTSemanticTag[]): void {
-        // Console.log and debug statements
-        if (ts.isCallExpression(node)) {
-            const expression = node.expression.getText(sourceFile);
-            
-            if (expression.includes('console.log') || expression.includes('console.error') || expression.includes('console.warn')) {
-                this.addTag(node, sourceFile, 'debug', 'Debug Statement', 0.95, tags, expression);
-            }
-            
-            // Network calls (fetch, axios, etc.)
-            if (expression === 'fetch' || expression.includes('axios') || expression.includes('http.get')) {
-                this.addTag(node, sourceFile, 'network', 'Network Call', 0.9, tags, expression);
-            }
+    /**
+     * Returns true once cancelled, which also stops ts.forEachChild
+     */
+    private visitNode(node: ts.Node, sourceFile: ts.SourceFile, tags: ASTSemanticTag[], state: VisitState): boolean {
+        if (isCancelled(state.options)) {
+            state.stoppedAt = node.getStart(sourceFile);
+            return true;
         }
 
-        // Try-catch blocks
-        if (ts.isTryStatement(node)) {
-            this.addTag(node, sourceFile, 'error', 'Error Handling', 0.9, tags, 'try-catch');
-        }
+        // Built-in infrastructure, purpose metadata and general code rules
+        this.checkRules(node, sourceFile, tags);
 
-        // TODO comments (from JSDoc or single-line comments)
-        const fullText = sourceFile.getFullText();
-        const nodeStart = node.getFullStart();
-        const nodeEnd = node.getEnd();
-        const nodeText = fullText.substring(nodeStart, nodeEnd);
-        
-        if (nodeText.includes('TODO') || nodeText.includes('FIXME') || nodeText.includes('HACK')) {
-            const match = nodeText.match(/(TODO|FIXME|HACK|XXX|NOTE)/i);
-            if (match) {
-                this.addTag(node, sourceFile, 'todo', 'Unfinished Block', 0.9, tags, match[0]);
+        // Custom user-defined patterns
+        this.checkCustomPatterns(node, sourceFile, tags);
+
+        // Recursively visit child nodes
+        return ts.forEachChild(node, child => this.visitNode(child, sourceFile, tags, state)) === true;
+    }
+
+    private checkRules(node: ts.Node, sourceFile: ts.SourceFile, tags: ASTSemanticTag[]): void {
+        for (const rule of this.rules) {
+            if (this.disabledRules.has(rule.name)) {
+                continue;
+            }
+            const result = rule.check(node, sourceFile);
+            if (result) {
+                this.addTag(node, sourceFile, rule.type, rule.label, rule.confidence, tags, result.match, result.context);
             }
         }
     }
 
     private checkCustomPatterns(node: ts.Node, sourceFile: ts.SourceFile, tags: ASTSemanticTag[]): void {
         for (const customTag of this.customTags) {
-            if (customTag.matcher(node, sourceFile)) {
+            const matches = 'selector' in customTag ? this.selectorMatchers.get(customTag.selector)! : customTag.matcher;
+            if (matches(node, sourceFile)) {
                 this.addTag(
                     node, 
                     sourceFile, 
@@ -235,6 +321,10 @@ export class ASTAnalyzer {
     }
 }
 
+function isTagDefinition(override: TagDefinition | DefaultTagAdjustment): override is TagDefinition {
+    return 'matcher' in override || 'selector' in override;
+}
+
 // Pre-built custom tag definitions for common patterns
 export const INFRASTRUCTURE_CUSTOM_TAGS: CustomTagDefinition[] = [
     {
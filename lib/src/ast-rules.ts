@@ -0,0 +1,134 @@
+/**
+ * Built-in AST Rules
+ * The default TypeScript/JavaScript checks as named rules, so ASTAnalyzer.overrideDefaultTags
+ * can disable, replace or re-weight each one
+ */
+
+import * as ts from 'typescript';
+
+export interface AstRuleMatch {
+    match: string; // Reported as the tag's match
+    context?: string;
+}
+
+export interface AstRule {
+    name: string; // Unique, e.g. aws_sdk_import
+    type: string; // Tag type reported, e.g. cloud
+    label: string;
+    confidence: number;
+    check: (node: ts.Node, sourceFile: ts.SourceFile) => AstRuleMatch | undefined;
+}
+
+// Call expressions whose full text mentions one of the words
+function callMentioning(...words: string[]): AstRule['check'] {
+    return (node, sourceFile) => {
+        if (!ts.isCallExpression(node)) {
+            return undefined;
+        }
+        const text = node.getText(sourceFile);
+        return words.some(word => text.includes(word)) ? { match: text } : undefined;
+    };
+}
+
+// Import declarations whose module specifier mentions one of the words
+function importMentioning(...words: string[]): AstRule['check'] {
+    return (node, sourceFile) => {
+        if (!ts.isImportDeclaration(node)) {
+            return undefined;
+        }
+        const moduleSpecifier = node.moduleSpecifier.getText(sourceFile);
+        return words.some(word => moduleSpecifier.includes(word)) ? { match: moduleSpecifier } : undefined;
+    };
+}
+
+// Object literal properties named purpose, expiry or owner, quoted or not
+function metadataProperty(name: string): AstRule['check'] {
+    return (node, sourceFile) => {
+        if (!ts.isPropertyAssignment(node) || node.name.getText(sourceFile).replace(/^["']|["']$/g, '') !== name) {
+            return undefined;
+        }
+        const value = node.initializer.getText(sourceFile);
+        return { match: value, context: value };
+    };
+}
+
+// Variables named after metadata; a name mentioning several kinds is purpose before owner before expiry
+function metadataVariable(name: string, ...preferred: string[]): AstRule['check'] {
+    return (node, sourceFile) => {
+        if (!ts.isVariableDeclaration(node)) {
+            return undefined;
+        }
+        const text = node.name.getText(sourceFile);
+        return text.includes(name) && !preferred.some(other => text.includes(other)) ? { match: text } : undefined;
+    };
+}
+
+// Call expressions whose callee passes a test
+function callee(test: (expression: string) => boolean): AstRule['check'] {
+    return (node, sourceFile) => {
+        if (!ts.isCallExpression(node)) {
+            return undefined;
+        }
+        const expression = node.expression.getText(sourceFile);
+        return test(expression) ? { match: expression } : undefined;
+    };
+}
+
+/**
+ * Default rules in the order they run. Several rules may report the same type.
+ */
+export const DEFAULT_AST_RULES: readonly AstRule[] = [
+    // Infrastructure patterns
+    { name: 'aws_call', type: 'cloud', label: 'AWS Service Call', confidence: 0.9, check: callMentioning('AWS.', 'aws-sdk') },
+    { name: 'terraform_call', type: 'iac', label: 'Terraform Provider', confidence: 0.9, check: callMentioning('terraform', 'provider') },
+    { name: 'container_call', type: 'container', label: 'Container Operation', confidence: 0.9, check: callMentioning('docker', 'container') },
+    { name: 'aws_sdk_import', type: 'cloud', label: 'AWS SDK Import', confidence: 0.95, check: importMentioning('aws-sdk', '@aws-sdk') },
+    { name: 'kubernetes_import', type: 'container', label: 'Kubernetes Import', confidence: 0.95, check: importMentioning('kubernetes', 'k8s') },
+    { name: 'terraform_import', type: 'iac', label: 'Terraform Import', confidence: 0.95, check: importMentioning('terraform', 'cdktf') },
+
+    // Purpose-driven metadata
+    { name: 'purpose_property', type: 'purpose', label: 'Resource Purpose', confidence: 0.95, check: metadataProperty('purpose') },
+    { name: 'expiry_property', type: 'expiry', label: 'Resource Expiry', confidence: 0.95, check: metadataProperty('expiry') },
+    { name: 'owner_property', type: 'owner', label: 'Resource Owner', confidence: 0.95, check: metadataProperty('owner') },
+    { name: 'purpose_variable', type: 'purpose', label: 'Resource Purpose', confidence: 0.8, check: metadataVariable('purpose') },
+    { name: 'owner_variable', type: 'owner', label: 'Resource Owner', confidence: 0.8, check: metadataVariable('owner', 'purpose') },
+    { name: 'expiry_variable', type: 'expiry', label: 'Resource Expiry', confidence: 0.8, check: metadataVariable('expiry', 'purpose', 'owner') },
+
+    // General code patterns
+    {
+        name: 'console_call',
+        type: 'debug',
+        label: 'Debug Statement',
+        confidence: 0.95,
+        check: callee(expression => ['console.log', 'console.error', 'console.warn'].some(name => expression.includes(name)))
+    },
+    {
+        name: 'network_call',
+        type: 'network',
+        label: 'Network Call',
+        confidence: 0.9,
+        check: callee(expression => expression === 'fetch' || expression.includes('axios') || expression.includes('http.get'))
+    },
+    {
+        name: 'try_catch',
+        type: 'error',
+        label: 'Error Handling',
+        confidence: 0.9,
+        check: node => ts.isTryStatement(node) ? { match: 'try-catch' } : undefined
+    },
+    {
+        // TODO comments, from JSDoc or single-line comments in the node's leading trivia
+        name: 'todo_comment',
+        type: 'todo',
+        label: 'Unfinished Block',
+        confidence: 0.9,
+        check: (node, sourceFile) => {
+            const nodeText = sourceFile.getFullText().substring(node.getFullStart(), node.getEnd());
+            if (!nodeText.includes('TODO') && !nodeText.includes('FIXME') && !nodeText.includes('HACK')) {
+                return undefined;
+            }
+            const match = nodeText.match(/(TODO|FIXME|HACK|XXX|NOTE)/i);
+            return match ? { match: match[0] } : undefined;
+        }
+    }
+];
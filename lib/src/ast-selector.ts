@@ -0,0 +1,242 @@
+/**
+ * Declarative AST Selectors
+ * JSON-friendly node matching for custom tags, so they can live in .semantictags.json
+ * instead of matcher functions
+ */
+
+import * as ts from 'typescript';
+
+/**
+ * Every field given must match. Name fields (callee, importModule, property) match exactly,
+ * or as a pattern when they contain `*`, which matches any run of characters.
+ */
+export interface AstSelector {
+    kind?: string | string[]; // ts.SyntaxKind names, e.g. CallExpression
+    callee?: string; // Callee of a call or new expression, e.g. s3.putObject, *.putObject, S3Client
+    importModule?: string; // Module of an import/export declaration or require() call, e.g. @aws-sdk/*
+    property?: string; // Name of an object literal property or property access, e.g. region
+    text?: string; // Regular expression tested against the node's source text
+    parent?: AstSelector; // The direct parent must match
+    ancestor?: AstSelector; // Some enclosing node must match
+    notAncestor?: AstSelector; // No enclosing node may match
+}
+
+export type SelectorMatcher = (node: ts.Node, sourceFile: ts.SourceFile) => boolean;
+
+export class AstSelectorError extends Error {
+    constructor(message: string, readonly path: string) {
+        super(`${path}: ${message}`);
+        this.name = 'AstSelectorError';
+    }
+}
+
+const SELECTOR_FIELDS: (keyof AstSelector)[] = ['kind', 'callee', 'importModule', 'property', 'text', 'parent', 'ancestor', 'notAncestor'];
+
+// Node kinds each name field can match; a selector whose fields share no kind can never match
+const FIELD_KINDS: Partial<Record<keyof AstSelector, ts.SyntaxKind[]>> = {
+    callee: [ts.SyntaxKind.CallExpression, ts.SyntaxKind.NewExpression],
+    importModule: [ts.SyntaxKind.ImportDeclaration, ts.SyntaxKind.ExportDeclaration, ts.SyntaxKind.CallExpression],
+    property: [ts.SyntaxKind.PropertyAssignment, ts.SyntaxKind.ShorthandPropertyAssignment, ts.SyntaxKind.PropertyAccessExpression]
+};
+
+const SYNTAX_KIND_NAMES = Object.keys(ts.SyntaxKind).filter(name => Number.isNaN(Number(name)));
+
+/**
+ * Validate a selector and turn it into a matcher. Errors name the offending field by `path`,
+ * e.g. `selector.ancestor.kind: unknown syntax kind 'ClassDecl', did you mean 'ClassDeclaration'?`
+ */
+export function compileSelector(selector: unknown, path: string = 'selector'): SelectorMatcher {
+    if (typeof selector !== 'object' || selector === null || Array.isArray(selector)) {
+        throw new AstSelectorError('expected an object', path);
+    }
+
+    const fields = selector as Record<string, unknown>;
+    const keys = Object.keys(fields);
+    for (const key of keys) {
+        if (!SELECTOR_FIELDS.includes(key as keyof AstSelector)) {
+            const suggestion = closestMatch(key, SELECTOR_FIELDS);
+            throw new AstSelectorError(suggestion ?
+                `unknown field '${key}', did you mean '${suggestion}'?` :
+                `unknown field '${key}', expected one of ${SELECTOR_FIELDS.join(', ')}`, path);
+        }
+    }
+    if (keys.length === 0) {
+        throw new AstSelectorError(`needs at least one of ${SELECTOR_FIELDS.join(', ')}`, path);
+    }
+
+    const matchers: SelectorMatcher[] = [];
+    const kinds = fields.kind === undefined ? undefined : compileKinds(fields.kind, `${path}.kind`);
+    if (kinds) {
+        matchers.push(node => kinds.includes(node.kind));
+    }
+    checkKindsOverlap(fields, kinds, path);
+
+    if (fields.callee !== undefined) {
+        const matches = compileName(fields.callee, `${path}.callee`);
+        matchers.push((node, sourceFile) => {
+            const callee = calleeName(node, sourceFile);
+            return callee !== undefined && matches(callee);
+        });
+    }
+    if (fields.importModule !== undefined) {
+        const matches = compileName(fields.importModule, `${path}.importModule`);
+        matchers.push(node => {
+            const module = importedModule(node);
+            return module !== undefined && matches(module);
+        });
+    }
+    if (fields.property !== undefined) {
+        const matches = compileName(fields.property, `${path}.property`);
+        matchers.push(node => {
+            const property = propertyName(node);
+            return property !== undefined && matches(property);
+        });
+    }
+    if (fields.text !== undefined) {
+        const pattern = compileRegExp(fields.text, `${path}.text`);
+        matchers.push((node, sourceFile) => pattern.test(node.getText(sourceFile)));
+    }
+
+    if (fields.parent !== undefined) {
+        const matches = compileSelector(fields.parent, `${path}.parent`);
+        matchers.push((node, sourceFile) => node.parent !== undefined && matches(node.parent, sourceFile));
+    }
+    if (fields.ancestor !== undefined) {
+        const matches = compileSelector(fields.ancestor, `${path}.ancestor`);
+        matchers.push((node, sourceFile) => someAncestor(node, ancestor => matches(ancestor, sourceFile)));
+    }
+    if (fields.notAncestor !== undefined) {
+        const matches = compileSelector(fields.notAncestor, `${path}.notAncestor`);
+        matchers.push((node, sourceFile) => !someAncestor(node, ancestor => matches(ancestor, sourceFile)));
+    }
+
+    return (node, sourceFile) => matchers.every(matcher => matcher(node, sourceFile));
+}
+
+function compileKinds(value: unknown, path: string): ts.SyntaxKind[] {
+    const names = Array.isArray(value) ? value : [value];
+    if (names.length === 0 || names.some(name => typeof name !== 'string')) {
+        throw new AstSelectorError('expected a syntax kind name or an array of them', path);
+    }
+
+    return (names as string[]).map(name => {
+        const kind = (ts.SyntaxKind as unknown as Record<string, unknown>)[name];
+        if (typeof kind !== 'number') {
+            const suggestion = closestMatch(name, SYNTAX_KIND_NAMES);
+            throw new AstSelectorError(`unknown syntax kind '${name}'${suggestion ? `, did you mean '${suggestion}'?` : ''}`, path);
+        }
+        return kind;
+    });
+}
+
+/**
+ * Reject selectors like { kind: 'ImportDeclaration', callee: 'fetch' } that no node can satisfy
+ */
+function checkKindsOverlap(fields: Record<string, unknown>, kinds: ts.SyntaxKind[] | undefined, path: string): void {
+    let possible = kinds;
+    let constrainedBy = `kind '${[fields.kind].flat().join("' or '")}'`;
+
+    for (const [field, fieldKinds] of Object.entries(FIELD_KINDS) as [keyof AstSelector, ts.SyntaxKind[]][]) {
+        if (fields[field] === undefined) {
+            continue;
+        }
+        if (possible && !possible.some(kind => fieldKinds.includes(kind))) {
+            const nodes = fieldKinds.map(kind => ts.SyntaxKind[kind]).join(' or ');
+            throw new AstSelectorError(`${field} only matches ${nodes} nodes, so it can never be combined with ${constrainedBy}`, path);
+        }
+        possible = possible ? possible.filter(kind => fieldKinds.includes(kind)) : fieldKinds;
+        constrainedBy = field;
+    }
+}
+
+function compileName(value: unknown, path: string): (name: string) => boolean {
+    if (typeof value !== 'string' || value === '') {
+        throw new AstSelectorError('expected a non-empty string', path);
+    }
+    if (!value.includes('*')) {
+        return name => name === value;
+    }
+
+    const pattern = new RegExp(`^${value.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return name => pattern.test(name);
+}
+
+function compileRegExp(value: unknown, path: string): RegExp {
+    if (typeof value !== 'string' || value === '') {
+        throw new AstSelectorError('expected a regular expression string', path);
+    }
+    try {
+        return new RegExp(value);
+    } catch (error) {
+        throw new AstSelectorError(`invalid regular expression: ${(error as Error).message}`, path);
+    }
+}
+
+// Whitespace is dropped so a callee split across lines still reads s3.putObject
+function calleeName(node: ts.Node, sourceFile: ts.SourceFile): string | undefined {
+    if (ts.isCallExpression(node) || ts.isNewExpression(node)) {
+        return node.expression.getText(sourceFile).replace(/\s+/g, '');
+    }
+    return undefined;
+}
+
+function importedModule(node: ts.Node): string | undefined {
+    if ((ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) && node.moduleSpecifier && ts.isStringLiteral(node.moduleSpecifier)) {
+        return node.moduleSpecifier.text;
+    }
+
+    // require('x') and import('x')
+    if (ts.isCallExpression(node) && node.arguments.length === 1 && ts.isStringLiteral(node.arguments[0]) &&
+        (node.expression.kind === ts.SyntaxKind.ImportKeyword || (ts.isIdentifier(node.expression) && node.expression.text === 'require'))) {
+        return node.arguments[0].text;
+    }
+    return undefined;
+}
+
+function propertyName(node: ts.Node): string | undefined {
+    if (ts.isPropertyAccessExpression(node)) {
+        return node.name.text;
+    }
+    if (ts.isPropertyAssignment(node) || ts.isShorthandPropertyAssignment(node)) {
+        const { name } = node;
+        return ts.isIdentifier(name) || ts.isStringLiteral(name) || ts.isNumericLiteral(name) ? name.text : undefined;
+    }
+    return undefined;
+}
+
+function someAncestor(node: ts.Node, predicate: (ancestor: ts.Node) => boolean): boolean {
+    for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+        if (predicate(ancestor)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Candidate a typo most likely meant, if any is close
+function closestMatch(value: string, candidates: readonly string[]): string | undefined {
+    const lower = value.toLowerCase();
+    let best: string | undefined;
+    let bestDistance = Math.max(2, Math.floor(value.length / 4)) + 1;
+
+    for (const candidate of candidates) {
+        const distance = candidate.toLowerCase() === lower ? 0 : editDistance(lower, candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+function editDistance(a: string, b: string): number {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
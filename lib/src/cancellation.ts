@@ -0,0 +1,18 @@
+/**
+ * Cancellation and Deadlines
+ * Lets callers bound analysis time; analyzers check between lines or nodes and stop cleanly
+ */
+
+export interface CancellationOptions {
+    signal?: AbortSignal;
+    deadline?: number; // Epoch milliseconds, as returned by Date.now()
+}
+
+/**
+ * Whether analysis should stop now
+ */
+export function isCancelled(options: CancellationOptions = {}): boolean {
+    return (options.signal !== undefined && options.signal.aborted) ||
+        (options.deadline !== undefined && Date.now() >= options.deadline);
+}
+
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+/**
+ * semantic-tags CLI
+ * Scans a repository from the terminal or a pre-commit hook and fails when thresholds are not met
+ */
+
+import * as path from 'path';
+import { SemanticEngine } from './semantic-engine';
+import { scanDirectory, evaluateThresholds, ScanOptions, ScanThresholds, ScanReport } from './scanner';
+import { toSarif } from './sarif';
+import { WorkspaceConfig, WorkspaceConfigError, loadWorkspaceConfig, readWorkspaceConfig, createConfiguredEngine, workspaceSelectorTags } from './workspace-config';
+
+export const EXIT_OK = 0;
+export const EXIT_THRESHOLD_FAILED = 1;
+export const EXIT_USAGE_ERROR = 2;
+
+export interface CliOptions {
+    root: string;
+    scan: ScanOptions;
+    thresholds: ScanThresholds;
+    format: 'text' | 'json' | 'sarif';
+    quiet: boolean;
+    config?: string; // Defaults to .semantictags.json in the scanned directory
+}
+
+const USAGE = `Usage: semantic-tags [directory] [options]
+
+Options:
+  --include <glob>            Only scan files matching the glob (repeatable)
+  --exclude <glob>            Skip files matching the glob (repeatable)
+  --no-gitignore              Do not apply .gitignore rules
+  --max-file-size <bytes>     Skip files larger than this (default 1048576)
+  --min-confidence <n>        Minimum tag confidence, 0-1 (default 0.8)
+  --min-readiness <n>         Fail if the average COSCA readiness score is below n (0-100)
+  --require-purpose           Fail if any infrastructure file lacks purpose/owner/expiry metadata
+  --max-tags <type>=<n>       Fail if more than n tags of the type are found (repeatable)
+  --expiry-warning <days>     Tag expiries this many days away as expiring_soon (default 30)
+  --reference-date <date>     Count relative expiries such as 2_years from this YYYY-MM-DD date
+                              instead of the last commit to their line
+  --format <text|json|sarif>  Output format (default text)
+  --config <file>             Workspace tag configuration (default <directory>/.semantictags.json)
+  --quiet                     Only print the aggregate summary and failures
+  -h, --help                  Show this help`;
+
+export class CliUsageError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'CliUsageError';
+    }
+}
+
+export function parseArgs(argv: string[]): CliOptions | null {
+    const options: CliOptions = {
+        root: '.',
+        scan: { include: [], exclude: [] },
+        thresholds: {},
+        format: 'text',
+        quiet: false
+    };
+    let rootSet = false;
+
+    const takeValue = (flag: string, index: number): string => {
+        const value = argv[index + 1];
+        if (value === undefined || value.startsWith('--')) {
+            throw new CliUsageError(`${flag} requires a value`);
+        }
+        return value;
+    };
+
+    const takeNumber = (flag: string, index: number): number => {
+        const value = Number(takeValue(flag, index));
+        if (Number.isNaN(value)) {
+            throw new CliUsageError(`${flag} expects a number`);
+        }
+        return value;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        switch (arg) {
+            case '-h':
+            case '--help':
+                return null;
+            case '--include':
+                options.scan.include!.push(takeValue(arg, i++));
+                break;
+            case '--exclude':
+                options.scan.exclude!.push(takeValue(arg, i++));
+                break;
+            case '--no-gitignore':
+                options.scan.respectGitignore = false;
+                break;
+            case '--max-file-size':
+                options.scan.maxFileSize = takeNumber(arg, i++);
+                break;
+            case '--min-confidence':
+                options.scan.minConfidence = takeNumber(arg, i++);
+                break;
+            case '--min-readiness':
+                options.thresholds.minReadinessScore = takeNumber(arg, i++);
+                break;
+            case '--require-purpose':
+                options.thresholds.requirePurposeMetadata = true;
+                break;
+            case '--max-tags': {
+                const [type, max] = takeValue(arg, i++).split('=');
+                if (!type || max === undefined || Number.isNaN(Number(max))) {
+                    throw new CliUsageError('--max-tags expects <type>=<n>, e.g. debug=0');
+                }
+                options.thresholds.maxTagCounts = { ...options.thresholds.maxTagCounts, [type]: Number(max) };
+                break;
+            }
+            case '--expiry-warning':
+                options.scan.expiry = { ...options.scan.expiry, warningDays: takeNumber(arg, i++) };
+                break;
+            case '--reference-date': {
+                const value = takeValue(arg, i++);
+                const referenceDate = new Date(`${value}T00:00:00Z`);
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(referenceDate.getTime())) {
+                    throw new CliUsageError('--reference-date expects a YYYY-MM-DD date');
+                }
+                options.scan.expiry = { ...options.scan.expiry, referenceDate };
+                break;
+            }
+            case '--format': {
+                const format = takeValue(arg, i++);
+                if (format !== 'text' && format !== 'json' && format !== 'sarif') {
+                    throw new CliUsageError(`Unknown format '${format}'`);
+                }
+                options.format = format;
+                break;
+            }
+            case '--config':
+                options.config = takeValue(arg, i++);
+                break;
+            case '--quiet':
+                options.quiet = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new CliUsageError(`Unknown option '${arg}'`);
+                }
+                if (rootSet) {
+                    throw new CliUsageError('Only one directory can be scanned at a time');
+                }
+                options.root = arg;
+                rootSet = true;
+        }
+    }
+
+    return options;
+}
+
+export function formatTextReport(report: ScanReport, failures: string[], quiet: boolean): string {
+    const lines: string[] = [];
+    const { summary } = report;
+
+    if (!quiet) {
+        for (const { filePath, languageId, result } of report.files) {
+            if (result.totalTags === 0) {
+                continue;
+            }
+            const top = result.insights.topPatterns.map(([type, count]) => `${type}(${count})`).join(', ');
+            const flags = [
+                result.isInfraFile ? 'infra' : '',
+                result.hasPurposeMetadata ? 'purpose' : ''
+            ].filter(Boolean).join(', ');
+            lines.push(`${filePath} [${languageId}] ${result.totalTags} tags, readiness ${result.coscaReadinessScore}%${flags ? ` (${flags})` : ''}`);
+            lines.push(`    ${top}`);
+        }
+        lines.push('');
+    }
+
+    const topTypes = Object.entries(summary.tagCounts)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 10)
+        .map(([type, count]) => `${type}(${count})`)
+        .join(', ');
+
+    lines.push('Summary');
+    lines.push(`  Files scanned:         ${summary.filesScanned}`);
+    lines.push(`  Files with tags:       ${summary.filesWithTags}`);
+    lines.push(`  Infrastructure files:  ${summary.infraFiles}`);
+    lines.push(`  Total tags:            ${summary.totalTags}`);
+    lines.push(`  Average readiness:     ${summary.averageReadinessScore}%`);
+    if (topTypes) {
+        lines.push(`  Top patterns:          ${topTypes}`);
+    }
+
+    if (failures.length > 0) {
+        lines.push('');
+        lines.push(`Threshold failures (${failures.length}):`);
+        failures.forEach(failure => lines.push(`  ✗ ${failure}`));
+    }
+
+    return lines.join('\n');
+}
+
+// Errors go to writeError so they stay out of JSON and SARIF reports piped to a file
+export function run(
+    argv: string[],
+    write: (text: string) => void = text => process.stdout.write(text + '\n'),
+    writeError: (text: string) => void = text => process.stderr.write(text + '\n')
+): number {
+    let options: CliOptions | null;
+
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        if (error instanceof CliUsageError) {
+            writeError(`semantic-tags: ${error.message}\n\n${USAGE}`);
+            return EXIT_USAGE_ERROR;
+        }
+        throw error;
+    }
+
+    if (!options) {
+        write(USAGE);
+        return EXIT_OK;
+    }
+
+    const root = path.resolve(options.root);
+    let config: WorkspaceConfig | undefined;
+    let report: ScanReport;
+
+    try {
+        config = options.config ? readWorkspaceConfig(path.resolve(options.config)) : loadWorkspaceConfig(root);
+    } catch (error) {
+        if (error instanceof WorkspaceConfigError) {
+            writeError(`semantic-tags: ${error.message}`);
+            return EXIT_USAGE_ERROR;
+        }
+        throw error;
+    }
+
+    const engine = config ? createConfiguredEngine(config) : new SemanticEngine();
+    try {
+        report = scanDirectory(root, {
+            ...options.scan,
+            engine,
+            onError: (filePath, error) => writeError(`semantic-tags: skipped ${filePath}: ${error.message}`)
+        });
+    } catch (error) {
+        writeError(`semantic-tags: failed to scan ${root}: ${(error as Error).message}`);
+        return EXIT_USAGE_ERROR;
+    }
+
+    const failures = evaluateThresholds(report, options.thresholds);
+
+    if (options.format === 'sarif') {
+        const files = report.files.map(file => ({ filePath: file.filePath, tags: file.result.tags }));
+        // Rules describe the patterns and selectors the configuration actually ran
+        const customTags = config ? workspaceSelectorTags(config) : [];
+        write(JSON.stringify(toSarif(files, { patterns: engine.getPatterns(), customTags, sourceRoot: report.root }), null, 2));
+    } else if (options.format === 'json') {
+        write(JSON.stringify({
+            root: report.root,
+            files: options.quiet ? undefined : report.files,
+            summary: report.summary,
+            failures
+        }, null, 2));
+    } else {
+        write(formatTextReport(report, failures, options.quiet));
+    }
+
+    return failures.length > 0 ? EXIT_THRESHOLD_FAILED : EXIT_OK;
+}
+
+if (require.main === module) {
+    process.exitCode = run(process.argv.slice(2));
+}
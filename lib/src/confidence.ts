@@ -0,0 +1,79 @@
+/**
+ * Context-Aware Confidence Scoring
+ * Adjusts a pattern's base weight by where and how a match appears
+ */
+
+export type MatchLocation = 'code' | 'comment' | 'string';
+
+export type PatternCategory = 'infrastructure' | 'purpose' | 'general';
+
+export interface MatchContext {
+    languageId?: string;
+    location: MatchLocation;
+    isIdentifier: boolean; // Used as a code identifier (member access, call, key, assignment)
+    isProse: boolean; // Surrounded by natural-language words
+    neighbourTypes: number; // Other tag types of the same category on the line
+}
+
+export interface ScoringOptions {
+    baseWeight?: number;
+    locationWeights?: Partial<Record<MatchLocation, number>>;
+}
+
+export const DEFAULT_BASE_WEIGHT = 0.85;
+
+export const DEFAULT_LOCATION_WEIGHTS: Record<MatchLocation, number> = {
+    code: 0,
+    comment: -0.25,
+    string: -0.15
+};
+
+// Languages whose files are infrastructure definitions by nature
+export const INFRASTRUCTURE_LANGUAGES = ['terraform', 'yaml', 'dockerfile', 'hcl'];
+
+const IDENTIFIER_BONUS = 0.05;
+const PROSE_PENALTY = -0.1;
+const NEIGHBOUR_BONUS = 0.05;
+const MAX_NEIGHBOUR_BONUS = 0.1;
+const INFRA_LANGUAGE_BONUS = 0.1;
+const UNKNOWN_LANGUAGE_PENALTY = -0.1;
+
+/**
+ * Score a match between 0 and 1
+ */
+export function scoreConfidence(category: PatternCategory, context: MatchContext, options: ScoringOptions = {}): number {
+    const locationWeights = { ...DEFAULT_LOCATION_WEIGHTS, ...options.locationWeights };
+    let score = options.baseWeight ?? DEFAULT_BASE_WEIGHT;
+
+    score += locationWeights[context.location];
+
+    if (context.isIdentifier) {
+        score += IDENTIFIER_BONUS;
+    } else if (context.isProse) {
+        score += PROSE_PENALTY;
+    }
+
+    score += Math.min(context.neighbourTypes * NEIGHBOUR_BONUS, MAX_NEIGHBOUR_BONUS);
+
+    const { languageId } = context;
+    if (category === 'infrastructure' && languageId && INFRASTRUCTURE_LANGUAGES.includes(languageId)) {
+        score += INFRA_LANGUAGE_BONUS;
+    } else if (languageId === 'unknown' || languageId === 'plaintext') {
+        score += UNKNOWN_LANGUAGE_PENALTY;
+    }
+
+    return Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
+}
+
+/**
+ * Inspect the characters around a match to tell identifiers from prose
+ */
+export function describeMatchShape(line: string, index: number, length: number): { isIdentifier: boolean; isProse: boolean } {
+    const before = line.slice(Math.max(0, index - 2), index);
+    const after = line.slice(index + length, index + length + 2);
+
+    const isIdentifier = /[.$_]$/.test(before) || /^\s*[.(:=[_]/.test(after) || /^[_$]/.test(after);
+    const isProse = /[A-Za-z,] $/.test(before) && /^ [A-Za-z]/.test(after);
+
+    return { isIdentifier, isProse };
+}
@@ -0,0 +1,240 @@
+/**
+ * Expiry Parsing
+ * Normalizes declared expiry values (absolute dates, quarters and relative durations)
+ * and decides whether a resource has outlived them
+ */
+
+import { execFileSync } from 'child_process';
+import * as path from 'path';
+import { SemanticTag } from './semantic-engine';
+
+export const DEFAULT_EXPIRY_WARNING_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export type DurationUnit = 'day' | 'week' | 'month' | 'year';
+
+export type ParsedExpiry =
+    | { kind: 'absolute'; date: Date } // Last day the resource is meant to exist, at UTC midnight
+    | { kind: 'relative'; amount: number; unit: DurationUnit }; // Counted from the reference date
+
+export type ExpiryStatus = 'expired' | 'expiring_soon' | 'active';
+
+export interface ExpiryOptions {
+    now?: Date; // Defaults to the current time
+    referenceDate?: Date | ((line?: number) => Date | undefined); // When relative expiries were declared; called with the declaring line, only when one is found. Defaults to now
+    warningDays?: number; // Expiries this close are expiring_soon (default 30)
+}
+
+export interface ExpiryCheck {
+    value: string; // As declared, e.g. 2_years
+    expiresAt: string; // YYYY-MM-DD
+    relative: boolean;
+    daysRemaining: number; // Negative once expired
+    status: ExpiryStatus;
+}
+
+/**
+ * Reported by the engine on the value of each expiry that has passed or falls within the warning window
+ */
+export interface ExpirySemanticTag extends SemanticTag {
+    expiryContext: ExpiryCheck;
+}
+
+const UNIT_NAMES: Record<string, DurationUnit> = {
+    d: 'day', day: 'day', days: 'day',
+    w: 'week', wk: 'week', wks: 'week', week: 'week', weeks: 'week',
+    mo: 'month', mon: 'month', month: 'month', months: 'month',
+    y: 'year', yr: 'year', yrs: 'year', year: 'year', years: 'year'
+};
+
+const ISO_DURATION_UNITS: Record<string, DurationUnit> = { D: 'day', W: 'week', M: 'month', Y: 'year' };
+
+// Values declaring that a resource is meant to live indefinitely
+const NO_EXPIRY = ['never', 'none', 'permanent', 'indefinite', 'n/a'];
+
+/**
+ * Parse an expiry value. Accepts dates (2025-06-30, 2025/06/30, ISO timestamps), months (2025-06),
+ * years (2026), quarters (Q3 2026, 2026-Q3), durations (2_years, 90d, 6 months) and ISO durations (P2Y).
+ * Partial dates mean their last day. Returns undefined for values like "never" and anything unrecognized.
+ */
+export function parseExpiry(value: string): ParsedExpiry | undefined {
+    const text = value.trim();
+    if (NO_EXPIRY.includes(text.toLowerCase())) {
+        return undefined;
+    }
+
+    let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+    if (match) {
+        return absolute(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+    if ((match = text.match(/^(\d{4})[-/.](\d{1,2})$/))) {
+        return absolute(Number(match[1]), Number(match[2]));
+    }
+    if ((match = text.match(/^(\d{4})$/))) {
+        return absolute(Number(match[1]), 12);
+    }
+    if ((match = text.match(/^Q([1-4])[\s_-]*(\d{4})$/i) || text.match(/^(\d{4})[\s_-]*Q([1-4])$/i))) {
+        const [quarter, year] = match[1].length === 4 ? [match[2], match[1]] : [match[1], match[2]];
+        return absolute(Number(year), Number(quarter) * 3);
+    }
+
+    if ((match = text.match(/^(\d+)[\s_-]*([a-z]+)$/i)) && UNIT_NAMES[match[2].toLowerCase()]) {
+        return relative(Number(match[1]), UNIT_NAMES[match[2].toLowerCase()]);
+    }
+    if ((match = text.match(/^P(\d+)([DWMY])$/i))) {
+        return relative(Number(match[1]), ISO_DURATION_UNITS[match[2].toUpperCase()]);
+    }
+    return undefined;
+}
+
+/**
+ * The last day a parsed expiry allows, at UTC midnight
+ */
+export function resolveExpiryDate(expiry: ParsedExpiry, referenceDate: Date): Date {
+    if (expiry.kind === 'absolute') {
+        return expiry.date;
+    }
+
+    const start = startOfDay(referenceDate);
+    switch (expiry.unit) {
+        case 'day':
+            return new Date(start.getTime() + expiry.amount * DAY_MS);
+        case 'week':
+            return new Date(start.getTime() + expiry.amount * 7 * DAY_MS);
+        case 'month':
+            return addMonths(start, expiry.amount);
+        case 'year':
+            return addMonths(start, expiry.amount * 12);
+    }
+}
+
+/**
+ * Parse a declared expiry and compare it with `now`; undefined when the value has no date.
+ * `line` is the zero-based line declaring the value, passed on to a referenceDate function.
+ */
+export function checkExpiry(value: string, options: ExpiryOptions = {}, line?: number): ExpiryCheck | undefined {
+    const parsed = parseExpiry(value);
+    if (!parsed) {
+        return undefined;
+    }
+
+    const now = options.now || new Date();
+    const { referenceDate, warningDays = DEFAULT_EXPIRY_WARNING_DAYS } = options;
+    let reference: Date | undefined;
+    if (parsed.kind === 'relative') {
+        reference = typeof referenceDate === 'function' ? referenceDate(line) : referenceDate;
+    }
+    const expiresAt = resolveExpiryDate(parsed, reference || now);
+    const daysRemaining = Math.round((expiresAt.getTime() - startOfDay(now).getTime()) / DAY_MS);
+
+    return {
+        value,
+        expiresAt: expiresAt.toISOString().slice(0, 10),
+        relative: parsed.kind === 'relative',
+        daysRemaining,
+        status: daysRemaining < 0 ? 'expired' : daysRemaining <= warningDays ? 'expiring_soon' : 'active'
+    };
+}
+
+/**
+ * Date of the last commit that changed any line of a file, or undefined when it is untracked or git is unavailable
+ */
+export function gitFileDate(filePath: string): Date | undefined {
+    try {
+        const output = execFileSync('git', ['log', '-1', '--format=%cI', '--', path.basename(filePath)], {
+            cwd: path.dirname(filePath),
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore']
+        }).trim();
+        return output ? new Date(output) : undefined;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Date of the commit that last changed a zero-based line, as git blame reports it; uncommitted lines date from now.
+ * Without a line, the file's gitFileDate. Undefined when the file is untracked or git is unavailable.
+ */
+export function gitLineDate(filePath: string, line?: number): Date | undefined {
+    if (line === undefined) {
+        return gitFileDate(filePath);
+    }
+    return gitBlameDates(filePath, ['-L', `${line + 1},${line + 1}`])[line];
+}
+
+/**
+ * gitLineDate for many lines of one file: blames the whole file once, on the first lookup,
+ * and answers later lines from that. Suits ExpiryOptions.referenceDate.
+ */
+export function gitLineDates(filePath: string): (line?: number) => Date | undefined {
+    let dates: (Date | undefined)[] | undefined;
+    return (line?: number) => {
+        if (line === undefined) {
+            return gitFileDate(filePath);
+        }
+        dates = dates || gitBlameDates(filePath, []);
+        return dates[line];
+    };
+}
+
+// Commit dates by zero-based line from git blame --porcelain, which only prints a commit's headers the first time it appears
+function gitBlameDates(filePath: string, args: string[]): (Date | undefined)[] {
+    let output: string;
+    try {
+        output = execFileSync('git', ['blame', '--porcelain', ...args, '--', path.basename(filePath)], {
+            cwd: path.dirname(filePath),
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore'],
+            maxBuffer: 64 * 1024 * 1024
+        });
+    } catch {
+        return [];
+    }
+
+    const commitDates = new Map<string, Date>();
+    const dates: (Date | undefined)[] = [];
+    let commit = '';
+    let finalLine = 0;
+    for (const outputLine of output.split('\n')) {
+        const header = /^([0-9a-f]{40}) \d+ (\d+)/.exec(outputLine);
+        if (header) {
+            commit = header[1];
+            finalLine = Number(header[2]) - 1;
+            continue;
+        }
+        const time = /^committer-time (\d+)$/.exec(outputLine);
+        if (time) {
+            commitDates.set(commit, new Date(Number(time[1]) * 1000));
+        } else if (outputLine.startsWith('\t')) {
+            dates[finalLine] = commitDates.get(commit);
+        }
+    }
+    return dates;
+}
+
+// Rejects impossible dates such as 2025-02-30; a missing day means the month's last day
+function absolute(year: number, month: number, day?: number): ParsedExpiry | undefined {
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (month < 1 || month > 12 || (day !== undefined && (day < 1 || day > lastDay))) {
+        return undefined;
+    }
+    return { kind: 'absolute', date: new Date(Date.UTC(year, month - 1, day === undefined ? lastDay : day)) };
+}
+
+function relative(amount: number, unit: DurationUnit): ParsedExpiry | undefined {
+    return amount > 0 ? { kind: 'relative', amount, unit } : undefined;
+}
+
+function startOfDay(date: Date): Date {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// Clamps to the target month's last day, so Jan 31 plus one month is Feb 28/29
+function addMonths(date: Date, months: number): Date {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + months;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
@@ -6,6 +6,53 @@
 // Re-export everything from the semantic engine
 export * from './semantic-engine';
 
+// Context-aware confidence scoring
+export * from './confidence';
+
+// Comment- and string-aware tokenization
+export * from './lexer';
+
+// Resource records built from purpose metadata
+export * from './resources';
+
+// Expiry parsing and expired-resource detection
+export * from './expiry';
+
+// Terraform/HCL analysis
+export * from './languages/hcl';
+export * from './languages/terraform';
+
+// YAML/Kubernetes analysis
+export * from './languages/yaml';
+
+// Dockerfile analysis
+export * from './languages/dockerfile';
+
+// Go analysis
+export * from './languages/go';
+
+// Language analyzer registry used by SemanticEngine
+export * from './registry';
+
+// Cancellation and deadlines for long-running analysis
+export * from './cancellation';
+
+// Merging of duplicate and overlapping tags
+export * from './overlap';
+
+// Built-in AST rules and declarative selectors for custom tags
+export * from './ast-rules';
+export * from './ast-selector';
+
+// .semantictags.json workspace configuration
+export * from './workspace-config';
+
+// Repository scanning (used by the semantic-tags CLI)
+export * from './scanner';
+
+// SARIF output for code-scanning tools
+export * from './sarif';
+
 // Maintain backward compatibility
 export { 
     SemanticEngine as SemanticAnalyzer,
@@ -0,0 +1,343 @@
+/**
+ * Dockerfile Language-Specific Semantic Analysis
+ * Parses instructions (with line continuations and heredocs) and tags
+ * base images, ports, users, secrets, build stages and LABEL metadata
+ */
+
+import { SemanticTag } from '../semantic-engine';
+
+export interface DockerfileSemanticTag extends SemanticTag {
+    dockerfileContext?: {
+        instruction: string;
+        stage?: string; // Name given with `FROM ... AS name`
+        stageIndex: number;
+        endLine: number;
+    };
+}
+
+export interface DockerWord {
+    value: string; // Word with quotes removed
+    line: number;
+    column: number;
+    length: number; // Raw length on its first line
+}
+
+export interface DockerInstruction {
+    keyword: string; // Upper-cased, e.g. FROM, ENV
+    words: DockerWord[];
+    line: number;
+    column: number;
+    endLine: number;
+}
+
+export interface DockerfileAnalyzerOptions {
+    secretPattern?: RegExp; // ENV/ARG names treated as secrets
+}
+
+const METADATA_LABELS: Record<string, string> = {
+    purpose: 'Declared Purpose',
+    owner: 'Responsibility Assignment',
+    expiry: 'Lifecycle Expectation'
+};
+
+export const DEFAULT_SECRET_PATTERN = /(password|passwd|secret|token|api_?key|access_?key|private_?key|credentials?)/i;
+
+const ROOT_USERS = ['root', '0'];
+
+/**
+ * Split a Dockerfile into instructions, skipping comments and joining `\` continuations
+ */
+export function parseDockerfile(source: string): DockerInstruction[] {
+    const lines = source.split('\n').map(line => line.replace(/\r$/, ''));
+    const instructions: DockerInstruction[] = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const header = /^(\s*)([A-Za-z]+)\b/.exec(lines[i]);
+        if (!header || /^\s*#/.test(lines[i])) {
+            i++;
+            continue;
+        }
+
+        const startLine = i;
+        const words: DockerWord[] = [];
+        let column = header[0].length;
+
+        for (;;) {
+            const text = lines[i];
+            const continued = /\\\s*$/.test(text);
+            const end = continued ? text.lastIndexOf('\\') : text.length;
+            words.push(...splitWords(text.slice(0, end), column, i));
+
+            if (!continued || i + 1 >= lines.length) {
+                break;
+            }
+
+            // Comment lines inside a continuation are dropped by Docker
+            do {
+                i++;
+            } while (i + 1 < lines.length && /^\s*(#|$)/.test(lines[i]));
+            column = 0;
+        }
+
+        // BuildKit heredocs (RUN <<EOF ... EOF) belong to the instruction
+        for (const word of words) {
+            const heredoc = /^<<-?(\w+)$/.exec(word.value);
+            if (heredoc) {
+                while (i + 1 < lines.length && lines[i + 1].trim() !== heredoc[1]) {
+                    i++;
+                }
+                i++;
+            }
+        }
+
+        instructions.push({
+            keyword: header[2].toUpperCase(),
+            words,
+            line: startLine,
+            column: header[1].length,
+            endLine: Math.min(i, lines.length - 1)
+        });
+        i++;
+    }
+
+    return instructions;
+}
+
+function splitWords(text: string, from: number, line: number): DockerWord[] {
+    const words: DockerWord[] = [];
+    let i = from;
+
+    while (i < text.length) {
+        if (/\s/.test(text[i])) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        let value = '';
+        while (i < text.length && !/\s/.test(text[i])) {
+            const quote = text[i];
+            if (quote === '"' || quote === "'") {
+                const close = text.indexOf(quote, i + 1);
+                const end = close === -1 ? text.length : close;
+                value += text.slice(i + 1, end);
+                i = end + 1;
+            } else {
+                value += text[i++];
+            }
+        }
+
+        words.push({ value, line, column: start, length: Math.min(i, text.length) - start });
+    }
+
+    return words;
+}
+
+export class DockerfileAnalyzer {
+    private secretPattern: RegExp;
+
+    constructor(options: DockerfileAnalyzerOptions = {}) {
+        this.secretPattern = options.secretPattern || DEFAULT_SECRET_PATTERN;
+    }
+
+    /**
+     * Analyze a Dockerfile instruction by instruction
+     */
+    analyze(code: string): DockerfileSemanticTag[] {
+        const instructions = parseDockerfile(code);
+        const tags: DockerfileSemanticTag[] = [];
+        const stageCount = instructions.filter(instruction => instruction.keyword === 'FROM').length;
+        const stageNames: string[] = [];
+        let stageIndex = -1;
+        let stage: string | undefined;
+        let stageFrom: DockerInstruction | undefined;
+        let stageUser: string | undefined;
+
+        const finishStage = (): void => {
+            // The final stage runs as root unless a USER instruction says otherwise
+            if (stageFrom && stageIndex === stageCount - 1 && stageUser === undefined) {
+                tags.push(this.createTag('docker_root_user', 'Root User', stageFrom.words[0] || this.keywordWord(stageFrom), 0.8,
+                    'root (no USER instruction)', stageFrom, stage, stageIndex));
+            }
+        };
+
+        for (const instruction of instructions) {
+            if (instruction.keyword === 'FROM') {
+                finishStage();
+                stageIndex++;
+                stageFrom = instruction;
+                stageUser = undefined;
+                stage = this.getStageName(instruction);
+            }
+
+            const tag = (type: string, label: string, word: DockerWord, confidence: number, match: string): void => {
+                tags.push(this.createTag(type, label, word, confidence, match, instruction, stage, stageIndex));
+            };
+
+            switch (instruction.keyword) {
+                case 'FROM':
+                    this.visitFrom(instruction, stageNames, stageCount, tag);
+                    if (stage) {
+                        stageNames.push(stage.toLowerCase());
+                    }
+                    break;
+                case 'EXPOSE':
+                    for (const word of instruction.words) {
+                        tag('docker_expose', 'Exposed Port', word, 0.95, word.value);
+                    }
+                    break;
+                case 'USER':
+                    if (instruction.words[0]) {
+                        stageUser = instruction.words[0].value;
+                        const isRoot = ROOT_USERS.includes(stageUser.split(':')[0]);
+                        tag(isRoot ? 'docker_root_user' : 'docker_user', isRoot ? 'Root User' : 'Non-Root User',
+                            instruction.words[0], 0.95, stageUser);
+                    }
+                    break;
+                case 'ENV':
+                case 'ARG':
+                    for (const { key, word } of this.getKeyValues(instruction)) {
+                        if (this.secretPattern.test(key)) {
+                            // Report the name only; the value may be a real credential
+                            tag('docker_secret', 'Secret in Build Configuration', word, 0.9, key);
+                        }
+                    }
+                    break;
+                case 'LABEL':
+                    for (const { key, value, word } of this.getKeyValues(instruction)) {
+                        const metadataType = this.getMetadataType(key);
+                        if (metadataType) {
+                            tag(metadataType, METADATA_LABELS[metadataType], word, 0.95, value);
+                        }
+                    }
+                    break;
+                case 'COPY':
+                    for (const word of instruction.words) {
+                        const from = /^--from=(.+)$/.exec(word.value);
+                        if (from) {
+                            tag('docker_stage_copy', 'Build Stage Artifact', word, 0.9, from[1]);
+                        }
+                    }
+                    break;
+            }
+        }
+
+        finishStage();
+        return tags;
+    }
+
+    private visitFrom(
+        instruction: DockerInstruction,
+        earlierStages: string[],
+        stageCount: number,
+        tag: (type: string, label: string, word: DockerWord, confidence: number, match: string) => void
+    ): void {
+        const imageWord = instruction.words.find(word => !word.value.startsWith('--'));
+        if (!imageWord) {
+            return;
+        }
+
+        if (stageCount > 1) {
+            tag('docker_build_stage', 'Multi-Stage Build', this.keywordWord(instruction), 0.95,
+                this.getStageName(instruction) || imageWord.value);
+        }
+
+        const image = imageWord.value;
+        if (image === 'scratch' || earlierStages.includes(image.toLowerCase())) {
+            return; // Builds on an earlier stage rather than a registry image
+        }
+
+        const pinning = getImagePinning(image);
+        if (pinning === 'floating') {
+            tag('docker_floating_image', 'Floating Base Image', imageWord, image.includes('$') ? 0.7 : 0.9, image);
+        } else {
+            tag('docker_base_image', pinning === 'digest' ? 'Digest-Pinned Base Image' : 'Tag-Pinned Base Image', imageWord, 0.95, image);
+        }
+    }
+
+    private getStageName(instruction: DockerInstruction): string | undefined {
+        const words = instruction.words;
+        const as = words.findIndex(word => word.value.toUpperCase() === 'AS');
+        return as !== -1 && words[as + 1] ? words[as + 1].value : undefined;
+    }
+
+    /**
+     * Read `key=value` pairs, or the legacy single `KEY value` form
+     */
+    private getKeyValues(instruction: DockerInstruction): Array<{ key: string; value: string; word: DockerWord }> {
+        const words = instruction.words;
+        if (words.length > 0 && !words[0].value.includes('=')) {
+            const value = words.slice(1).map(word => word.value).join(' ');
+            return [{ key: words[0].value, value, word: words[0] }];
+        }
+
+        return words
+            .filter(word => word.value.includes('='))
+            .map(word => {
+                const separator = word.value.indexOf('=');
+                return { key: word.value.slice(0, separator), value: word.value.slice(separator + 1), word };
+            });
+    }
+
+    private getMetadataType(key: string): string | undefined {
+        // Accept namespaced keys like "tech.cosca.owner" or "cosca.tech/purpose"
+        const name = key.split(/[/:.]/).pop()!.toLowerCase();
+        return METADATA_LABELS[name] ? name : undefined;
+    }
+
+    private keywordWord(instruction: DockerInstruction): DockerWord {
+        return { value: instruction.keyword, line: instruction.line, column: instruction.column, length: instruction.keyword.length };
+    }
+
+    private createTag(
+        type: string,
+        label: string,
+        word: DockerWord,
+        confidence: number,
+        match: string,
+        instruction: DockerInstruction,
+        stage: string | undefined,
+        stageIndex: number
+    ): DockerfileSemanticTag {
+        return {
+            type,
+            label,
+            line: word.line,
+            column: word.column,
+            length: word.length,
+            confidence,
+            match,
+            dockerfileContext: {
+                instruction: instruction.keyword,
+                stage,
+                stageIndex,
+                endLine: instruction.endLine
+            }
+        };
+    }
+}
+
+/**
+ * Classify an image reference: `@sha256:` digests and explicit non-latest tags are pinned
+ */
+export function getImagePinning(image: string): 'digest' | 'tag' | 'floating' {
+    if (image.includes('@')) {
+        return 'digest';
+    }
+    if (image.includes('$')) {
+        return 'floating'; // Resolved from a build argument
+    }
+
+    const lastSegment = image.split('/').pop()!;
+    const tagSeparator = lastSegment.indexOf(':');
+    if (tagSeparator === -1 || lastSegment.slice(tagSeparator + 1) === 'latest') {
+        return 'floating';
+    }
+    return 'tag';
+}
+
+// Export factory function
+export function createDockerfileAnalyzer(options?: DockerfileAnalyzerOptions): DockerfileAnalyzer {
+    return new DockerfileAnalyzer(options);
+}
@@ -0,0 +1,287 @@
+/**
+ * Go Language-Specific Semantic Analysis
+ * Uses regex patterns optimized for Go syntax and gofmt layout
+ */
+
+import { SemanticTag } from '../semantic-engine';
+import { SpanIndex } from '../lexer';
+
+export interface GoSemanticTag extends SemanticTag {
+    goContext?: {
+        packageName?: string;
+        functionName?: string;
+        receiverType?: string;
+        structName?: string;
+    };
+}
+
+export class GoAnalyzer {
+    private customPatterns: GoCustomPattern[] = [];
+
+    constructor(customPatterns?: GoCustomPattern[]) {
+        this.customPatterns = [...GO_INFRASTRUCTURE_PATTERNS, ...(customPatterns || [])];
+    }
+
+    /**
+     * Analyze Go code with language-specific patterns
+     */
+    analyze(code: string): GoSemanticTag[] {
+        const tags: GoSemanticTag[] = [];
+        const lines = code.split('\n');
+        const spans = SpanIndex.fromText(code, 'go');
+        const context: GoContext = {};
+        let lineOffset = 0;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            this.updateContext(line, context);
+
+            // Check all patterns
+            for (const pattern of this.customPatterns) {
+                const matches = this.findMatches(line, i, lineOffset, pattern, { ...context }, spans);
+                tags.push(...matches);
+            }
+
+            // gofmt closes top-level declarations with a `}` in column 0
+            if (line.startsWith('}')) {
+                context.functionName = undefined;
+                context.receiverType = undefined;
+                context.structName = undefined;
+            }
+
+            lineOffset += line.length + 1;
+        }
+
+        return tags;
+    }
+
+    /**
+     * Add custom Go patterns
+     */
+    addCustomPatterns(patterns: GoCustomPattern[]): void {
+        this.customPatterns.push(...patterns);
+    }
+
+    private updateContext(line: string, context: GoContext): void {
+        const packageDecl = /^package\s+(\w+)/.exec(line);
+        if (packageDecl) {
+            context.packageName = packageDecl[1];
+            return;
+        }
+
+        const funcDecl = /^func\s+(?:\(\s*\w*\s*\*?(\w+)[^)]*\)\s*)?(\w+)/.exec(line);
+        if (funcDecl) {
+            context.receiverType = funcDecl[1];
+            context.functionName = funcDecl[2];
+            return;
+        }
+
+        const structDecl = /^type\s+(\w+)\s+struct\b/.exec(line);
+        if (structDecl) {
+            context.structName = structDecl[1];
+        }
+    }
+
+    private findMatches(
+        line: string,
+        lineNumber: number,
+        lineOffset: number,
+        pattern: GoCustomPattern,
+        context: GoContext,
+        spans: SpanIndex
+    ): GoSemanticTag[] {
+        const tags: GoSemanticTag[] = [];
+
+        if (pattern.contextFilter && !pattern.contextFilter(context)) {
+            return tags;
+        }
+
+        let match;
+        const regex = new RegExp(pattern.pattern.source, pattern.pattern.flags);
+
+        while ((match = regex.exec(line)) !== null) {
+            // Commented-out code is not intent
+            if (spans.kindAt(lineOffset + match.index) !== 'comment') {
+                tags.push({
+                    type: pattern.type,
+                    label: pattern.label,
+                    line: lineNumber,
+                    column: match.index,
+                    length: match[0].length,
+                    confidence: pattern.confidence,
+                    match: match[0],
+                    goContext: context
+                });
+            }
+
+            if (!regex.global) break;
+        }
+
+        return tags;
+    }
+}
+
+interface GoContext {
+    packageName?: string;
+    functionName?: string;
+    receiverType?: string;
+    structName?: string;
+}
+
+interface GoCustomPattern {
+    type: string;
+    label: string;
+    pattern: RegExp;
+    confidence: number;
+    category: 'infrastructure' | 'purpose' | 'general' | 'custom';
+    contextFilter?: (context: GoContext) => boolean;
+}
+
+// Go-specific infrastructure patterns
+export const GO_INFRASTRUCTURE_PATTERNS: GoCustomPattern[] = [
+    // AWS SDK for Go v2
+    {
+        type: 'aws_sdk_go',
+        label: 'AWS SDK for Go v2',
+        pattern: /"github\.com\/aws\/aws-sdk-go-v2[\w/.-]*"|\b\w+\.NewFromConfig\s*\(|config\.LoadDefaultConfig\s*\(/g,
+        confidence: 0.95,
+        category: 'infrastructure'
+    },
+
+    // Kubernetes client-go
+    {
+        type: 'kubernetes_go',
+        label: 'Kubernetes client-go',
+        pattern: /"k8s\.io\/client-go[\w/.-]*"|kubernetes\.NewForConfig(OrDie)?\s*\(|rest\.InClusterConfig\s*\(|clientcmd\.BuildConfigFromFlags\s*\(/g,
+        confidence: 0.95,
+        category: 'infrastructure'
+    },
+
+    // Pulumi Go SDK
+    {
+        type: 'pulumi_go',
+        label: 'Pulumi Infrastructure',
+        pattern: /"github\.com\/pulumi\/pulumi[\w/.-]*"|pulumi\.Run\s*\(/g,
+        confidence: 0.95,
+        category: 'infrastructure'
+    },
+
+    // Pulumi resource constructors, e.g. s3.NewBucket(ctx, "data-lake", ...)
+    {
+        type: 'pulumi_resource_go',
+        label: 'Pulumi Resource',
+        pattern: /\b\w+\.New[A-Z]\w*\s*\(\s*ctx\s*,\s*"([^"]+)"/g,
+        confidence: 0.9,
+        category: 'infrastructure'
+    },
+
+    // net/http handlers
+    {
+        type: 'http_handler_go',
+        label: 'HTTP Handler',
+        pattern: /\b(http|mux|router)\.(HandleFunc|Handle)\s*\(|\w+\s+http\.ResponseWriter\s*,\s*\w+\s+\*http\.Request/g,
+        confidence: 0.95,
+        category: 'general'
+    },
+
+    {
+        type: 'http_server_go',
+        label: 'HTTP Server',
+        pattern: /http\.ListenAndServe(TLS)?\s*\(|&http\.Server\s*\{/g,
+        confidence: 0.95,
+        category: 'infrastructure'
+    },
+
+    // database/sql
+    {
+        type: 'sql_database_go',
+        label: 'SQL Database Connection',
+        pattern: /sql\.Open(DB)?\s*\(/g,
+        confidence: 0.95,
+        category: 'infrastructure'
+    },
+
+    {
+        type: 'sql_query_go',
+        label: 'SQL Query',
+        pattern: /\.(Query|QueryRow|Exec|Prepare)(Context)?\s*\(/g,
+        confidence: 0.85,
+        category: 'general'
+    },
+
+    // Environment variables
+    {
+        type: 'env_config_go',
+        label: 'Environment Configuration',
+        pattern: /os\.(Getenv|LookupEnv)\s*\(/g,
+        confidence: 0.85,
+        category: 'general'
+    },
+
+    // Logging
+    {
+        type: 'go_logging',
+        label: 'Go Logging',
+        pattern: /\b(log|slog)\.(Print|Printf|Println|Fatal|Fatalf|Debug|Info|Warn|Error)\w*\s*\(/g,
+        confidence: 0.9,
+        category: 'general'
+    },
+
+    // Purpose-driven metadata in struct tags, e.g. `json:"bucket" purpose:"analytics"`
+    {
+        type: 'purpose_go',
+        label: 'Resource Purpose',
+        pattern: /\bpurpose:"([^"]+)"/g,
+        confidence: 0.95,
+        category: 'purpose',
+        contextFilter: (context) => context.structName !== undefined
+    },
+
+    {
+        type: 'owner_go',
+        label: 'Resource Owner',
+        pattern: /\bowner:"([^"]+)"/g,
+        confidence: 0.95,
+        category: 'purpose',
+        contextFilter: (context) => context.structName !== undefined
+    },
+
+    {
+        type: 'expiry_go',
+        label: 'Resource Expiry',
+        pattern: /\bexpiry:"([^"]+)"/g,
+        confidence: 0.95,
+        category: 'purpose',
+        contextFilter: (context) => context.structName !== undefined
+    },
+
+    // Purpose metadata in tag maps and literals, e.g. Tags: pulumi.StringMap{"owner": pulumi.String("data")}
+    {
+        type: 'purpose_go',
+        label: 'Resource Purpose',
+        pattern: /"purpose"\s*:\s*(pulumi\.String\(\s*)?"([^"]+)"/gi,
+        confidence: 0.9,
+        category: 'purpose'
+    },
+
+    {
+        type: 'owner_go',
+        label: 'Resource Owner',
+        pattern: /"owner"\s*:\s*(pulumi\.String\(\s*)?"([^"]+)"/gi,
+        confidence: 0.9,
+        category: 'purpose'
+    },
+
+    {
+        type: 'expiry_go',
+        label: 'Resource Expiry',
+        pattern: /"expiry"\s*:\s*(pulumi\.String\(\s*)?"([^"]+)"/gi,
+        confidence: 0.9,
+        category: 'purpose'
+    }
+];
+
+// Export factory function
+export function createGoAnalyzer(customPatterns?: GoCustomPattern[]): GoAnalyzer {
+    return new GoAnalyzer(customPatterns);
+}
@@ -0,0 +1,494 @@
+/**
+ * HCL (HashiCorp Configuration Language) Parser
+ * Tolerant recursive-descent parser producing blocks, attributes and the
+ * expression shapes needed for semantic analysis (strings, objects, tuples, calls)
+ */
+
+export interface HclPosition {
+    offset: number;
+    line: number; // Zero-based, like SemanticTag.line
+    column: number;
+}
+
+export interface HclRange {
+    start: HclPosition;
+    end: HclPosition;
+}
+
+export type HclExpression =
+    | { kind: 'string'; value: string; range: HclRange }
+    | { kind: 'object'; entries: HclObjectEntry[]; range: HclRange }
+    | { kind: 'tuple'; items: HclExpression[]; range: HclRange }
+    | { kind: 'call'; name: string; args: HclExpression[]; range: HclRange }
+    | { kind: 'raw'; text: string; range: HclRange };
+
+export interface HclObjectEntry {
+    key: string;
+    value: HclExpression;
+    range: HclRange;
+}
+
+export interface HclAttribute {
+    kind: 'attribute';
+    name: string;
+    value: HclExpression;
+    range: HclRange;
+}
+
+export interface HclBlock {
+    kind: 'block';
+    type: string;
+    labels: string[];
+    body: HclBodyItem[];
+    range: HclRange; // Whole block, header to closing brace
+    headerRange: HclRange; // Block type and labels only
+}
+
+export type HclBodyItem = HclAttribute | HclBlock;
+
+export interface HclDiagnostic {
+    message: string;
+    position: HclPosition;
+}
+
+export interface HclFile {
+    body: HclBodyItem[];
+    diagnostics: HclDiagnostic[];
+}
+
+type TokenType = 'ident' | 'string' | 'heredoc' | 'number' | 'punct' | 'newline' | 'eof';
+
+interface Token {
+    type: TokenType;
+    value: string;
+    start: number;
+    end: number;
+}
+
+const MULTI_CHAR_PUNCT = ['==', '!=', '<=', '>=', '=>', '&&', '||', '...'];
+
+const CLOSING: Record<string, string> = { '{': '}', '[': ']', '(': ')' };
+
+/**
+ * Parse HCL source. Never throws: malformed sections are skipped and reported as diagnostics.
+ */
+export function parseHcl(source: string): HclFile {
+    return new HclParser(source).parseFile();
+}
+
+class HclParser {
+    private tokens: Token[];
+    private index = 0;
+    private lineStarts: number[];
+    private diagnostics: HclDiagnostic[] = [];
+
+    constructor(private readonly source: string) {
+        this.lineStarts = computeLineStarts(source);
+        this.tokens = tokenizeHcl(source);
+    }
+
+    parseFile(): HclFile {
+        const body = this.parseBody();
+        while (!this.at('eof')) {
+            // A stray closing brace at the top level; skip it and keep going
+            this.report(`Unexpected '${this.peek().value}'`, this.peek().start);
+            this.index++;
+            body.push(...this.parseBody());
+        }
+        return { body, diagnostics: this.diagnostics };
+    }
+
+    private parseBody(): HclBodyItem[] {
+        const items: HclBodyItem[] = [];
+
+        while (true) {
+            this.skipNewlines();
+            const token = this.peek();
+
+            if (token.type === 'eof' || this.isPunct(token, '}')) {
+                return items;
+            }
+
+            if (token.type !== 'ident') {
+                this.report(`Expected an attribute or block, found '${token.value}'`, token.start);
+                this.skipLine();
+                continue;
+            }
+
+            this.index++;
+
+            if (this.isPunct(this.peek(), '=')) {
+                this.index++;
+                const value = this.parseExpression(['\n', '}']);
+                items.push({
+                    kind: 'attribute',
+                    name: token.value,
+                    value,
+                    range: this.range(token.start, value.range.end.offset)
+                });
+                continue;
+            }
+
+            const labels: string[] = [];
+            let headerEnd = token.end;
+            while (this.at('string') || this.at('ident')) {
+                const label = this.next();
+                labels.push(label.value);
+                headerEnd = label.end;
+            }
+
+            if (!this.isPunct(this.peek(), '{')) {
+                this.report(`Expected '{' after block header '${token.value}'`, this.peek().start);
+                this.skipLine();
+                continue;
+            }
+
+            this.index++;
+            const body = this.parseBody();
+            let end = this.peek().start;
+            if (this.isPunct(this.peek(), '}')) {
+                end = this.next().end;
+            } else {
+                this.report(`Unclosed block '${token.value}'`, token.start);
+            }
+
+            items.push({
+                kind: 'block',
+                type: token.value,
+                labels,
+                body,
+                range: this.range(token.start, end),
+                headerRange: this.range(token.start, headerEnd)
+            });
+        }
+    }
+
+    /**
+     * Parse one expression, stopping (without consuming) at any of `stops` at nesting depth zero.
+     * '\n' in `stops` makes newlines significant; otherwise they are skipped.
+     */
+    private parseExpression(stops: string[]): HclExpression {
+        const newlineStops = stops.includes('\n');
+        if (!newlineStops) {
+            this.skipNewlines();
+        }
+
+        const start = this.peek().start;
+        const primary = this.parsePrimary();
+
+        // Anything after the primary (operators, conditionals, traversals) turns it into a raw expression
+        let consumedExtra = false;
+        while (!this.at('eof') && !this.isStop(this.peek(), stops)) {
+            if (this.at('newline')) {
+                this.index++;
+                continue;
+            }
+            consumedExtra = true;
+            this.skipBalanced();
+        }
+
+        const end = Math.max(start, this.index > 0 ? this.tokens[this.index - 1].end : start);
+        if (primary && !consumedExtra) {
+            return primary;
+        }
+
+        return { kind: 'raw', text: this.source.slice(start, end).trim(), range: this.range(start, end) };
+    }
+
+    private parsePrimary(): HclExpression | null {
+        const token = this.peek();
+
+        if (token.type === 'string' || token.type === 'heredoc') {
+            this.index++;
+            return { kind: 'string', value: token.value, range: this.range(token.start, token.end) };
+        }
+
+        if (this.isPunct(token, '{')) {
+            return this.parseObject();
+        }
+
+        if (this.isPunct(token, '[')) {
+            return this.parseTuple();
+        }
+
+        if (token.type === 'ident' && this.isPunct(this.peekAt(1), '(')) {
+            this.index += 2;
+            const args = this.parseList(')');
+            const end = this.next().end;
+            return { kind: 'call', name: token.value, args, range: this.range(token.start, end) };
+        }
+
+        return null;
+    }
+
+    private parseObject(): HclExpression {
+        const open = this.next();
+        const entries: HclObjectEntry[] = [];
+
+        while (true) {
+            this.skipNewlinesAndCommas();
+            const keyToken = this.peek();
+
+            if (keyToken.type === 'eof') {
+                this.report('Unclosed object', open.start);
+                break;
+            }
+            if (this.isPunct(keyToken, '}')) {
+                break;
+            }
+
+            if (keyToken.type === 'ident' || keyToken.type === 'string' || keyToken.type === 'number') {
+                this.index++;
+                const separator = this.peek();
+                if (this.isPunct(separator, '=') || this.isPunct(separator, ':')) {
+                    this.index++;
+                    const value = this.parseExpression(['\n', ',', '}']);
+                    entries.push({
+                        key: keyToken.value,
+                        value,
+                        range: this.range(keyToken.start, value.range.end.offset)
+                    });
+                    continue;
+                }
+            }
+
+            // Computed keys and for-expressions are not modelled; skip to the next entry
+            while (!this.at('eof') && !this.isStop(this.peek(), ['\n', ',', '}'])) {
+                this.skipBalanced();
+            }
+        }
+
+        const end = this.isPunct(this.peek(), '}') ? this.next().end : this.peek().start;
+        return { kind: 'object', entries, range: this.range(open.start, end) };
+    }
+
+    private parseTuple(): HclExpression {
+        const open = this.next();
+        const items = this.parseList(']');
+        const end = this.isPunct(this.peek(), ']') ? this.next().end : this.peek().start;
+        return { kind: 'tuple', items, range: this.range(open.start, end) };
+    }
+
+    private parseList(close: string): HclExpression[] {
+        const items: HclExpression[] = [];
+
+        while (true) {
+            this.skipNewlinesAndCommas();
+            if (this.at('eof') || this.isPunct(this.peek(), close)) {
+                return items;
+            }
+            items.push(this.parseExpression([',', close]));
+        }
+    }
+
+    private skipBalanced(): void {
+        const token = this.next();
+        const closing = token.type === 'punct' ? CLOSING[token.value] : undefined;
+        if (!closing) {
+            return;
+        }
+
+        while (!this.at('eof') && !this.isPunct(this.peek(), closing)) {
+            this.skipBalanced();
+        }
+        if (!this.at('eof')) {
+            this.index++;
+        }
+    }
+
+    private skipLine(): void {
+        while (!this.at('eof') && !this.at('newline')) {
+            if (this.isPunct(this.peek(), '}')) {
+                return;
+            }
+            this.skipBalanced();
+        }
+    }
+
+    private skipNewlines(): void {
+        while (this.at('newline')) {
+            this.index++;
+        }
+    }
+
+    private skipNewlinesAndCommas(): void {
+        while (this.at('newline') || this.isPunct(this.peek(), ',')) {
+            this.index++;
+        }
+    }
+
+    private isStop(token: Token, stops: string[]): boolean {
+        if (token.type === 'newline') {
+            return stops.includes('\n');
+        }
+        return token.type === 'punct' && stops.includes(token.value);
+    }
+
+    private isPunct(token: Token, value: string): boolean {
+        return token.type === 'punct' && token.value === value;
+    }
+
+    private at(type: TokenType): boolean {
+        return this.peek().type === type;
+    }
+
+    private peek(): Token {
+        return this.tokens[this.index];
+    }
+
+    private peekAt(distance: number): Token {
+        return this.tokens[Math.min(this.index + distance, this.tokens.length - 1)];
+    }
+
+    private next(): Token {
+        const token = this.tokens[this.index];
+        if (token.type !== 'eof') {
+            this.index++;
+        }
+        return token;
+    }
+
+    private range(start: number, end: number): HclRange {
+        return { start: this.position(start), end: this.position(end) };
+    }
+
+    private position(offset: number): HclPosition {
+        return offsetToPosition(this.lineStarts, offset);
+    }
+
+    private report(message: string, offset: number): void {
+        this.diagnostics.push({ message, position: this.position(offset) });
+    }
+}
+
+function tokenizeHcl(source: string): Token[] {
+    const tokens: Token[] = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (char === '\n') {
+            tokens.push({ type: 'newline', value: '\n', start: i, end: i + 1 });
+            i++;
+        } else if (/\s/.test(char)) {
+            i++;
+        } else if (char === '#' || source.startsWith('//', i)) {
+            const newline = source.indexOf('\n', i);
+            i = newline === -1 ? source.length : newline;
+        } else if (source.startsWith('/*', i)) {
+            const close = source.indexOf('*/', i + 2);
+            i = close === -1 ? source.length : close + 2;
+        } else if (char === '"') {
+            const end = findTemplateEnd(source, i);
+            tokens.push({ type: 'string', value: unescape(source.slice(i + 1, end - 1)), start: i, end });
+            i = end;
+        } else if (source.startsWith('<<', i) && /^<<-?[A-Za-z_]/.test(source.slice(i, i + 4))) {
+            const heredoc = readHeredoc(source, i);
+            tokens.push({ type: 'heredoc', value: heredoc.value, start: i, end: heredoc.end });
+            i = heredoc.end;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const match = /^[A-Za-z_][\w-]*/.exec(source.slice(i, i + 256))!;
+            tokens.push({ type: 'ident', value: match[0], start: i, end: i + match[0].length });
+            i += match[0].length;
+        } else if (/[0-9]/.test(char)) {
+            const match = /^\d+(\.\d+)?([eE][+-]?\d+)?/.exec(source.slice(i, i + 64))!;
+            tokens.push({ type: 'number', value: match[0], start: i, end: i + match[0].length });
+            i += match[0].length;
+        } else {
+            const multi = MULTI_CHAR_PUNCT.find(op => source.startsWith(op, i));
+            const value = multi || char;
+            tokens.push({ type: 'punct', value, start: i, end: i + value.length });
+            i += value.length;
+        }
+    }
+
+    tokens.push({ type: 'eof', value: '<eof>', start: source.length, end: source.length });
+    return tokens;
+}
+
+/**
+ * Find the end of a quoted template, skipping over `${ ... }` interpolations that may contain quotes
+ */
+function findTemplateEnd(source: string, start: number): number {
+    let depth = 0;
+
+    for (let i = start + 1; i < source.length; i++) {
+        const char = source[i];
+
+        if (char === '\\') {
+            i++;
+        } else if (depth === 0 && char === '\n') {
+            return i; // Unterminated string
+        } else if ((char === '$' || char === '%') && source[i + 1] === '{') {
+            depth++;
+            i++;
+        } else if (depth > 0 && char === '{') {
+            depth++;
+        } else if (depth > 0 && char === '}') {
+            depth--;
+        } else if (depth > 0 && char === '"') {
+            i = findTemplateEnd(source, i) - 1;
+        } else if (depth === 0 && char === '"') {
+            return i + 1;
+        }
+    }
+
+    return source.length;
+}
+
+function readHeredoc(source: string, start: number): { value: string; end: number } {
+    const header = /^<<-?([A-Za-z_][\w-]*)[ \t]*\r?\n/.exec(source.slice(start));
+    if (!header) {
+        return { value: '', end: start + 2 };
+    }
+
+    const bodyStart = start + header[0].length;
+    const terminator = new RegExp(`^[ \\t]*${header[1]}[ \\t]*\\r?$`, 'm');
+    const close = terminator.exec(source.slice(bodyStart));
+    if (!close) {
+        return { value: source.slice(bodyStart), end: source.length };
+    }
+
+    return {
+        value: source.slice(bodyStart, bodyStart + close.index).replace(/\r?\n$/, ''),
+        end: bodyStart + close.index + close[0].length
+    };
+}
+
+function unescape(value: string): string {
+    return value.replace(/\\(["\\nrt])/g, (_, char: string) => {
+        switch (char) {
+            case 'n': return '\n';
+            case 'r': return '\r';
+            case 't': return '\t';
+            default: return char;
+        }
+    });
+}
+
+function computeLineStarts(source: string): number[] {
+    const starts = [0];
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '\n') {
+            starts.push(i + 1);
+        }
+    }
+    return starts;
+}
+
+function offsetToPosition(lineStarts: number[], offset: number): HclPosition {
+    let low = 0;
+    let high = lineStarts.length - 1;
+
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    return { offset, line: low, column: offset - lineStarts[low] };
+}
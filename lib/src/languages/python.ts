@@ -4,6 +4,7 @@
  */
 
 import { SemanticTag } from '../semantic-engine';
+import { ResourceRecord, metadataField, setMetadata } from '../resources';
 
 export interface PythonSemanticTag extends SemanticTag {
     pythonContext?: {
@@ -42,6 +43,41 @@ export class PythonAnalyzer {
         return tags;
     }
 
+    /**
+     * Purpose metadata from keyword arguments, dict entries and class or instance attributes,
+     * one record per enclosing assignment, resource call or class that declares any
+     */
+    findResources(code: string): ResourceRecord[] {
+        const lines = code.split('\n');
+        const statements = findStatements(lines);
+        const records = new Map<string, ResourceRecord>();
+
+        statements.forEach(statement => {
+            for (let i = statement.start; i <= statement.end; i++) {
+                const regex = new RegExp(PYTHON_METADATA_PATTERN.source, PYTHON_METADATA_PATTERN.flags);
+                let match;
+                while ((match = regex.exec(lines[i].slice(0, statement.commentColumns[i - statement.start]))) !== null) {
+                    const field = metadataField(match[1]);
+                    if (!field) {
+                        continue;
+                    }
+
+                    const owner = findResourceOwner(lines, statements, statement);
+                    const key = `${owner.resource}:${owner.start}`;
+                    if (!records.has(key)) {
+                        records.set(key, {
+                            resource: owner.resource,
+                            location: { line: owner.start, column: lines[owner.start].length - lines[owner.start].trimStart().length, endLine: owner.end }
+                        });
+                    }
+                    setMetadata(records.get(key)!, field, match[3]);
+                }
+            }
+        });
+
+        return [...records.values()];
+    }
+
     /**
      * Add custom Python patterns
      */
@@ -127,6 +163,137 @@ interface PythonContext {
     decorators: string[];
 }
 
+interface PythonStatement {
+    start: number;
+    end: number; // Last line, after bracket and backslash continuations
+    commentColumns: (number | undefined)[]; // Where each line's comment starts, if it has one
+}
+
+// purpose="x", "owner": "y", self.expiry = "z" and annotated purpose: str = "x"
+const PYTHON_METADATA_PATTERN = /["']?([\w.:/-]+)["']?(?:\s*:\s*\w+)?\s*[:=]\s*(["'])([^"']*)\2/g;
+
+/**
+ * Split code into logical statements, following brackets, backslashes and triple-quoted strings across lines
+ */
+function findStatements(lines: string[]): PythonStatement[] {
+    const statements: PythonStatement[] = [];
+    let current: PythonStatement | undefined;
+    let depth = 0;
+    let quote: string | undefined;
+
+    lines.forEach((line, lineIndex) => {
+        if (!current && line.trim() === '') {
+            return;
+        }
+        current = current || { start: lineIndex, end: lineIndex, commentColumns: [] };
+
+        let commentColumn: number | undefined;
+        for (let j = 0; j < line.length; j++) {
+            const char = line[j];
+            if (quote) {
+                if (char === '\\') {
+                    j++;
+                } else if (line.startsWith(quote, j)) {
+                    j += quote.length - 1;
+                    quote = undefined;
+                }
+            } else if (char === '#') {
+                commentColumn = j;
+                break;
+            } else if (char === '"' || char === "'") {
+                quote = line.startsWith(char.repeat(3), j) ? char.repeat(3) : char;
+                j += quote.length - 1;
+            } else if ('([{'.includes(char)) {
+                depth++;
+            } else if (')]}'.includes(char)) {
+                depth = Math.max(0, depth - 1);
+            }
+        }
+        if (quote && quote.length === 1) {
+            quote = undefined; // Unterminated string; don't let it swallow the rest of the file
+        }
+
+        current.end = lineIndex;
+        current.commentColumns.push(commentColumn);
+        if (depth === 0 && !quote && !line.trimEnd().endsWith('\\')) {
+            statements.push(current);
+            current = undefined;
+        }
+    });
+
+    if (current) {
+        statements.push(current);
+    }
+    return statements;
+}
+
+/**
+ * What a statement's metadata describes: the variable it assigns, the resource it constructs
+ * (named by its first positional string argument, e.g. s3.Bucket(self, "logs", purpose="x") is logs),
+ * or for bare attributes like purpose = "x" the enclosing class, or function outside a class
+ */
+function findResourceOwner(lines: string[], statements: PythonStatement[], statement: PythonStatement): { resource: string; start: number; end: number } {
+    const text = lines.slice(statement.start, statement.end + 1).join('\n');
+    const firstLine = text.trim();
+
+    if (firstLine.startsWith('@')) {
+        // A decorator describes the class or function it decorates
+        const decorated = statements.find(other => other.start > statement.end && !lines[other.start].trim().startsWith('@'));
+        const header = decorated && lines[decorated.start].match(/^\s*(?:async\s+)?(?:class|def)\s+(\w+)/);
+        if (decorated && header) {
+            return { resource: header[1], start: statement.start, end: blockEnd(lines, decorated.start) };
+        }
+    }
+
+    const assignment = firstLine.match(/^(?:self\.)?(\w+)\s*(?::[^=]+)?=(?!=)/);
+    if (assignment && !metadataField(assignment[1])) {
+        return { resource: assignment[1], start: statement.start, end: statement.end };
+    }
+
+    const call = firstLine.match(/^(?:return\s+|await\s+)?([\w.]+)\s*\(/);
+    if (call) {
+        const id = text.match(/[(,]\s*(["'])([^"']*)\1\s*[,)]/);
+        return { resource: id ? id[2] : call[1], start: statement.start, end: statement.end };
+    }
+
+    // Walk out through enclosing blocks, preferring a class over the method that sets the attribute
+    let indent = lines[statement.start].length - lines[statement.start].trimStart().length;
+    let enclosingFunction: { resource: string; start: number; end: number } | undefined;
+    for (let i = statement.start - 1; i >= 0 && indent > 0; i--) {
+        const line = lines[i];
+        const lineIndent = line.length - line.trimStart().length;
+        if (line.trim() === '' || lineIndent >= indent) {
+            continue;
+        }
+        indent = lineIndent;
+
+        const header = line.match(/^\s*(?:async\s+)?(class|def)\s+(\w+)/);
+        if (header && header[1] === 'class') {
+            return { resource: header[2], start: i, end: blockEnd(lines, i) };
+        }
+        if (header && !enclosingFunction) {
+            enclosingFunction = { resource: header[2], start: i, end: blockEnd(lines, i) };
+        }
+    }
+    return enclosingFunction || { resource: '(module)', start: 0, end: lines.length - 1 };
+}
+
+// Last line indented deeper than a class or def header
+function blockEnd(lines: string[], header: number): number {
+    const indent = lines[header].length - lines[header].trimStart().length;
+    let end = header;
+    for (let i = header + 1; i < lines.length; i++) {
+        if (lines[i].trim() === '') {
+            continue;
+        }
+        if (lines[i].length - lines[i].trimStart().length <= indent) {
+            break;
+        }
+        end = i;
+    }
+    return end;
+}
+
 interface PythonCustomPattern {
     type: string;
     label: string;
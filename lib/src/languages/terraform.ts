@@ -0,0 +1,208 @@
+/**
+ * Terraform/HCL Language-Specific Semantic Analysis
+ * Uses the HCL parser to tag blocks and read purpose metadata from tags/labels maps
+ */
+
+import { SemanticTag } from '../semantic-engine';
+import { parseHcl, HclBlock, HclBodyItem, HclExpression, HclObjectEntry } from './hcl';
+import { ResourceRecord, metadataField, setMetadata } from '../resources';
+
+export interface TerraformSemanticTag extends SemanticTag {
+    terraformContext?: {
+        blockType: string;
+        resourceType?: string;
+        name?: string;
+        address: string; // e.g. aws_s3_bucket.data_lake, module.network
+        endLine: number;
+    };
+}
+
+export interface TerraformAnalyzerOptions {
+    metadataAttributes?: string[]; // Map attributes holding purpose metadata
+}
+
+interface BlockDefinition {
+    type: string;
+    label: string;
+    confidence: number;
+    hasResourceType: boolean;
+}
+
+const BLOCK_DEFINITIONS: Record<string, BlockDefinition> = {
+    resource: { type: 'terraform_resource', label: 'Terraform Resource', confidence: 0.95, hasResourceType: true },
+    data: { type: 'terraform_data', label: 'Terraform Data Source', confidence: 0.95, hasResourceType: true },
+    module: { type: 'terraform_module', label: 'Terraform Module', confidence: 0.95, hasResourceType: false },
+    provider: { type: 'terraform_provider', label: 'Terraform Provider', confidence: 0.95, hasResourceType: false },
+    variable: { type: 'terraform_variable', label: 'Terraform Variable', confidence: 0.9, hasResourceType: false }
+};
+
+const METADATA_LABELS: Record<string, string> = {
+    purpose: 'Declared Purpose',
+    owner: 'Responsibility Assignment',
+    expiry: 'Lifecycle Expectation'
+};
+
+export const DEFAULT_METADATA_ATTRIBUTES = ['tags', 'labels'];
+
+export class TerraformAnalyzer {
+    private metadataAttributes: string[];
+
+    constructor(options: TerraformAnalyzerOptions = {}) {
+        this.metadataAttributes = options.metadataAttributes || DEFAULT_METADATA_ATTRIBUTES;
+    }
+
+    /**
+     * Analyze Terraform code block by block
+     */
+    analyze(code: string): TerraformSemanticTag[] {
+        const file = parseHcl(code);
+        const tags: TerraformSemanticTag[] = [];
+
+        for (const item of file.body) {
+            if (item.kind === 'block') {
+                this.visitBlock(item, code, tags);
+            }
+        }
+
+        return tags;
+    }
+
+    /**
+     * One record per resource and module block, whether or not it declares purpose metadata
+     */
+    findResources(code: string): ResourceRecord[] {
+        const records: ResourceRecord[] = [];
+
+        for (const item of parseHcl(code).body) {
+            if (item.kind !== 'block' || (item.type !== 'resource' && item.type !== 'module') || !hasLabels(item, BLOCK_DEFINITIONS[item.type])) {
+                continue;
+            }
+
+            const context = this.getBlockContext(item, BLOCK_DEFINITIONS[item.type])!;
+            const record: ResourceRecord = {
+                resource: context.address,
+                location: { line: item.range.start.line, column: item.range.start.column, endLine: context.endLine }
+            };
+            for (const entry of this.findMetadataEntries(item.body)) {
+                const field = metadataField(entry.key);
+                if (field) {
+                    setMetadata(record, field, entry.value.kind === 'string' ?
+                        entry.value.value :
+                        code.slice(entry.value.range.start.offset, entry.value.range.end.offset));
+                }
+            }
+            records.push(record);
+        }
+
+        return records;
+    }
+
+    private visitBlock(block: HclBlock, code: string, tags: TerraformSemanticTag[]): void {
+        const definition = BLOCK_DEFINITIONS[block.type];
+        if (!definition || !hasLabels(block, definition)) {
+            return;
+        }
+
+        const context = this.getBlockContext(block, definition);
+        const header = code.slice(block.headerRange.start.offset, block.headerRange.end.offset);
+
+        tags.push({
+            type: definition.type,
+            label: definition.label,
+            line: block.range.start.line,
+            column: block.range.start.column,
+            length: header.length,
+            confidence: definition.confidence,
+            match: header,
+            terraformContext: context
+        });
+
+        for (const entry of this.findMetadataEntries(block.body)) {
+            const metadataType = this.getMetadataType(entry.key);
+            if (!metadataType) {
+                continue;
+            }
+
+            tags.push({
+                type: metadataType,
+                label: METADATA_LABELS[metadataType],
+                line: entry.range.start.line,
+                column: entry.range.start.column,
+                length: entry.range.end.offset - entry.range.start.offset,
+                confidence: entry.value.kind === 'string' ? 0.95 : 0.85,
+                match: entry.value.kind === 'string' ? entry.value.value : code.slice(entry.value.range.start.offset, entry.value.range.end.offset),
+                terraformContext: context
+            });
+        }
+    }
+
+    private getBlockContext(block: HclBlock, definition: BlockDefinition): TerraformSemanticTag['terraformContext'] {
+        const [first, second] = block.labels;
+        const resourceType = definition.hasResourceType ? first : undefined;
+        const name = definition.hasResourceType ? second : first;
+
+        let address: string;
+        if (block.type === 'resource') {
+            address = `${first}.${second}`;
+        } else if (block.type === 'data') {
+            address = `data.${first}.${second}`;
+        } else if (block.type === 'variable') {
+            address = `var.${first}`;
+        } else {
+            address = `${block.type}.${first}`;
+        }
+
+        return {
+            blockType: block.type,
+            resourceType,
+            name,
+            address,
+            endLine: block.range.end.line
+        };
+    }
+
+    /**
+     * Collect entries of `tags`/`labels` maps, including maps nested in calls like merge()
+     * and in nested blocks such as the AWS provider's default_tags
+     */
+    private findMetadataEntries(body: HclBodyItem[]): HclObjectEntry[] {
+        const entries: HclObjectEntry[] = [];
+
+        for (const item of body) {
+            if (item.kind === 'attribute' && this.metadataAttributes.includes(item.name)) {
+                entries.push(...collectObjectEntries(item.value));
+            } else if (item.kind === 'block' && !BLOCK_DEFINITIONS[item.type]) {
+                entries.push(...this.findMetadataEntries(item.body));
+            }
+        }
+
+        return entries;
+    }
+
+    private getMetadataType(key: string): string | undefined {
+        // Accept namespaced keys like "cosca.tech/owner" or "cosca:purpose"
+        const name = key.split(/[/:.]/).pop()!.toLowerCase();
+        return METADATA_LABELS[name] ? name : undefined;
+    }
+}
+
+function collectObjectEntries(expression: HclExpression): HclObjectEntry[] {
+    switch (expression.kind) {
+        case 'object':
+            return expression.entries;
+        case 'call':
+            return expression.args.flatMap(collectObjectEntries);
+        default:
+            return [];
+    }
+}
+
+// Blocks still being typed, like `resource {`, have no address yet
+function hasLabels(block: HclBlock, definition: BlockDefinition): boolean {
+    return block.labels.length >= (definition.hasResourceType ? 2 : 1);
+}
+
+// Export factory function
+export function createTerraformAnalyzer(options?: TerraformAnalyzerOptions): TerraformAnalyzer {
+    return new TerraformAnalyzer(options);
+}
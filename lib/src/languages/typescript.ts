@@ -3,7 +3,12 @@
  */
 
 import * as ts from 'typescript';
-import { ASTAnalyzer, CustomTagDefinition, ASTSemanticTag } from '../ast-analyzer';
+import { ASTAnalyzer, ASTAnalysisResult, CustomTagDefinition, ASTSemanticTag } from '../ast-analyzer';
+import { CancellationOptions } from '../cancellation';
+import { ResourceRecord, metadataField, setMetadata } from '../resources';
+
+// Properties whose object literal holds a resource's metadata rather than being a resource itself
+const METADATA_CONTAINERS = ['tags', 'labels', 'annotations', 'metadata'];
 
 export class TypeScriptAnalyzer extends ASTAnalyzer {
     constructor() {
@@ -17,6 +22,44 @@ export class TypeScriptAnalyzer extends ASTAnalyzer {
         return this.analyzeTypeScript(code, fileName);
     }
 
+    /**
+     * Analyze with cancellation; the result says how far analysis got
+     */
+    analyzeCancellable(code: string, fileName: string = 'temp.ts', options: CancellationOptions = {}): ASTAnalysisResult {
+        return this.analyzeTypeScriptCancellable(code, fileName, options);
+    }
+
+    /**
+     * Purpose metadata from object literal properties and class fields, one record per enclosing
+     * variable, property, class or construct that declares any
+     */
+    findResources(code: string, fileName: string = 'temp.ts'): ResourceRecord[] {
+        const sourceFile = ts.createSourceFile(fileName, code, ts.ScriptTarget.Latest, true);
+        const records = new Map<ts.Node, ResourceRecord>();
+
+        const visit = (node: ts.Node): void => {
+            const property = ts.isPropertyAssignment(node) || ts.isPropertyDeclaration(node) ? node : undefined;
+            const field = property && property.initializer ? metadataField(property.name.getText(sourceFile)) : undefined;
+            if (property && property.initializer && field) {
+                const owner = findResourceNode(property, sourceFile);
+                let record = records.get(owner.node);
+                if (!record) {
+                    const start = sourceFile.getLineAndCharacterOfPosition(owner.node.getStart(sourceFile));
+                    record = {
+                        resource: owner.name,
+                        location: { line: start.line, column: start.character, endLine: sourceFile.getLineAndCharacterOfPosition(owner.node.getEnd()).line }
+                    };
+                    records.set(owner.node, record);
+                }
+                setMetadata(record, field, stringValue(property.initializer, sourceFile));
+            }
+            ts.forEachChild(node, visit);
+        };
+        visit(sourceFile);
+
+        return [...records.values()];
+    }
+
     /**
      * Detect React/Next.js patterns
      */
@@ -73,6 +116,41 @@ export class TypeScriptAnalyzer extends ASTAnalyzer {
     }
 }
 
+/**
+ * Nearest enclosing node that names the resource a metadata property describes: a variable,
+ * property or class, or failing that the construct call the object literal was passed to,
+ * named by its first string argument (e.g. new s3.Bucket(this, 'Logs', {...}) is Logs)
+ */
+function findResourceNode(property: ts.Node, sourceFile: ts.SourceFile): { node: ts.Node; name: string } {
+    let call: ts.CallExpression | ts.NewExpression | undefined;
+
+    for (let node = property.parent; node; node = node.parent) {
+        if (ts.isVariableDeclaration(node) || ts.isPropertyAssignment(node) || ts.isPropertyDeclaration(node)) {
+            const name = node.name.getText(sourceFile).replace(/^["']|["']$/g, '');
+            if (!METADATA_CONTAINERS.includes(name)) {
+                return { node, name };
+            }
+        } else if ((ts.isClassDeclaration(node) || ts.isClassExpression(node)) && node.name) {
+            return { node, name: node.name.text };
+        } else if ((ts.isCallExpression(node) || ts.isNewExpression(node)) && !call) {
+            call = node;
+        } else if (ts.isFunctionLike(node) || ts.isBlock(node) || ts.isSourceFile(node)) {
+            break; // Objects built inside a function body belong to the call they are passed to, if any
+        }
+    }
+
+    if (call) {
+        const args: readonly ts.Expression[] = call.arguments || [];
+        const id = args.find(ts.isStringLiteral);
+        return { node: call, name: id ? id.text : call.expression.getText(sourceFile) };
+    }
+    return { node: property.parent, name: '(anonymous)' };
+}
+
+function stringValue(expression: ts.Expression, sourceFile: ts.SourceFile): string {
+    return ts.isStringLiteral(expression) || ts.isNoSubstitutionTemplateLiteral(expression) ? expression.text : expression.getText(sourceFile);
+}
+
 // TypeScript-specific custom tags
 export const TYPESCRIPT_CUSTOM_TAGS: CustomTagDefinition[] = [
     {
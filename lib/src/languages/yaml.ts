@@ -0,0 +1,273 @@
+/**
+ * YAML / Kubernetes Manifest Semantic Analysis
+ * Parses multi-document YAML and tags Kubernetes resources by apiVersion/kind
+ */
+
+import { parseAllDocuments, LineCounter, isMap, isSeq, isScalar, Node, Pair, YAMLMap } from 'yaml';
+import { SemanticTag } from '../semantic-engine';
+import { ResourceRecord, metadataField, setMetadata } from '../resources';
+
+export interface YamlSemanticTag extends SemanticTag {
+    kubernetesContext?: {
+        apiVersion: string;
+        kind: string;
+        name?: string;
+        namespace?: string;
+        documentIndex: number;
+        endLine: number;
+    };
+}
+
+interface KindDefinition {
+    type: string;
+    label: string;
+}
+
+const WORKLOAD_KINDS = ['StatefulSet', 'DaemonSet', 'ReplicaSet', 'Job', 'CronJob', 'Pod'];
+const RBAC_KINDS = ['Role', 'ClusterRole', 'RoleBinding', 'ClusterRoleBinding', 'ServiceAccount'];
+
+const METADATA_LABELS: Record<string, string> = {
+    purpose: 'Declared Purpose',
+    owner: 'Responsibility Assignment',
+    expiry: 'Lifecycle Expectation'
+};
+
+export class YamlAnalyzer {
+    /**
+     * Analyze every document in a YAML file
+     */
+    analyze(code: string): YamlSemanticTag[] {
+        const lineCounter = new LineCounter();
+        const documents = parseAllDocuments(code, { lineCounter });
+        const tags: YamlSemanticTag[] = [];
+
+        if (!Array.isArray(documents)) {
+            return tags; // Empty stream
+        }
+
+        documents.forEach((document, documentIndex) => {
+            if (document.errors.length > 0 || !isMap(document.contents)) {
+                return;
+            }
+
+            const manifest = new ManifestVisitor(document.contents, documentIndex, lineCounter, tags);
+            manifest.visit();
+        });
+
+        return tags;
+    }
+
+    /**
+     * One record per Kubernetes object, with purpose metadata from its labels and annotations
+     */
+    findResources(code: string): ResourceRecord[] {
+        const lineCounter = new LineCounter();
+        const documents = parseAllDocuments(code, { lineCounter });
+        const records: ResourceRecord[] = [];
+
+        if (!Array.isArray(documents)) {
+            return records;
+        }
+
+        for (const document of documents) {
+            const root = document.contents;
+            if (document.errors.length > 0 || !isMap(root) || !root.range) {
+                continue;
+            }
+            const kind = getScalar(root, 'kind');
+            if (!getScalar(root, 'apiVersion') || !kind) {
+                continue;
+            }
+
+            const metadata = getMap(root, 'metadata');
+            const name = metadata ? getScalar(metadata, 'name') : undefined;
+            const start = lineCounter.linePos(root.range[0]);
+            const record: ResourceRecord = {
+                resource: name ? `${kind}/${name}` : kind,
+                // The range ends after the object's last newline
+                location: { line: start.line - 1, column: start.col - 1, endLine: lineCounter.linePos(Math.max(root.range[0], root.range[1] - 1)).line - 1 }
+            };
+
+            for (const section of ['labels', 'annotations']) {
+                const map = metadata ? getMap(metadata, section) : undefined;
+                for (const pair of map ? map.items : []) {
+                    const field = isScalar(pair.key) ? metadataField(String(pair.key.value)) : undefined;
+                    if (field && isScalar(pair.value)) {
+                        setMetadata(record, field, String(pair.value.value));
+                    }
+                }
+            }
+            records.push(record);
+        }
+
+        return records;
+    }
+}
+
+class ManifestVisitor {
+    private context?: YamlSemanticTag['kubernetesContext'];
+
+    constructor(
+        private readonly root: YAMLMap,
+        private readonly documentIndex: number,
+        private readonly lineCounter: LineCounter,
+        private readonly tags: YamlSemanticTag[]
+    ) {}
+
+    visit(): void {
+        const apiVersion = getScalar(this.root, 'apiVersion');
+        const kind = getScalar(this.root, 'kind');
+        if (!apiVersion || !kind) {
+            return; // Not a Kubernetes manifest
+        }
+
+        const metadata = getMap(this.root, 'metadata');
+        this.context = {
+            apiVersion,
+            kind,
+            name: metadata ? getScalar(metadata, 'name') : undefined,
+            namespace: metadata ? getScalar(metadata, 'namespace') : undefined,
+            documentIndex: this.documentIndex,
+            endLine: this.position(this.root.range![1]).line
+        };
+
+        const kindPair = findPair(this.root, 'kind')!;
+        const definition = getKindDefinition(kind);
+        this.addTag(definition.type, definition.label, kindPair, 0.95, `${kind}/${this.context.name || ''}`.replace(/\/$/, ''));
+
+        if (metadata) {
+            this.visitMetadata(metadata);
+        }
+
+        const spec = getMap(this.root, 'spec');
+        if (spec) {
+            this.visitContainers(spec);
+        }
+    }
+
+    private visitMetadata(metadata: YAMLMap): void {
+        for (const section of ['labels', 'annotations']) {
+            const map = getMap(metadata, section);
+            if (!map) {
+                continue;
+            }
+
+            for (const pair of map.items) {
+                const key = isScalar(pair.key) ? String(pair.key.value) : '';
+                // Accept namespaced keys like cosca.tech/owner
+                const name = key.split('/').pop()!.toLowerCase();
+                if (METADATA_LABELS[name] && isScalar(pair.value)) {
+                    this.addTag(name, METADATA_LABELS[name], pair, 0.95, String(pair.value.value));
+                }
+            }
+        }
+    }
+
+    /**
+     * Find container lists anywhere under spec (Deployment templates, CronJob job templates, bare Pods)
+     */
+    private visitContainers(node: YAMLMap): void {
+        for (const pair of node.items) {
+            const key = isScalar(pair.key) ? String(pair.key.value) : '';
+
+            if ((key === 'containers' || key === 'initContainers') && isSeq(pair.value)) {
+                for (const container of pair.value.items) {
+                    if (isMap(container)) {
+                        this.visitContainer(container);
+                    }
+                }
+            } else if (isMap(pair.value)) {
+                this.visitContainers(pair.value);
+            }
+        }
+    }
+
+    private visitContainer(container: YAMLMap): void {
+        const resources = getMap(container, 'resources');
+        const name = getScalar(container, 'name') || 'container';
+
+        for (const section of ['requests', 'limits']) {
+            const pair = resources ? findPair(resources, section) : undefined;
+            if (pair && isMap(pair.value)) {
+                const values = pair.value.items
+                    .filter(item => isScalar(item.key) && isScalar(item.value))
+                    .map(item => `${(item.key as any).value}=${(item.value as any).value}`)
+                    .join(', ');
+                const label = section === 'requests' ? 'Resource Requests' : 'Resource Limits';
+                this.addTag(`k8s_resource_${section}`, label, pair, 0.95, `${name}: ${values}`);
+            }
+        }
+
+        if (!resources || !findPair(resources, 'limits')) {
+            const namePair = findPair(container, 'name') || container.items[0];
+            if (namePair) {
+                this.addTag('k8s_missing_limits', 'Missing Resource Limits', namePair, 0.85, name);
+            }
+        }
+    }
+
+    private addTag(type: string, label: string, pair: Pair, confidence: number, match: string): void {
+        const keyNode = pair.key as Node;
+        if (!keyNode.range) {
+            return;
+        }
+
+        const start = this.position(keyNode.range[0]);
+        const valueNode = pair.value as Node | null;
+        const end = valueNode && valueNode.range ? valueNode.range[1] : keyNode.range[1];
+
+        this.tags.push({
+            type,
+            label,
+            line: start.line,
+            column: start.column,
+            length: this.position(end).line === start.line ? end - keyNode.range[0] : keyNode.range[1] - keyNode.range[0],
+            confidence,
+            match,
+            kubernetesContext: this.context
+        });
+    }
+
+    private position(offset: number): { line: number; column: number } {
+        const { line, col } = this.lineCounter.linePos(offset);
+        return { line: line - 1, column: col - 1 };
+    }
+}
+
+function getKindDefinition(kind: string): KindDefinition {
+    if (kind === 'Deployment') {
+        return { type: 'k8s_deployment', label: 'Kubernetes Deployment' };
+    }
+    if (kind === 'Service') {
+        return { type: 'k8s_service', label: 'Kubernetes Service' };
+    }
+    if (kind === 'Ingress') {
+        return { type: 'k8s_ingress', label: 'Kubernetes Ingress' };
+    }
+    if (RBAC_KINDS.includes(kind)) {
+        return { type: 'k8s_rbac', label: 'Kubernetes RBAC' };
+    }
+    if (WORKLOAD_KINDS.includes(kind)) {
+        return { type: 'k8s_workload', label: 'Kubernetes Workload' };
+    }
+    return { type: 'k8s_resource', label: 'Kubernetes Resource' };
+}
+
+function findPair(map: YAMLMap, key: string): Pair | undefined {
+    return map.items.find(pair => isScalar(pair.key) && pair.key.value === key) as Pair | undefined;
+}
+
+function getMap(map: YAMLMap, key: string): YAMLMap | undefined {
+    const pair = findPair(map, key);
+    return pair && isMap(pair.value) ? pair.value : undefined;
+}
+
+function getScalar(map: YAMLMap, key: string): string | undefined {
+    const pair = findPair(map, key);
+    return pair && isScalar(pair.value) && pair.value.value !== null ? String(pair.value.value) : undefined;
+}
+
+// Export factory function
+export function createYamlAnalyzer(): YamlAnalyzer {
+    return new YamlAnalyzer();
+}
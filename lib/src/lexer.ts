@@ -0,0 +1,207 @@
+/**
+ * Per-Language Lexer
+ * Classifies source text into code, comment, string and identifier spans
+ * so patterns only fire where they are meaningful
+ */
+
+export type SpanKind = 'code' | 'comment' | 'string' | 'identifier';
+
+export const ALL_SPAN_KINDS: SpanKind[] = ['code', 'comment', 'string', 'identifier'];
+
+export interface Span {
+    kind: SpanKind;
+    start: number; // Inclusive offset into the text
+    end: number; // Exclusive offset into the text
+}
+
+export interface LexerRules {
+    lineComments: string[];
+    blockComments: Array<[string, string]>;
+    quotes: string[];
+    tripleQuotes?: boolean; // Python-style """docstrings"""
+    heredocs?: boolean; // Terraform-style <<EOF ... EOF
+    commentNeedsWhitespace?: boolean; // `#` only starts a comment at line start or after whitespace (YAML, Dockerfile)
+}
+
+const C_STYLE: LexerRules = {
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    quotes: ['"', "'", '`']
+};
+
+const LANGUAGE_RULES: Record<string, LexerRules> = {
+    typescript: C_STYLE,
+    javascript: C_STYLE,
+    go: C_STYLE,
+    python: {
+        lineComments: ['#'],
+        blockComments: [],
+        quotes: ['"', "'"],
+        tripleQuotes: true
+    },
+    terraform: {
+        lineComments: ['#', '//'],
+        blockComments: [['/*', '*/']],
+        quotes: ['"'],
+        heredocs: true
+    },
+    yaml: {
+        lineComments: ['#'],
+        blockComments: [],
+        quotes: ['"', "'"],
+        commentNeedsWhitespace: true
+    },
+    dockerfile: {
+        lineComments: ['#'],
+        blockComments: [],
+        quotes: ['"', "'"],
+        commentNeedsWhitespace: true
+    },
+    json: {
+        lineComments: [],
+        blockComments: [],
+        quotes: ['"']
+    }
+};
+
+export function getLexerRules(languageId?: string): LexerRules {
+    return LANGUAGE_RULES[languageId || ''] || C_STYLE;
+}
+
+/**
+ * Split text into contiguous spans covering every character
+ */
+export function tokenize(text: string, languageId?: string): Span[] {
+    const rules = getLexerRules(languageId);
+    const spans: Span[] = [];
+    let codeStart = 0;
+    let i = 0;
+
+    const flushCode = (end: number): void => {
+        pushCodeSpans(text, codeStart, end, spans);
+    };
+
+    const emit = (kind: SpanKind, start: number, end: number): void => {
+        flushCode(start);
+        spans.push({ kind, start, end });
+        codeStart = end;
+        i = end;
+    };
+
+    while (i < text.length) {
+        const lineComment = rules.lineComments.find(marker => text.startsWith(marker, i));
+        if (lineComment && (!rules.commentNeedsWhitespace || i === 0 || /\s/.test(text[i - 1]))) {
+            const newline = text.indexOf('\n', i);
+            emit('comment', i, newline === -1 ? text.length : newline);
+            continue;
+        }
+
+        const block = rules.blockComments.find(([open]) => text.startsWith(open, i));
+        if (block) {
+            const close = text.indexOf(block[1], i + block[0].length);
+            emit('comment', i, close === -1 ? text.length : close + block[1].length);
+            continue;
+        }
+
+        if (rules.tripleQuotes && (text.startsWith('"""', i) || text.startsWith("'''", i))) {
+            const delimiter = text.slice(i, i + 3);
+            const close = text.indexOf(delimiter, i + 3);
+            emit('string', i, close === -1 ? text.length : close + 3);
+            continue;
+        }
+
+        if (rules.heredocs && text.startsWith('<<', i)) {
+            const heredoc = /^<<-?([A-Za-z_][A-Za-z0-9_]*)[ \t]*\r?\n/.exec(text.slice(i));
+            if (heredoc) {
+                const terminator = new RegExp(`^[ \\t]*${heredoc[1]}[ \\t]*$`, 'm');
+                const bodyStart = i + heredoc[0].length;
+                const close = terminator.exec(text.slice(bodyStart));
+                emit('string', i, close ? bodyStart + close.index + close[0].length : text.length);
+                continue;
+            }
+        }
+
+        const quote = rules.quotes.find(q => text[i] === q);
+        if (quote) {
+            emit('string', i, findStringEnd(text, i, quote));
+            continue;
+        }
+
+        i++;
+    }
+
+    flushCode(text.length);
+    return spans;
+}
+
+function findStringEnd(text: string, start: number, quote: string): number {
+    for (let i = start + 1; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === quote) {
+            return i + 1;
+        } else if (char === '\n' && quote !== '`') {
+            return i; // Unterminated single-line string
+        }
+    }
+    return text.length;
+}
+
+function pushCodeSpans(text: string, start: number, end: number, spans: Span[]): void {
+    if (end <= start) {
+        return;
+    }
+
+    const chunk = text.slice(start, end);
+    const identifier = /[A-Za-z_$][\w$]*/g;
+    let cursor = start;
+    let match;
+
+    while ((match = identifier.exec(chunk)) !== null) {
+        const matchStart = start + match.index;
+        if (matchStart > cursor) {
+            spans.push({ kind: 'code', start: cursor, end: matchStart });
+        }
+        spans.push({ kind: 'identifier', start: matchStart, end: matchStart + match[0].length });
+        cursor = matchStart + match[0].length;
+    }
+
+    if (cursor < end) {
+        spans.push({ kind: 'code', start: cursor, end });
+    }
+}
+
+/**
+ * Fast span lookup by offset
+ */
+export class SpanIndex {
+    constructor(private readonly spans: Span[]) {}
+
+    static fromText(text: string, languageId?: string): SpanIndex {
+        return new SpanIndex(tokenize(text, languageId));
+    }
+
+    kindAt(offset: number): SpanKind {
+        let low = 0;
+        let high = this.spans.length - 1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const span = this.spans[mid];
+            if (offset < span.start) {
+                high = mid - 1;
+            } else if (offset >= span.end) {
+                low = mid + 1;
+            } else {
+                return span.kind;
+            }
+        }
+
+        return 'code';
+    }
+
+    getSpans(): Span[] {
+        return this.spans;
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * Overlap Resolution
+ * Collapses tags that describe the same code: duplicates of one type,
+ * same-type tags on enclosing AST nodes, and different types on one span
+ */
+
+import { SemanticTag } from './semantic-engine';
+
+interface RangedTag<T> {
+    tag: T;
+    start: number;
+    end: number;
+    order: number;
+}
+
+/**
+ * Resolve overlapping tags in three passes:
+ * 1. a tag whose range strictly contains another tag of the same type is an ancestor duplicate and is dropped,
+ * 2. other overlapping tags of the same type keep only the earliest in input order,
+ * 3. tags of different types sharing an identical range merge into the most confident one,
+ *    which lists the rest in `secondaryTypes`.
+ *
+ * `text` is the analyzed source, needed to compare ranges that span several lines.
+ */
+export function resolveOverlaps<T extends SemanticTag>(tags: T[], text: string): T[] {
+    const lineStarts = computeLineStarts(text);
+    const ranged = tags.map((tag, order) => {
+        const start = (lineStarts[tag.line] ?? text.length) + tag.column;
+        return { tag, start, end: start + tag.length, order };
+    });
+
+    const withoutDuplicates = suppressSameTypeOverlaps(ranged);
+    return mergeIdenticalSpans(withoutDuplicates)
+        .sort((a, b) => a.tag.line - b.tag.line || a.tag.column - b.tag.column || a.order - b.order)
+        .map(entry => entry.tag);
+}
+
+function suppressSameTypeOverlaps<T extends SemanticTag>(ranged: Array<RangedTag<T>>): Array<RangedTag<T>> {
+    const byType = new Map<string, Array<RangedTag<T>>>();
+    for (const entry of ranged) {
+        const group = byType.get(entry.tag.type) || [];
+        group.push(entry);
+        byType.set(entry.tag.type, group);
+    }
+
+    const kept: Array<RangedTag<T>> = [];
+    for (const group of byType.values()) {
+        // Innermost ranges first, so enclosing tags find the descendant that replaces them
+        const sorted = [...group].sort((a, b) => (a.end - a.start) - (b.end - b.start) || a.order - b.order);
+        const groupKept: Array<RangedTag<T>> = [];
+
+        for (const entry of sorted) {
+            const overlapping = groupKept.filter(other => entry.start < other.end && other.start < entry.end);
+            const isAncestor = overlapping.some(other => entry.start <= other.start && other.end <= entry.end &&
+                other.end - other.start < entry.end - entry.start);
+
+            if (isAncestor) {
+                continue;
+            }
+
+            // A same-size or partial overlap: the tag given first wins
+            const earlier = overlapping.find(other => other.order < entry.order);
+            if (earlier) {
+                continue;
+            }
+
+            for (const later of overlapping) {
+                groupKept.splice(groupKept.indexOf(later), 1);
+            }
+            groupKept.push(entry);
+        }
+
+        kept.push(...groupKept);
+    }
+
+    return kept;
+}
+
+function mergeIdenticalSpans<T extends SemanticTag>(ranged: Array<RangedTag<T>>): Array<RangedTag<T>> {
+    const bySpan = new Map<string, Array<RangedTag<T>>>();
+    for (const entry of ranged) {
+        const key = `${entry.start}:${entry.end}`;
+        const group = bySpan.get(key) || [];
+        group.push(entry);
+        bySpan.set(key, group);
+    }
+
+    const merged: Array<RangedTag<T>> = [];
+    for (const group of bySpan.values()) {
+        if (group.length === 1) {
+            merged.push(group[0]);
+            continue;
+        }
+
+        const [primary, ...others] = [...group].sort((a, b) => b.tag.confidence - a.tag.confidence || a.order - b.order);
+        const secondaryTypes = new Set([...(primary.tag.secondaryTypes || [])]);
+        for (const other of others) {
+            for (const type of [other.tag.type, ...(other.tag.secondaryTypes || [])]) {
+                if (type !== primary.tag.type) {
+                    secondaryTypes.add(type);
+                }
+            }
+        }
+
+        // Keep context fields (terraformContext, astNode, ...) that only the other tags carried
+        const tag = Object.assign({}, ...others.map(other => other.tag).reverse(), primary.tag, {
+            secondaryTypes: [...secondaryTypes]
+        }) as T;
+        merged.push({ ...primary, tag, order: Math.min(...group.map(entry => entry.order)) });
+    }
+
+    return merged;
+}
+
+function computeLineStarts(text: string): number[] {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') {
+            starts.push(i + 1);
+        }
+    }
+    return starts;
+}
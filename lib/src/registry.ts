@@ -0,0 +1,148 @@
+/**
+ * Language Analyzer Registry
+ * Maps language IDs and file patterns to the language-specific analyzers
+ * that SemanticEngine runs alongside its generic patterns
+ */
+
+import { SemanticTag, TagCategory } from './semantic-engine';
+import { CancellationOptions } from './cancellation';
+import { matchAnyGlob } from './utils/glob';
+import { createTerraformAnalyzer } from './languages/terraform';
+import { createYamlAnalyzer } from './languages/yaml';
+import { createDockerfileAnalyzer } from './languages/dockerfile';
+import { createGoAnalyzer, GO_INFRASTRUCTURE_PATTERNS } from './languages/go';
+import { createPythonAnalyzer, PYTHON_INFRASTRUCTURE_PATTERNS } from './languages/python';
+import { createTypeScriptAnalyzer, TYPESCRIPT_CUSTOM_TAGS } from './languages/typescript';
+import { TagDefinition } from './ast-analyzer';
+import { ResourceRecord } from './resources';
+
+/**
+ * What an analyzer that supports cancellation returns: its tags plus how far it got
+ */
+export interface LanguageAnalysis {
+    tags: SemanticTag[];
+    partial: boolean;
+    linesAnalyzed: number;
+}
+
+export interface LanguageAnalyzer {
+    // Analyzers that finish quickly may ignore the cancellation options and return plain tags
+    analyze(code: string, filePath?: string, options?: CancellationOptions): SemanticTag[] | LanguageAnalysis;
+    // Resources the code declares with their purpose metadata, for AnalysisResult.resources
+    findResources?(code: string, filePath?: string): ResourceRecord[];
+}
+
+export interface AnalyzerRegistration {
+    id: string;
+    languageIds: string[];
+    filePatterns?: string[]; // Globs matched against the file path, e.g. '**/Dockerfile.*'
+    analyzer: LanguageAnalyzer;
+    categorize?: (tag: SemanticTag) => TagCategory | undefined; // Category for tags the engine does not know
+    replacesPatterns?: string[]; // Tag types only the analyzer reports; the engine's generic patterns for them are skipped
+}
+
+export class AnalyzerRegistry {
+    private registrations: AnalyzerRegistration[] = [];
+
+    /**
+     * Register an analyzer, replacing any existing registration with the same ID
+     */
+    register(registration: AnalyzerRegistration): this {
+        this.unregister(registration.id);
+        this.registrations.push(registration);
+        return this;
+    }
+
+    unregister(id: string): boolean {
+        const index = this.registrations.findIndex(registration => registration.id === id);
+        if (index === -1) {
+            return false;
+        }
+        this.registrations.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Registrations that apply to a language ID or file path
+     */
+    getAnalyzers(languageId?: string, filePath?: string): AnalyzerRegistration[] {
+        const normalizedPath = filePath ? filePath.replace(/\\/g, '/') : undefined;
+        return this.registrations.filter(registration =>
+            (languageId !== undefined && registration.languageIds.includes(languageId)) ||
+            (normalizedPath !== undefined && registration.filePatterns !== undefined &&
+                matchAnyGlob(normalizedPath, registration.filePatterns))
+        );
+    }
+
+    getRegistrations(): AnalyzerRegistration[] {
+        return [...this.registrations];
+    }
+}
+
+export interface DefaultRegistryOptions {
+    typescriptTags?: TagDefinition[]; // Extra AST tags for the TypeScript analyzer, e.g. from .semantictags.json
+}
+
+// Everything a Terraform, Kubernetes or Dockerfile analyzer reports is infrastructure except purpose metadata
+const categorizeInfrastructureFile = (tag: SemanticTag): TagCategory =>
+    ['purpose', 'owner', 'expiry'].includes(tag.type) ? 'purpose' : 'infrastructure';
+
+function categorizeByPatterns(patterns: Array<{ type: string; category: TagCategory }>): (tag: SemanticTag) => TagCategory | undefined {
+    const categories = new Map(patterns.map(pattern => [pattern.type, pattern.category]));
+    return tag => categories.get(tag.type);
+}
+
+/**
+ * Registry with the built-in Terraform, YAML, Dockerfile, Go, Python and TypeScript analyzers
+ */
+export function createDefaultRegistry(options: DefaultRegistryOptions = {}): AnalyzerRegistry {
+    const typescriptTags = [...TYPESCRIPT_CUSTOM_TAGS, ...(options.typescriptTags || [])];
+    const typescript = createTypeScriptAnalyzer();
+    typescript.addCustomTags(options.typescriptTags || []);
+
+    return new AnalyzerRegistry()
+        .register({
+            id: 'terraform',
+            languageIds: ['terraform', 'hcl'],
+            filePatterns: ['**/*.tf', '**/*.tfvars'],
+            analyzer: createTerraformAnalyzer(),
+            categorize: categorizeInfrastructureFile,
+            // Metadata only counts inside a labeled block's tags map, never in locals or comments
+            replacesPatterns: ['purpose', 'owner', 'expiry']
+        })
+        .register({
+            id: 'yaml',
+            languageIds: ['yaml'],
+            filePatterns: ['**/*.yaml', '**/*.yml'],
+            analyzer: createYamlAnalyzer(),
+            categorize: categorizeInfrastructureFile
+        })
+        .register({
+            id: 'dockerfile',
+            languageIds: ['dockerfile'],
+            filePatterns: ['**/Dockerfile', '**/Dockerfile.*', '**/*.dockerfile', '**/Containerfile'],
+            analyzer: createDockerfileAnalyzer(),
+            categorize: categorizeInfrastructureFile
+        })
+        .register({
+            id: 'go',
+            languageIds: ['go'],
+            analyzer: createGoAnalyzer(),
+            categorize: categorizeByPatterns(GO_INFRASTRUCTURE_PATTERNS)
+        })
+        .register({
+            id: 'python',
+            languageIds: ['python'],
+            analyzer: createPythonAnalyzer(),
+            categorize: categorizeByPatterns(PYTHON_INFRASTRUCTURE_PATTERNS)
+        })
+        .register({
+            id: 'typescript',
+            languageIds: ['typescript', 'javascript'],
+            analyzer: {
+                analyze: (code, filePath, options) => typescript.analyzeCancellable(code, filePath || 'temp.ts', options),
+                findResources: (code, filePath) => typescript.findResources(code, filePath || 'temp.ts')
+            },
+            categorize: categorizeByPatterns(typescriptTags.map(tag => ({ type: tag.name, category: tag.category })))
+        });
+}
@@ -0,0 +1,44 @@
+/**
+ * Resource Records
+ * Purpose metadata grouped by the resource it describes, as reported in AnalysisResult.resources
+ */
+
+import { ExpiryStatus } from './expiry';
+
+export type MetadataField = 'purpose' | 'owner' | 'expiry';
+
+export const METADATA_FIELDS: MetadataField[] = ['purpose', 'owner', 'expiry'];
+
+export interface ResourceLocation {
+    file?: string; // Set when the analyzed file's path is known
+    line: number;
+    column: number;
+    endLine: number;
+}
+
+export interface ResourceRecord {
+    resource: string; // e.g. aws_s3_bucket.data_lake, Deployment/api, DataPipeline
+    purpose?: string;
+    owner?: string;
+    expiry?: string; // As declared, e.g. 2_years
+    expiresAt?: string; // The expiry as a YYYY-MM-DD date, when it could be parsed
+    expiryStatus?: ExpiryStatus;
+    location: ResourceLocation;
+}
+
+/**
+ * Metadata field a key names, accepting namespaced keys like "cosca.tech/owner" or "cosca:purpose"
+ */
+export function metadataField(key: string): MetadataField | undefined {
+    const name = key.replace(/^["']|["']$/g, '').split(/[/:.]/).pop()!.toLowerCase();
+    return METADATA_FIELDS.includes(name as MetadataField) ? name as MetadataField : undefined;
+}
+
+/**
+ * Record a metadata value on a resource; the first value found for a field wins
+ */
+export function setMetadata(record: ResourceRecord, field: MetadataField, value: string): void {
+    if (record[field] === undefined) {
+        record[field] = value;
+    }
+}
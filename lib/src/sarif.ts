@@ -0,0 +1,216 @@
+/**
+ * SARIF 2.1.0 Serializer
+ * Converts semantic tags into a log that code-scanning tools and SARIF viewers can ingest
+ */
+
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+import { SemanticTag, PatternConfig, SemanticEngine } from './semantic-engine';
+import { TagDefinition } from './ast-analyzer';
+
+export const SARIF_VERSION = '2.1.0';
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const TOOL_NAME = 'cosca-semantic-tags';
+const TOOL_INFORMATION_URI = 'https://github.com/coscatech/semantic-tags-plugin/tree/main/lib#readme';
+
+export interface SarifFileTags {
+    filePath: string; // Relative paths resolve against the source root
+    tags: SemanticTag[]; // ASTSemanticTag is accepted as well
+}
+
+export interface SarifOptions {
+    patterns?: PatternConfig[];
+    customTags?: TagDefinition[];
+    sourceRoot?: string;
+}
+
+export interface SarifReportingDescriptor {
+    id: string;
+    name: string;
+    shortDescription: { text: string };
+    defaultConfiguration: { level: SarifLevel };
+    properties: { category: string; tags: string[] };
+}
+
+export interface SarifResult {
+    ruleId: string;
+    ruleIndex: number;
+    level: SarifLevel;
+    message: { text: string };
+    locations: Array<{
+        physicalLocation: {
+            artifactLocation: { uri: string; uriBaseId?: string };
+            region: {
+                startLine: number;
+                startColumn: number;
+                endColumn?: number;
+                snippet?: { text: string };
+            };
+        };
+    }>;
+    rank: number;
+    properties: { confidence: number; category: string; secondaryTypes?: string[] };
+}
+
+export interface SarifLog {
+    $schema: string;
+    version: string;
+    runs: Array<{
+        tool: {
+            driver: {
+                name: string;
+                version: string;
+                informationUri: string;
+                rules: SarifReportingDescriptor[];
+            };
+        };
+        originalUriBaseIds?: Record<string, { uri: string }>;
+        results: SarifResult[];
+    }>;
+}
+
+export type SarifLevel = 'none' | 'note' | 'warning' | 'error';
+
+// Tags that usually need follow-up before shipping are surfaced as warnings
+const WARNING_TYPES = new Set(['debug', 'todo']);
+
+/**
+ * Build a SARIF log for the given files.
+ * Rules come from the regex pattern definitions and custom AST tag definitions;
+ * tag types without a definition get a rule derived from the tag itself.
+ */
+export function toSarif(files: SarifFileTags[], options: SarifOptions = {}): SarifLog {
+    const {
+        patterns = new SemanticEngine().getPatterns(),
+        customTags = [],
+        sourceRoot
+    } = options;
+
+    const rules: SarifReportingDescriptor[] = [];
+    const ruleIndex = new Map<string, number>();
+
+    const addRule = (id: string, label: string, category: string): number => {
+        const existing = ruleIndex.get(id);
+        if (existing !== undefined) {
+            return existing;
+        }
+        rules.push({
+            id,
+            name: toRuleName(id),
+            shortDescription: { text: label },
+            defaultConfiguration: { level: levelForType(id) },
+            properties: { category, tags: ['semantic-tags', category] }
+        });
+        ruleIndex.set(id, rules.length - 1);
+        return rules.length - 1;
+    };
+
+    const definitions = new Map<string, { label: string; category: string }>();
+    for (const pattern of patterns) {
+        if (!definitions.has(pattern.type)) {
+            definitions.set(pattern.type, { label: pattern.label, category: pattern.category });
+        }
+    }
+    for (const customTag of customTags) {
+        definitions.set(customTag.name, { label: customTag.description, category: customTag.category });
+    }
+
+    const results: SarifResult[] = [];
+
+    for (const file of files) {
+        for (const tag of file.tags) {
+            const definition = definitions.get(tag.type);
+            const category = definition ? definition.category : 'general';
+            const index = addRule(tag.type, definition ? definition.label : tag.label, category);
+            results.push(toResult(file.filePath, tag, index, category, sourceRoot !== undefined));
+        }
+    }
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: SARIF_VERSION,
+        runs: [{
+            tool: {
+                driver: {
+                    name: TOOL_NAME,
+                    version: getToolVersion(),
+                    informationUri: TOOL_INFORMATION_URI,
+                    rules
+                }
+            },
+            originalUriBaseIds: sourceRoot !== undefined
+                ? { '%SRCROOT%': { uri: toFileUri(sourceRoot) } }
+                : undefined,
+            results
+        }]
+    };
+}
+
+function toResult(filePath: string, tag: SemanticTag, ruleIndex: number, category: string, useBaseId: boolean): SarifResult {
+    // Semantic tags are zero-based, SARIF regions are one-based
+    const startColumn = tag.column + 1;
+    const singleLine = !tag.match.includes('\n');
+
+    return {
+        ruleId: tag.type,
+        ruleIndex,
+        level: levelForType(tag.type),
+        message: { text: `${tag.label} (${tag.type}): ${truncate(tag.match)}` },
+        locations: [{
+            physicalLocation: {
+                artifactLocation: useBaseId
+                    ? { uri: toRelativeUri(filePath), uriBaseId: '%SRCROOT%' }
+                    : { uri: toRelativeUri(filePath) },
+                region: {
+                    startLine: tag.line + 1,
+                    startColumn,
+                    endColumn: singleLine ? startColumn + tag.length : undefined,
+                    snippet: singleLine ? { text: tag.match } : undefined
+                }
+            }
+        }],
+        rank: Math.round(tag.confidence * 100),
+        properties: {
+            confidence: tag.confidence,
+            category,
+            secondaryTypes: tag.secondaryTypes
+        }
+    };
+}
+
+function levelForType(type: string): SarifLevel {
+    return WARNING_TYPES.has(type) ? 'warning' : 'note';
+}
+
+function toRuleName(type: string): string {
+    return type
+        .split(/[_\-\s]+/)
+        .filter(Boolean)
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+        .join('');
+}
+
+function truncate(text: string, max: number = 120): string {
+    const singleLine = text.replace(/\s+/g, ' ').trim();
+    return singleLine.length > max ? `${singleLine.slice(0, max - 1)}…` : singleLine;
+}
+
+// Percent-encodes each segment, so names with spaces, # or ? stay one path
+function toRelativeUri(filePath: string): string {
+    return filePath.split(/[\\/]/).map(encodeURIComponent).join('/');
+}
+
+function toFileUri(directory: string): string {
+    const uri = pathToFileURL(path.resolve(directory)).href;
+    return uri.endsWith('/') ? uri : `${uri}/`;
+}
+
+function getToolVersion(): string {
+    try {
+        // Resolves to lib/package.json from both src/ and dist/
+        return require('../package.json').version;
+    } catch {
+        return '0.0.0';
+    }
+}
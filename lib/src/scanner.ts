@@ -0,0 +1,233 @@
+/**
+ * Repository Scanner
+ * Walks a directory tree and runs the semantic engine over every supported file
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { SemanticEngine, AnalysisResult } from './semantic-engine';
+import { ExpiryOptions, gitLineDates } from './expiry';
+import { GitignoreMatcher } from './utils/gitignore';
+import { matchAnyGlob } from './utils/glob';
+
+export interface ScanOptions {
+    include?: string[];
+    exclude?: string[];
+    respectGitignore?: boolean;
+    maxFileSize?: number;
+    minConfidence?: number;
+    expiry?: ExpiryOptions; // Relative expiries count from the last commit to their line unless a referenceDate is given
+    engine?: SemanticEngine;
+    onError?: (filePath: string, error: Error) => void; // Called for each unreadable file or directory, which is skipped; defaults to a warning on stderr
+}
+
+export interface FileScanResult {
+    filePath: string; // Relative to the scan root, forward slashes
+    languageId: string;
+    result: AnalysisResult;
+}
+
+export interface ScanSummary {
+    filesScanned: number;
+    filesWithTags: number;
+    infraFiles: number;
+    infraFilesWithoutPurpose: string[];
+    totalTags: number;
+    tagCounts: Record<string, number>;
+    averageReadinessScore: number;
+}
+
+export interface ScanReport {
+    root: string;
+    files: FileScanResult[];
+    summary: ScanSummary;
+}
+
+export interface ScanThresholds {
+    minReadinessScore?: number;
+    requirePurposeMetadata?: boolean;
+    maxTagCounts?: Record<string, number>;
+}
+
+export const DEFAULT_EXCLUDES = ['.git', 'node_modules', '**/node_modules/**'];
+export const DEFAULT_MAX_FILE_SIZE = 1024 * 1024; // Same 1MB limit as the extension
+
+/**
+ * List files under `root` that pass the gitignore, include and exclude filters.
+ * Returned paths are relative to `root` and use forward slashes.
+ */
+export function findFiles(root: string, options: ScanOptions = {}): string[] {
+    const {
+        include = [],
+        exclude = [],
+        respectGitignore = true,
+        onError = warnSkipped
+    } = options;
+    const excludes = [...DEFAULT_EXCLUDES, ...exclude];
+    const gitignore = new GitignoreMatcher();
+    const files: string[] = [];
+
+    const walk = (directory: string, relativeDir: string): void => {
+        let entries: fs.Dirent[];
+        try {
+            if (respectGitignore) {
+                gitignore.loadFrom(directory, relativeDir);
+            }
+            entries = fs.readdirSync(directory, { withFileTypes: true })
+                .sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            if (!isFsError(error)) {
+                throw error;
+            }
+            onError(relativeDir || '.', error);
+            return;
+        }
+
+        for (const entry of entries) {
+            const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+            const isDirectory = entry.isDirectory();
+
+            if (!isDirectory && !entry.isFile()) {
+                continue; // Skip symlinks, sockets and other special files
+            }
+
+            if (matchAnyGlob(relativePath, excludes)) {
+                continue;
+            }
+
+            if (respectGitignore && gitignore.isIgnored(relativePath, isDirectory)) {
+                continue;
+            }
+
+            if (isDirectory) {
+                walk(path.join(directory, entry.name), relativePath);
+            } else if (include.length === 0 || matchAnyGlob(relativePath, include)) {
+                files.push(relativePath);
+            }
+        }
+    };
+
+    walk(root, '');
+    return files;
+}
+
+/**
+ * Analyze every supported file under `root` and aggregate the results
+ */
+export function scanDirectory(root: string, options: ScanOptions = {}): ScanReport {
+    const {
+        maxFileSize = DEFAULT_MAX_FILE_SIZE,
+        minConfidence,
+        expiry = {},
+        engine = new SemanticEngine(),
+        onError = warnSkipped
+    } = options;
+    const files: FileScanResult[] = [];
+
+    for (const filePath of findFiles(root, options)) {
+        const languageId = engine.detectLanguage(filePath);
+        if (languageId === 'unknown') {
+            continue;
+        }
+
+        const absolutePath = path.join(root, filePath);
+        let content: string;
+        try {
+            if (fs.statSync(absolutePath).size > maxFileSize) {
+                continue;
+            }
+            content = fs.readFileSync(absolutePath, 'utf8');
+        } catch (error) {
+            if (!isFsError(error)) {
+                throw error;
+            }
+            onError(filePath, error);
+            continue;
+        }
+
+        const referenceDate = expiry.referenceDate || gitLineDates(absolutePath);
+        const result = engine.analyze(content, { languageId, filePath, minConfidence, expiry: { ...expiry, referenceDate } });
+        files.push({ filePath, languageId, result });
+    }
+
+    return {
+        root,
+        files,
+        summary: summarizeScan(files)
+    };
+}
+
+export function summarizeScan(files: FileScanResult[]): ScanSummary {
+    const tagCounts: Record<string, number> = {};
+    const infraFilesWithoutPurpose: string[] = [];
+    let totalTags = 0;
+    let filesWithTags = 0;
+    let infraFiles = 0;
+    let readinessTotal = 0;
+
+    for (const { filePath, result } of files) {
+        totalTags += result.totalTags;
+
+        for (const [type, count] of Object.entries(result.tagCounts)) {
+            tagCounts[type] = (tagCounts[type] || 0) + count;
+        }
+
+        if (result.totalTags > 0) {
+            filesWithTags++;
+            readinessTotal += result.coscaReadinessScore;
+        }
+
+        if (result.isInfraFile) {
+            infraFiles++;
+            if (!result.hasPurposeMetadata) {
+                infraFilesWithoutPurpose.push(filePath);
+            }
+        }
+    }
+
+    return {
+        filesScanned: files.length,
+        filesWithTags,
+        infraFiles,
+        infraFilesWithoutPurpose,
+        totalTags,
+        tagCounts,
+        averageReadinessScore: filesWithTags > 0 ? Math.round(readinessTotal / filesWithTags) : 0
+    };
+}
+
+/**
+ * Check a scan report against thresholds, returning one message per failure
+ */
+export function evaluateThresholds(report: ScanReport, thresholds: ScanThresholds): string[] {
+    const failures: string[] = [];
+    const { summary } = report;
+
+    if (thresholds.minReadinessScore !== undefined && summary.averageReadinessScore < thresholds.minReadinessScore) {
+        failures.push(`Average COSCA readiness ${summary.averageReadinessScore}% is below the minimum of ${thresholds.minReadinessScore}%`);
+    }
+
+    if (thresholds.requirePurposeMetadata) {
+        for (const filePath of summary.infraFilesWithoutPurpose) {
+            failures.push(`${filePath}: infrastructure file has no purpose, owner or expiry metadata`);
+        }
+    }
+
+    for (const [type, max] of Object.entries(thresholds.maxTagCounts || {})) {
+        const count = summary.tagCounts[type] || 0;
+        if (count > max) {
+            failures.push(`Found ${count} '${type}' tags, more than the allowed ${max}`);
+        }
+    }
+
+    return failures;
+}
+
+function warnSkipped(filePath: string, error: Error): void {
+    process.stderr.write(`semantic-tags: skipped ${filePath}: ${error.message}\n`);
+}
+
+// Errors from the filesystem (EACCES, ENOENT, ...) skip one entry; anything else is a bug and propagates
+function isFsError(error: unknown): error is NodeJS.ErrnoException {
+    return error instanceof Error && typeof (error as NodeJS.ErrnoException).code === 'string';
+}
@@ -3,6 +3,16 @@
  * Core infrastructure pattern detection and purpose-driven metadata analysis
  */
 
+import { scoreConfidence, describeMatchShape, MatchLocation } from './confidence';
+import { SpanIndex, SpanKind, ALL_SPAN_KINDS } from './lexer';
+import { AnalyzerRegistry, createDefaultRegistry } from './registry';
+import { resolveOverlaps } from './overlap';
+import { CancellationOptions, isCancelled } from './cancellation';
+import { ResourceRecord } from './resources';
+import { ExpiryOptions, ExpirySemanticTag, checkExpiry } from './expiry';
+
+export type TagCategory = 'infrastructure' | 'purpose' | 'general' | 'custom';
+
 export interface SemanticTag {
     type: string;
     label: string;
@@ -11,6 +21,8 @@ export interface SemanticTag {
     length: number;
     confidence: number;
     match: string;
+    category?: TagCategory;
+    secondaryTypes?: string[]; // Other types found on exactly the same span
 }
 
 export interface AnalysisResult {
@@ -21,6 +33,9 @@ export interface AnalysisResult {
     isInfraFile: boolean;
     hasPurposeMetadata: boolean;
     coscaReadinessScore: number;
+    resources: ResourceRecord[]; // Resources with the purpose, owner and expiry declared for them
+    partial: boolean; // Analysis was cancelled or ran past its deadline
+    linesAnalyzed: number; // Lines fully analyzed; all of them unless partial
     insights: {
         topPatterns: [string, number][];
         purposeTags: number;
@@ -29,94 +44,234 @@ export interface AnalysisResult {
     };
 }
 
+export interface AnalyzeOptions extends CancellationOptions {
+    languageId?: string;
+    filePath?: string; // Lets analyzers registered by file pattern run
+    minConfidence?: number;
+    expiry?: ExpiryOptions; // How expired and expiring_soon tags are decided
+}
+
 export interface PatternConfig {
     pattern: RegExp;
     type: string;
     label: string;
     category: 'infrastructure' | 'purpose' | 'general';
+    weight?: number; // Base confidence before context adjustments
+    locationWeights?: Partial<Record<MatchLocation, number>>;
+    spanKinds?: SpanKind[]; // Where a match may start; defaults to every span kind
+}
+
+interface LineMatch {
+    patternConfig: PatternConfig;
+    match: RegExpExecArray;
+    spanKind: SpanKind;
 }
 
+// Span kinds shared by the default patterns
+const CODE_SPANS: SpanKind[] = ['code', 'identifier'];
+const CODE_AND_STRING_SPANS: SpanKind[] = ['code', 'identifier', 'string'];
+const COMMENT_SPANS: SpanKind[] = ['comment'];
+
+// Categories of tag types emitted by the generic patterns and the AST analyzer
+const INFRASTRUCTURE_TYPES = ['iac', 'cloud', 'container', 'compute', 'storage', 'observability', 'lifecycle', 'cost', 'security', 'ml_infra'];
+const METADATA_TYPES = ['purpose', 'expiry', 'owner'];
+
 export class SemanticEngine {
     private patterns: PatternConfig[];
+    private registry: AnalyzerRegistry;
 
-    constructor(customPatterns?: PatternConfig[]) {
+    constructor(customPatterns?: PatternConfig[], registry?: AnalyzerRegistry) {
         this.patterns = customPatterns || this.getDefaultPatterns();
+        this.registry = registry || createDefaultRegistry();
     }
 
     /**
-     * Analyze text content for semantic patterns
+     * Analyze text content with the generic patterns plus any analyzers
+     * registered for the language or file path
      */
-    analyze(text: string, options: { languageId?: string; minConfidence?: number } = {}): AnalysisResult {
-        const { minConfidence = 0.8 } = options;
-        const tags = this.extractTags(text, minConfidence);
-        return this.generateAnalysis(tags);
+    analyze(text: string, options: AnalyzeOptions = {}): AnalysisResult {
+        const { minConfidence = 0.8, languageId, filePath, signal, deadline, expiry = {} } = options;
+        const cancellation: CancellationOptions = { signal, deadline };
+        const totalLines = text.split('\n').length;
+        const tags: SemanticTag[] = [];
+        const resources: ResourceRecord[] = [];
+        let linesAnalyzed = totalLines;
+        let partial = false;
+        const registrations = this.registry.getAnalyzers(languageId, filePath);
+        const replacedTypes = new Set(registrations.flatMap(registration => registration.replacesPatterns || []));
+
+        for (const registration of registrations) {
+            if (isCancelled(cancellation)) {
+                partial = true;
+                linesAnalyzed = 0;
+                break;
+            }
+
+            const analysis = registration.analyzer.analyze(text, filePath, cancellation);
+            const analyzerTags = Array.isArray(analysis) ? analysis : analysis.tags;
+            if (!Array.isArray(analysis) && analysis.partial) {
+                partial = true;
+                linesAnalyzed = Math.min(linesAnalyzed, analysis.linesAnalyzed);
+            }
+
+            for (const tag of analyzerTags) {
+                if (tag.confidence >= minConfidence) {
+                    const category = tag.category || (registration.categorize && registration.categorize(tag));
+                    tags.push(category ? { ...tag, category } : tag);
+                }
+            }
+
+            if (registration.analyzer.findResources && !isCancelled(cancellation)) {
+                for (const record of registration.analyzer.findResources(text, filePath)) {
+                    resources.push(filePath ? { ...record, location: { ...record.location, file: filePath } } : record);
+                }
+            }
+        }
+
+        // Language analyzer tags go first so they win over generic matches of the same metadata
+        const patterns = this.patterns.filter(pattern => !replacedTypes.has(pattern.type));
+        const generic = this.extractTags(text, patterns, minConfidence, languageId, cancellation);
+        tags.push(...generic.tags);
+        partial = partial || generic.linesAnalyzed < totalLines;
+        linesAnalyzed = Math.min(linesAnalyzed, generic.linesAnalyzed);
+
+        const expiryOptions = { ...expiry, referenceDate: memoize(expiry.referenceDate) };
+        const resolved = this.addExpiryTags(resolveOverlaps(tags, text), text, expiryOptions);
+        return this.generateAnalysis(resolved, resources.map(record => withExpiry(record, text, expiryOptions)), partial, linesAnalyzed);
     }
 
     /**
      * Analyze file content with automatic language detection
      */
-    analyzeFile(filePath: string, content: string): AnalysisResult {
+    analyzeFile(filePath: string, content: string, options: CancellationOptions & { expiry?: ExpiryOptions } = {}): AnalysisResult {
         const languageId = this.detectLanguage(filePath);
-        return this.analyze(content, { languageId });
+        return this.analyze(content, { ...options, languageId, filePath });
+    }
+
+    /**
+     * Language analyzers consulted by analyze()
+     */
+    getRegistry(): AnalyzerRegistry {
+        return this.registry;
+    }
+
+    /**
+     * Pattern definitions used by this engine
+     */
+    getPatterns(): PatternConfig[] {
+        return [...this.patterns];
     }
 
     private getDefaultPatterns(): PatternConfig[] {
         return [
             // Infrastructure Intent Patterns
-            { pattern: /\b(terraform|pulumi|cloudformation|aws_|azure_|gcp_|resource|provider)\b/gi, type: 'iac', label: 'Infrastructure Declaration', category: 'infrastructure' },
-            { pattern: /\b(s3|ec2|lambda|rds|dynamodb|sqs|sns|cloudwatch|ecs|eks|fargate)\b/gi, type: 'cloud', label: 'Cloud Service Intent', category: 'infrastructure' },
-            { pattern: /\b(docker|kubernetes|k8s|pod|deployment|service|ingress|helm)\b/gi, type: 'container', label: 'Orchestration Intent', category: 'infrastructure' },
-            { pattern: /\b(cpu|memory|gpu|instance|cluster|node|worker|scale)\b/gi, type: 'compute', label: 'Compute Requirement', category: 'infrastructure' },
-            { pattern: /\b(bucket|volume|disk|storage|backup|snapshot|archive)\b/gi, type: 'storage', label: 'Data Persistence Intent', category: 'infrastructure' },
-            { pattern: /\b(metrics|logs|traces|alert|monitor|dashboard|prometheus|grafana)\b/gi, type: 'observability', label: 'Visibility Intent', category: 'infrastructure' },
-            { pattern: /\b(create|destroy|provision|deprovision|scale_up|scale_down|terminate)\b/gi, type: 'lifecycle', label: 'Resource Lifecycle Intent', category: 'infrastructure' },
-            { pattern: /\b(cost|billing|budget|pricing|reserved|spot|savings)\b/gi, type: 'cost', label: 'Economic Consideration', category: 'infrastructure' },
-            { pattern: /\b(iam|role|policy|security_group|vpc|encryption|compliance)\b/gi, type: 'security', label: 'Security Boundary', category: 'infrastructure' },
-            { pattern: /\b(model|training|inference|gpu_cluster|sagemaker|ml_pipeline)\b/gi, type: 'ml_infra', label: 'Intelligence Infrastructure', category: 'infrastructure' },
+            { pattern: /\b(terraform|pulumi|cloudformation|aws_|azure_|gcp_|resource|provider)\b/gi, type: 'iac', label: 'Infrastructure Declaration', category: 'infrastructure', weight: 0.85, spanKinds: CODE_AND_STRING_SPANS },
+            { pattern: /\b(s3|ec2|lambda|rds|dynamodb|sqs|sns|cloudwatch|ecs|eks|fargate)\b/gi, type: 'cloud', label: 'Cloud Service Intent', category: 'infrastructure', weight: 0.85, spanKinds: CODE_AND_STRING_SPANS },
+            { pattern: /\b(docker|kubernetes|k8s|pod|deployment|service|ingress|helm)\b/gi, type: 'container', label: 'Orchestration Intent', category: 'infrastructure', weight: 0.8, spanKinds: CODE_AND_STRING_SPANS },
+            { pattern: /\b(cpu|memory|gpu|instance|cluster|node|worker|scale)\b/gi, type: 'compute', label: 'Compute Requirement', category: 'infrastructure', weight: 0.75, spanKinds: CODE_AND_STRING_SPANS },
+            { pattern: /\b(bucket|volume|disk|storage|backup|snapshot|archive)\b/gi, type: 'storage', label: 'Data Persistence Intent', category: 'infrastructure', weight: 0.8, spanKinds: CODE_AND_STRING_SPANS },
+            { pattern: /\b(metrics|logs|traces|alert|monitor|dashboard|prometheus|grafana)\b/gi, type: 'observability', label: 'Visibility Intent', category: 'infrastructure', weight: 0.8, spanKinds: CODE_AND_STRING_SPANS },
+            { pattern: /\b(create|destroy|provision|deprovision|scale_up|scale_down|terminate)\b/gi, type: 'lifecycle', label: 'Resource Lifecycle Intent', category: 'infrastructure', weight: 0.75, spanKinds: CODE_SPANS },
+            { pattern: /\b(cost|billing|budget|pricing|reserved|spot|savings)\b/gi, type: 'cost', label: 'Economic Consideration', category: 'infrastructure', weight: 0.8, spanKinds: CODE_AND_STRING_SPANS },
+            { pattern: /\b(iam|role|policy|security_group|vpc|encryption|compliance)\b/gi, type: 'security', label: 'Security Boundary', category: 'infrastructure', weight: 0.8, spanKinds: CODE_AND_STRING_SPANS },
+            { pattern: /\b(model|training|inference|gpu_cluster|sagemaker|ml_pipeline)\b/gi, type: 'ml_infra', label: 'Intelligence Infrastructure', category: 'infrastructure', weight: 0.75, spanKinds: CODE_SPANS },
             
             // Purpose-Driven Metadata (COSCA-specific)
-            { pattern: /purpose\s*[:=]\s*["']([^"']+)["']/gi, type: 'purpose', label: 'Declared Purpose', category: 'purpose' },
-            { pattern: /expiry\s*[:=]\s*["']([^"']+)["']/gi, type: 'expiry', label: 'Lifecycle Expectation', category: 'purpose' },
-            { pattern: /owner\s*[:=]\s*["']([^"']+)["']/gi, type: 'owner', label: 'Responsibility Assignment', category: 'purpose' },
+            { pattern: /purpose\s*[:=]\s*["']([^"']+)["']/gi, type: 'purpose', label: 'Declared Purpose', category: 'purpose', weight: 0.95, spanKinds: CODE_AND_STRING_SPANS },
+            { pattern: /expiry\s*[:=]\s*["']([^"']+)["']/gi, type: 'expiry', label: 'Lifecycle Expectation', category: 'purpose', weight: 0.95, spanKinds: CODE_AND_STRING_SPANS },
+            { pattern: /owner\s*[:=]\s*["']([^"']+)["']/gi, type: 'owner', label: 'Responsibility Assignment', category: 'purpose', weight: 0.95, spanKinds: CODE_AND_STRING_SPANS },
             
             // Code Intent Patterns
-            { pattern: /\b(fetch|axios|http\.get|http\.post|XMLHttpRequest)\b/gi, type: 'network', label: 'External Communication', category: 'general' },
-            { pattern: /\b(console\.log|console\.error|console\.warn|print|println|debugger)\b/gi, type: 'debug', label: 'Development Insight', category: 'general' },
-            { pattern: /\b(TODO|FIXME|HACK|XXX|NOTE)\b/gi, type: 'todo', label: 'Future Intention', category: 'general' },
-            { pattern: /\b(SELECT|INSERT|UPDATE|DELETE|query|findOne|save|create)\b/gi, type: 'database', label: 'Data Interaction', category: 'general' },
-            { pattern: /\b(try|catch|throw|error|exception)\b/gi, type: 'error', label: 'Resilience Pattern', category: 'general' },
-            { pattern: /\b(auth|login|logout|token|jwt|session|password)\b/gi, type: 'auth', label: 'Identity Verification', category: 'general' },
-            { pattern: /\b(config|env|process\.env|settings|options)\b/gi, type: 'config', label: 'Behavior Configuration', category: 'general' }
+            { pattern: /\b(fetch|axios|http\.get|http\.post|XMLHttpRequest)\b/gi, type: 'network', label: 'External Communication', category: 'general', weight: 0.9, spanKinds: CODE_SPANS },
+            { pattern: /\b(console\.log|console\.error|console\.warn|print|println|debugger)\b/gi, type: 'debug', label: 'Development Insight', category: 'general', weight: 0.9, spanKinds: CODE_SPANS },
+            { pattern: /\b(TODO|FIXME|HACK|XXX|NOTE)\b/gi, type: 'todo', label: 'Future Intention', category: 'general', weight: 0.9, locationWeights: { comment: 0.05, code: -0.2, string: -0.2 }, spanKinds: COMMENT_SPANS },
+            { pattern: /\b(SELECT|INSERT|UPDATE|DELETE|query|findOne|save|create)\b/gi, type: 'database', label: 'Data Interaction', category: 'general', weight: 0.8, spanKinds: CODE_AND_STRING_SPANS },
+            { pattern: /\b(try|catch|throw|error|exception)\b/gi, type: 'error', label: 'Resilience Pattern', category: 'general', weight: 0.75, spanKinds: CODE_SPANS },
+            { pattern: /\b(auth|login|logout|token|jwt|session|password)\b/gi, type: 'auth', label: 'Identity Verification', category: 'general', weight: 0.8, spanKinds: CODE_SPANS },
+            { pattern: /\b(config|env|process\.env|settings|options)\b/gi, type: 'config', label: 'Behavior Configuration', category: 'general', weight: 0.75, spanKinds: CODE_SPANS }
         ];
     }
 
-    private extractTags(text: string, minConfidence: number): SemanticTag[] {
+    private extractTags(
+        text: string,
+        patterns: PatternConfig[],
+        minConfidence: number,
+        languageId: string | undefined,
+        cancellation: CancellationOptions
+    ): { tags: SemanticTag[]; linesAnalyzed: number } {
         const tags: SemanticTag[] = [];
         const lines = text.split('\n');
+        const spans = SpanIndex.fromText(text, languageId);
+        let lineOffset = 0;
 
         for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+            if (isCancelled(cancellation)) {
+                return { tags, linesAnalyzed: lineIndex };
+            }
+
             const line = lines[lineIndex];
+            const lineMatches: LineMatch[] = [];
             
-            for (const patternConfig of this.patterns) {
-                this.findMatches(line, lineIndex, patternConfig, tags, minConfidence);
+            for (const patternConfig of patterns) {
+                this.findMatches(line, lineOffset, patternConfig, spans, lineMatches);
             }
+
+            this.scoreLineMatches(line, lineIndex, lineMatches, tags, minConfidence, languageId);
+            lineOffset += line.length + 1;
         }
 
-        return tags;
+        return { tags, linesAnalyzed: lines.length };
     }
 
     private findMatches(
         line: string, 
-        lineNumber: number, 
+        lineOffset: number,
         patternConfig: PatternConfig, 
-        tags: SemanticTag[],
-        minConfidence: number
+        spans: SpanIndex,
+        lineMatches: LineMatch[]
     ): void {
         const regex = new RegExp(patternConfig.pattern.source, patternConfig.pattern.flags);
+        const allowedKinds = patternConfig.spanKinds || ALL_SPAN_KINDS;
         let match;
         
         while ((match = regex.exec(line)) !== null) {
-            const confidence = 0.8; // Base confidence, could be enhanced
+            const spanKind = spans.kindAt(lineOffset + match.index);
+            if (allowedKinds.includes(spanKind)) {
+                lineMatches.push({ patternConfig, match, spanKind });
+            }
+            
+            if (!regex.global) break;
+            if (match[0].length === 0) regex.lastIndex++;
+        }
+    }
+
+    /**
+     * Score every match on a line once all patterns have run, so neighbouring tags can reinforce each other
+     */
+    private scoreLineMatches(
+        line: string,
+        lineNumber: number,
+        lineMatches: LineMatch[],
+        tags: SemanticTag[],
+        minConfidence: number,
+        languageId?: string
+    ): void {
+        for (const { patternConfig, match, spanKind } of lineMatches) {
+            const neighbourTypes = new Set(
+                lineMatches
+                    .filter(other => other.patternConfig.category === patternConfig.category && other.patternConfig.type !== patternConfig.type)
+                    .map(other => other.patternConfig.type)
+            ).size;
+
+            const confidence = scoreConfidence(patternConfig.category, {
+                languageId,
+                location: spanKind === 'comment' || spanKind === 'string' ? spanKind : 'code',
+                ...describeMatchShape(line, match.index, match[0].length),
+                neighbourTypes
+            }, {
+                baseWeight: patternConfig.weight,
+                locationWeights: patternConfig.locationWeights
+            });
             
             if (confidence >= minConfidence) {
                 tags.push({
@@ -126,23 +281,62 @@ export class SemanticEngine {
                     column: match.index,
                     length: match[0].length,
                     confidence,
-                    match: match[0]
+                    match: match[0],
+                    category: patternConfig.category
                 });
             }
-            
-            if (!regex.global) break;
         }
     }
 
-    private generateAnalysis(tags: SemanticTag[]): AnalysisResult {
+    /**
+     * Follow each expiry tag whose date has passed or is near with an expired or expiring_soon tag on its value.
+     * Added after overlap resolution, so they are never merged into the expiry tag's secondaryTypes.
+     */
+    private addExpiryTags(tags: SemanticTag[], text: string, options: ExpiryOptions): SemanticTag[] {
+        const lines = text.split('\n');
+        const result: SemanticTag[] = [];
+
+        for (const tag of tags) {
+            result.push(tag);
+            if (this.getMetadataKind(tag) !== 'expiry') {
+                continue;
+            }
+
+            const value = expiryValue(tag.match);
+            const check = checkExpiry(value, options, tag.line);
+            if (!check || check.status === 'active') {
+                continue;
+            }
+
+            const valueColumn = (lines[tag.line] || '').indexOf(value, tag.column);
+            const onValue = valueColumn !== -1 && valueColumn + value.length <= tag.column + tag.length;
+            const expiryTag: ExpirySemanticTag = {
+                type: check.status,
+                label: check.status === 'expired' ? 'Expired Resource' : 'Expiring Soon',
+                line: tag.line,
+                column: onValue ? valueColumn : tag.column,
+                length: onValue ? value.length : tag.length,
+                confidence: tag.confidence,
+                match: value,
+                category: 'purpose',
+                expiryContext: check
+            };
+            result.push(expiryTag);
+        }
+
+        return result;
+    }
+
+    private generateAnalysis(tags: SemanticTag[], resources: ResourceRecord[], partial: boolean, linesAnalyzed: number): AnalysisResult {
         const tagCounts = this.calculateTagCounts(tags);
-        const infraTags = ['iac', 'cloud', 'container', 'compute', 'storage', 'observability', 'lifecycle', 'cost', 'security', 'ml_infra'];
-        const infraTagCount = infraTags.reduce((sum, type) => sum + (tagCounts[type] || 0), 0);
+        const infraTagCount = tags.filter(tag => this.getCategories(tag).includes('infrastructure')).length;
         const isInfraFile = infraTagCount > 0;
         
-        const purposeTags = tagCounts['purpose'] || 0;
-        const expiryTags = tagCounts['expiry'] || 0;
-        const ownerTags = tagCounts['owner'] || 0;
+        // Language-specific metadata types such as owner_python count as owner
+        const metadataKinds = tags.map(tag => this.getMetadataKind(tag));
+        const purposeTags = metadataKinds.filter(kind => kind === 'purpose').length;
+        const expiryTags = metadataKinds.filter(kind => kind === 'expiry').length;
+        const ownerTags = metadataKinds.filter(kind => kind === 'owner').length;
         const hasPurposeMetadata = purposeTags > 0 || expiryTags > 0 || ownerTags > 0;
         
         const totalTags = tags.length;
@@ -161,6 +355,9 @@ export class SemanticEngine {
             isInfraFile,
             hasPurposeMetadata,
             coscaReadinessScore,
+            resources,
+            partial,
+            linesAnalyzed,
             insights: {
                 topPatterns,
                 purposeTags,
@@ -170,32 +367,106 @@ export class SemanticEngine {
         };
     }
 
+    private getCategory(tag: SemanticTag): TagCategory {
+        if (tag.category) {
+            return tag.category;
+        }
+        if (INFRASTRUCTURE_TYPES.includes(tag.type)) {
+            return 'infrastructure';
+        }
+        return METADATA_TYPES.includes(tag.type) ? 'purpose' : 'general';
+    }
+
+    private getCategories(tag: SemanticTag): TagCategory[] {
+        return [this.getCategory(tag), ...(tag.secondaryTypes || []).map(type => this.getCategory({ ...tag, type, category: undefined }))];
+    }
+
+    private getMetadataKind(tag: SemanticTag): string | undefined {
+        if (this.getCategory(tag) !== 'purpose') {
+            return undefined;
+        }
+        const kind = tag.type.split('_')[0];
+        return METADATA_TYPES.includes(kind) ? kind : undefined;
+    }
+
     private calculateTagCounts(tags: SemanticTag[]): Record<string, number> {
         return tags.reduce((acc, tag) => {
-            acc[tag.type] = (acc[tag.type] || 0) + 1;
+            for (const type of [tag.type, ...(tag.secondaryTypes || [])]) {
+                acc[type] = (acc[type] || 0) + 1;
+            }
             return acc;
         }, {} as Record<string, number>);
     }
 
-    private detectLanguage(filePath: string): string {
-        const extension = filePath.split('.').pop()?.toLowerCase();
+    /**
+     * Map a file path to a language ID, or 'unknown' when unsupported
+     */
+    detectLanguage(filePath: string): string {
+        const basename = filePath.split(/[\\/]/).pop() || '';
+        const extension = basename.includes('.') ? basename.split('.').pop()!.toLowerCase() : '';
         const languageMap: Record<string, string> = {
             'tf': 'terraform',
+            'tfvars': 'terraform',
+            'hcl': 'terraform',
             'yaml': 'yaml',
             'yml': 'yaml',
             'js': 'javascript',
+            'jsx': 'javascript',
+            'mjs': 'javascript',
+            'cjs': 'javascript',
             'ts': 'typescript',
+            'tsx': 'typescript',
             'py': 'python',
             'go': 'go',
             'json': 'json',
             'dockerfile': 'dockerfile'
         };
-        return languageMap[extension || ''] || 'unknown';
+        if (languageMap[extension]) {
+            return languageMap[extension];
+        }
+
+        // Dockerfiles are usually named rather than suffixed: Dockerfile, Dockerfile.prod, Containerfile
+        if (/^(dockerfile(\..+)?|containerfile)$/i.test(basename)) {
+            return 'dockerfile';
+        }
+        return 'unknown';
+    }
+}
+
+// Generic patterns and some analyzers match the whole entry, e.g. expiry = "2_years" or "expiry": pulumi.String("90d")
+function expiryValue(match: string): string {
+    const quoted = match.match(/expiry[\w"']*\s*[:=]\s*(?:[\w.]+\(\s*)?["'`]([^"'`]+)["'`]/i);
+    return quoted ? quoted[1] : match.replace(/^["'`]|["'`]$/g, '');
+}
+
+// Relative expiries count from the line declaring them, or from the resource's first line
+function withExpiry(record: ResourceRecord, text: string, options: ExpiryOptions): ResourceRecord {
+    if (record.expiry === undefined) {
+        return record;
+    }
+
+    const { line, endLine } = record.location;
+    const offset = text.split('\n').slice(line, endLine + 1).findIndex(source => /expiry/i.test(source) && source.includes(record.expiry!));
+    const check = checkExpiry(record.expiry, options, line + Math.max(offset, 0));
+    return check ? { ...record, expiresAt: check.expiresAt, expiryStatus: check.status } : record;
+}
+
+// Looks a lazy reference date (such as a git lookup) up at most once per line and analysis
+function memoize(referenceDate: ExpiryOptions['referenceDate']): ExpiryOptions['referenceDate'] {
+    if (typeof referenceDate !== 'function') {
+        return referenceDate;
     }
+    const resolved = new Map<number | undefined, Date | undefined>();
+    return (line?: number) => {
+        if (!resolved.has(line)) {
+            resolved.set(line, referenceDate(line));
+        }
+        return resolved.get(line);
+    };
 }
 
 // Export convenience functions
-export function analyzeCode(text: string, options?: { languageId?: string; minConfidence?: number }): AnalysisResult {
+export function analyzeCode(text: string, options?: AnalyzeOptions): AnalysisResult {
     const engine = new SemanticEngine();
     return engine.analyze(text, options);
 }
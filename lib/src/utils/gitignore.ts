@@ -0,0 +1,95 @@
+/**
+ * .gitignore rule evaluation for repository scans
+ * Handles negation, anchored patterns, directory-only patterns and nested .gitignore files
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { globToRegExp } from './glob';
+
+interface IgnoreRule {
+    base: string; // Directory of the .gitignore, relative to the scan root ('' for root)
+    regex: RegExp;
+    negated: boolean;
+    directoryOnly: boolean;
+    matchBaseName: boolean;
+}
+
+export class GitignoreMatcher {
+    private rules: IgnoreRule[] = [];
+
+    /**
+     * Load the .gitignore in `directory` (if any) and scope its rules to `relativeDir`
+     */
+    loadFrom(directory: string, relativeDir: string): void {
+        const ignorePath = path.join(directory, '.gitignore');
+        if (!fs.existsSync(ignorePath)) {
+            return;
+        }
+
+        const content = fs.readFileSync(ignorePath, 'utf8');
+        this.addRules(content, relativeDir);
+    }
+
+    addRules(content: string, relativeDir: string = ''): void {
+        for (const rawLine of content.split(/\r?\n/)) {
+            const line = rawLine.replace(/(?<!\\)\s+$/, '');
+            if (!line || line.startsWith('#')) {
+                continue;
+            }
+
+            let pattern = line;
+            const negated = pattern.startsWith('!');
+            if (negated) {
+                pattern = pattern.slice(1);
+            }
+            pattern = pattern.replace(/^\\([#!])/, '$1');
+
+            const directoryOnly = pattern.endsWith('/');
+            if (directoryOnly) {
+                pattern = pattern.slice(0, -1);
+            }
+
+            // A slash anywhere but the end anchors the pattern to the .gitignore directory
+            const matchBaseName = !pattern.includes('/');
+            pattern = pattern.replace(/^\//, '');
+
+            this.rules.push({
+                base: relativeDir,
+                regex: globToRegExp(pattern),
+                negated,
+                directoryOnly,
+                matchBaseName
+            });
+        }
+    }
+
+    /**
+     * Check whether a path relative to the scan root is ignored.
+     * The last matching rule wins, as in git.
+     */
+    isIgnored(relativePath: string, isDirectory: boolean): boolean {
+        let ignored = false;
+
+        for (const rule of this.rules) {
+            if (rule.directoryOnly && !isDirectory) {
+                continue;
+            }
+
+            if (rule.base && !relativePath.startsWith(rule.base + '/')) {
+                continue;
+            }
+
+            const scopedPath = rule.base ? relativePath.slice(rule.base.length + 1) : relativePath;
+            const candidate = rule.matchBaseName
+                ? scopedPath.slice(scopedPath.lastIndexOf('/') + 1)
+                : scopedPath;
+
+            if (rule.regex.test(candidate)) {
+                ignored = !rule.negated;
+            }
+        }
+
+        return ignored;
+    }
+}
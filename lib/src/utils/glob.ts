@@ -0,0 +1,84 @@
+/**
+ * Minimal glob matching for include/exclude filters and .gitignore rules
+ * Supports `*`, `**`, `?`, character classes and `{a,b}` alternation
+ */
+
+const regexCache = new Map<string, RegExp>();
+
+/**
+ * Convert a glob pattern into an anchored regular expression.
+ * Paths are always matched with forward slashes.
+ */
+export function globToRegExp(glob: string): RegExp {
+    const cached = regexCache.get(glob);
+    if (cached) {
+        return cached;
+    }
+
+    let source = '';
+    let braceDepth = 0;
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // `**/` matches zero or more directories, a trailing `**` matches everything
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const close = glob.indexOf(']', i + 1);
+            if (close === -1) {
+                source += '\\[';
+            } else {
+                const body = glob.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\');
+                source += `[${body}]`;
+                i = close;
+            }
+        } else if (char === '{') {
+            braceDepth++;
+            source += '(?:';
+        } else if (char === '}' && braceDepth > 0) {
+            braceDepth--;
+            source += ')';
+        } else if (char === ',' && braceDepth > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+
+    const regex = new RegExp(`^${source}$`);
+    regexCache.set(glob, regex);
+    return regex;
+}
+
+/**
+ * Test a relative, forward-slash path against a glob.
+ * Globs without a slash match the file name at any depth, like .gitignore does.
+ */
+export function matchGlob(relativePath: string, glob: string): boolean {
+    const normalized = relativePath.replace(/\\/g, '/');
+    const pattern = glob.replace(/\\/g, '/').replace(/^\.\//, '');
+
+    if (!pattern.includes('/')) {
+        const baseName = normalized.slice(normalized.lastIndexOf('/') + 1);
+        return globToRegExp(pattern).test(baseName);
+    }
+
+    return globToRegExp(pattern.replace(/^\//, '')).test(normalized);
+}
+
+export function matchAnyGlob(relativePath: string, globs: string[]): boolean {
+    return globs.some(glob => matchGlob(relativePath, glob));
+}
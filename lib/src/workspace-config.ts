@@ -0,0 +1,321 @@
+/**
+ * Workspace Tag Configuration
+ * Loads a checked-in .semantictags.json declaring custom regex patterns, AST selectors
+ * and which built-in tag types run, and builds an engine from it
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { SemanticEngine, SemanticTag, PatternConfig } from './semantic-engine';
+import { PatternCategory, DEFAULT_BASE_WEIGHT } from './confidence';
+import { SpanKind, ALL_SPAN_KINDS } from './lexer';
+import { SelectorTagDefinition } from './ast-analyzer';
+import { AstSelector, AstSelectorError, compileSelector } from './ast-selector';
+import { LanguageAnalyzer, createDefaultRegistry } from './registry';
+import { ResourceRecord, METADATA_FIELDS } from './resources';
+
+export const WORKSPACE_CONFIG_FILE = '.semantictags.json';
+
+// Confidence of selector tags that don't declare one; AST matches are more precise than regex
+const DEFAULT_SELECTOR_CONFIDENCE = 0.9;
+
+const CATEGORIES: PatternCategory[] = ['infrastructure', 'purpose', 'general'];
+
+export interface WorkspacePattern {
+    type: string;
+    label: string;
+    category: PatternCategory;
+    pattern: string; // Regular expression source
+    flags: string; // Always includes g
+    confidence: number; // Base confidence before context adjustments
+    spanKinds?: SpanKind[];
+}
+
+export interface WorkspaceSelector {
+    type: string;
+    label: string;
+    category: PatternCategory;
+    confidence: number;
+    selector: AstSelector;
+}
+
+export interface WorkspaceConfig {
+    patterns: WorkspacePattern[];
+    astSelectors: WorkspaceSelector[];
+    enabledTypes?: string[]; // Built-in types to keep; every built-in type when omitted
+    disabledTypes: string[]; // Built-in types to drop
+}
+
+export class WorkspaceConfigError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'WorkspaceConfigError';
+    }
+}
+
+/**
+ * Validate the contents of a .semantictags.json file. Errors name the offending field,
+ * e.g. `.semantictags.json: patterns[1].pattern is not a valid regular expression`.
+ */
+export function parseWorkspaceConfig(text: string, source: string = WORKSPACE_CONFIG_FILE): WorkspaceConfig {
+    let json: unknown;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new WorkspaceConfigError(`${source}: invalid JSON: ${(error as Error).message}`);
+    }
+
+    const fail = (message: string): never => {
+        throw new WorkspaceConfigError(`${source}: ${message}`);
+    };
+
+    if (!isObject(json)) {
+        fail('expected an object');
+    }
+    const root = json as Record<string, unknown>;
+    const unknownKeys = Object.keys(root).filter(key => !['$schema', 'patterns', 'astSelectors', 'enabledTypes', 'disabledTypes'].includes(key));
+    if (unknownKeys.length > 0) {
+        fail(`unknown field '${unknownKeys[0]}'`);
+    }
+
+    const patterns = optionalArray(root.patterns, 'patterns', fail).map((entry, index) => {
+        const at = `patterns[${index}]`;
+        const fields = readTagFields(entry, at, DEFAULT_BASE_WEIGHT, fail);
+        const pattern = requireString(fields.entry.pattern, `${at}.pattern`, fail);
+        const flags = fields.entry.flags === undefined ? 'gi' : requireString(fields.entry.flags, `${at}.flags`, fail);
+        const globalFlags = flags.includes('g') ? flags : `${flags}g`;
+        compileRegExp(pattern, globalFlags, `${at}.pattern`, fail);
+
+        let spanKinds: SpanKind[] | undefined;
+        if (fields.entry.spanKinds !== undefined) {
+            spanKinds = requireStringArray(fields.entry.spanKinds, `${at}.spanKinds`, fail) as SpanKind[];
+            const invalid = spanKinds.find(kind => !ALL_SPAN_KINDS.includes(kind));
+            if (invalid) {
+                fail(`${at}.spanKinds: unknown span kind '${invalid}', expected one of ${ALL_SPAN_KINDS.join(', ')}`);
+            }
+        }
+
+        return { type: fields.type, label: fields.label, category: fields.category, confidence: fields.confidence, pattern, flags: globalFlags, spanKinds };
+    });
+
+    const astSelectors = optionalArray(root.astSelectors, 'astSelectors', fail).map((entry, index) => {
+        const at = `astSelectors[${index}]`;
+        const fields = readTagFields(entry, at, DEFAULT_SELECTOR_CONFIDENCE, fail);
+        try {
+            compileSelector(fields.entry.selector, `${at}.selector`);
+        } catch (error) {
+            if (!(error instanceof AstSelectorError)) {
+                throw error;
+            }
+            fail(error.message);
+        }
+
+        return { type: fields.type, label: fields.label, category: fields.category, confidence: fields.confidence, selector: fields.entry.selector as AstSelector };
+    });
+
+    return {
+        patterns,
+        astSelectors,
+        enabledTypes: root.enabledTypes === undefined ? undefined : requireStringArray(root.enabledTypes, 'enabledTypes', fail),
+        disabledTypes: root.disabledTypes === undefined ? [] : requireStringArray(root.disabledTypes, 'disabledTypes', fail)
+    };
+}
+
+/**
+ * Read and validate a configuration file
+ */
+export function readWorkspaceConfig(filePath: string): WorkspaceConfig {
+    let text: string;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new WorkspaceConfigError(`${filePath}: ${(error as Error).message}`);
+    }
+    return parseWorkspaceConfig(text, filePath);
+}
+
+/**
+ * The .semantictags.json at the root of a directory, or undefined when there is none
+ */
+export function loadWorkspaceConfig(root: string): WorkspaceConfig | undefined {
+    const filePath = path.join(root, WORKSPACE_CONFIG_FILE);
+    return fs.existsSync(filePath) ? readWorkspaceConfig(filePath) : undefined;
+}
+
+/**
+ * Call `onChange` with the reloaded configuration whenever the root's .semantictags.json is
+ * created, edited or deleted; invalid files report their error instead. Returns a function
+ * that stops watching.
+ */
+export function watchWorkspaceConfig(
+    root: string,
+    onChange: (config: WorkspaceConfig | undefined, error?: WorkspaceConfigError) => void,
+    interval: number = 1000
+): () => void {
+    const filePath = path.join(root, WORKSPACE_CONFIG_FILE);
+    const listener = (): void => {
+        try {
+            onChange(loadWorkspaceConfig(root));
+        } catch (error) {
+            if (!(error instanceof WorkspaceConfigError)) {
+                throw error;
+            }
+            onChange(undefined, error);
+        }
+    };
+
+    // Polling also notices a file that doesn't exist yet
+    fs.watchFile(filePath, { interval, persistent: false }, listener);
+    return () => fs.unwatchFile(filePath, listener);
+}
+
+/**
+ * Whether the configuration keeps a tag type. Its own types always run; built-in types
+ * must be in enabledTypes, when given, and not in disabledTypes.
+ */
+export function isTypeEnabled(config: WorkspaceConfig, type: string): boolean {
+    if ([...config.patterns, ...config.astSelectors].some(entry => entry.type === type)) {
+        return true;
+    }
+    return (!config.enabledTypes || config.enabledTypes.includes(type)) && !config.disabledTypes.includes(type);
+}
+
+/**
+ * The configuration's own regex patterns, compiled
+ */
+export function compileWorkspacePatterns(config: WorkspaceConfig): PatternConfig[] {
+    return config.patterns.map(pattern => ({
+        pattern: new RegExp(pattern.pattern, pattern.flags),
+        type: pattern.type,
+        label: pattern.label,
+        category: pattern.category,
+        weight: pattern.confidence,
+        spanKinds: pattern.spanKinds
+    }));
+}
+
+/**
+ * Engine running the default patterns and analyzers as the configuration adjusts them
+ */
+export function createConfiguredEngine(config: WorkspaceConfig): SemanticEngine {
+    const isEnabled = (type: string): boolean => isTypeEnabled(config, type);
+
+    const patterns: PatternConfig[] = [
+        ...new SemanticEngine().getPatterns().filter(pattern => isEnabled(pattern.type)),
+        ...compileWorkspacePatterns(config)
+    ];
+
+    const registry = createDefaultRegistry({ typescriptTags: workspaceSelectorTags(config) });
+    for (const registration of registry.getRegistrations()) {
+        registry.register({ ...registration, analyzer: filterAnalyzer(registration.analyzer, isEnabled) });
+    }
+
+    return new SemanticEngine(patterns, registry);
+}
+
+/**
+ * The configuration's AST selectors as custom tag definitions for ASTAnalyzer
+ */
+export function workspaceSelectorTags(config: WorkspaceConfig): SelectorTagDefinition[] {
+    return config.astSelectors.map(entry => ({
+        name: entry.type,
+        description: entry.label,
+        category: entry.category,
+        confidence: entry.confidence,
+        selector: entry.selector
+    }));
+}
+
+/**
+ * Drop tags of disabled types. Analyzers merge overlapping tags before the filter sees them,
+ * so a disabled type is removed from secondaryTypes, and a tag whose own type is disabled is dropped.
+ * Resource records lose the purpose, owner or expiry fields whose type is disabled.
+ */
+function filterAnalyzer(analyzer: LanguageAnalyzer, isEnabled: (type: string) => boolean): LanguageAnalyzer {
+    const filterTags = (tags: SemanticTag[]): SemanticTag[] => tags
+        .filter(tag => isEnabled(tag.type))
+        .map(tag => tag.secondaryTypes ? { ...tag, secondaryTypes: tag.secondaryTypes.filter(isEnabled) } : tag);
+
+    const filterResource = (record: ResourceRecord): ResourceRecord => {
+        const filtered = { ...record };
+        METADATA_FIELDS.filter(field => !isEnabled(field)).forEach(field => delete filtered[field]);
+        return filtered;
+    };
+
+    return {
+        analyze: (code, filePath, options) => {
+            const analysis = analyzer.analyze(code, filePath, options);
+            return Array.isArray(analysis) ? filterTags(analysis) : { ...analysis, tags: filterTags(analysis.tags) };
+        },
+        findResources: analyzer.findResources && ((code, filePath) => analyzer.findResources!(code, filePath).map(filterResource))
+    };
+}
+
+interface TagFields {
+    entry: Record<string, unknown>;
+    type: string;
+    label: string;
+    category: PatternCategory;
+    confidence: number;
+}
+
+// Fields shared by patterns and selectors
+function readTagFields(entry: unknown, at: string, defaultConfidence: number, fail: (message: string) => never): TagFields {
+    if (!isObject(entry)) {
+        return fail(`${at}: expected an object`);
+    }
+    const fields = entry as Record<string, unknown>;
+
+    const type = requireString(fields.type, `${at}.type`, fail);
+    if (!/^[A-Za-z][\w-]*$/.test(type)) {
+        fail(`${at}.type: '${type}' should start with a letter and contain only letters, digits, _ and -`);
+    }
+
+    const category = fields.category === undefined ? 'general' : requireString(fields.category, `${at}.category`, fail);
+    if (!CATEGORIES.includes(category as PatternCategory)) {
+        fail(`${at}.category: unknown category '${category}', expected one of ${CATEGORIES.join(', ')}`);
+    }
+
+    const confidence = fields.confidence === undefined ? defaultConfidence : fields.confidence;
+    if (typeof confidence !== 'number' || confidence < 0 || confidence > 1) {
+        fail(`${at}.confidence: expected a number between 0 and 1`);
+    }
+
+    return {
+        entry: fields,
+        type,
+        label: fields.label === undefined ? type : requireString(fields.label, `${at}.label`, fail),
+        category: category as PatternCategory,
+        confidence: confidence as number
+    };
+}
+
+function compileRegExp(source: string, flags: string, at: string, fail: (message: string) => never): RegExp {
+    try {
+        return new RegExp(source, flags);
+    } catch (error) {
+        return fail(`${at} is not a valid regular expression: ${(error as Error).message}`);
+    }
+}
+
+function optionalArray(value: unknown, at: string, fail: (message: string) => never): unknown[] {
+    if (value === undefined) {
+        return [];
+    }
+    return Array.isArray(value) ? value : fail(`${at}: expected an array`);
+}
+
+function requireString(value: unknown, at: string, fail: (message: string) => never): string {
+    return typeof value === 'string' && value !== '' ? value : fail(`${at}: expected a non-empty string`);
+}
+
+function requireStringArray(value: unknown, at: string, fail: (message: string) => never): string[] {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        return fail(`${at}: expected an array of strings`);
+    }
+    return value;
+}
+
+function isObject(value: unknown): boolean {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
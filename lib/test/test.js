@@ -1,6 +1,17 @@
 #!/usr/bin/env node
 
-const { analyzeCode, analyzeFile, SemanticAnalyzer } = require('../dist/index.js');
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const os = require('os');
+const path = require('path');
+const { analyzeCode, analyzeFile, SemanticAnalyzer, scanDirectory, evaluateThresholds, toSarif, tokenize,
+    createTerraformAnalyzer, createYamlAnalyzer,
+    createDockerfileAnalyzer, createGoAnalyzer, SemanticEngine,
+    AnalyzerRegistry, resolveOverlaps, parseWorkspaceConfig, createConfiguredEngine, isTypeEnabled, compileWorkspacePatterns,
+    WorkspaceConfigError, AstSelectorError, checkExpiry, gitFileDate, gitLineDate, gitLineDates } = require('../dist/index.js');
+const { ASTAnalyzer, createASTAnalyzer, INFRASTRUCTURE_CUSTOM_TAGS } = require('../dist/ast-analyzer.js');
+const cli = require('../dist/cli.js');
+const ts = require('typescript');
 
 console.log('🧪 Testing @cosca/semantic-tags');
 console.log('================================\n');
@@ -119,6 +130,707 @@ console.log('✅ File Analysis Results:');
 console.log(`   File appears to be infrastructure: ${fileResult.isInfraFile}`);
 console.log(`   Readiness for COSCA: ${fileResult.coscaReadinessScore}%`);
 
+// Test 6: Repository scan and CLI thresholds
+console.log('\n6. Testing Repository Scanner');
+console.log('-----------------------------');
+
+const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-tags-'));
+fs.mkdirSync(path.join(repoDir, 'infra'));
+fs.mkdirSync(path.join(repoDir, 'build'));
+fs.writeFileSync(path.join(repoDir, '.gitignore'), 'build/\n');
+fs.writeFileSync(path.join(repoDir, 'infra', 'main.tf'), terraformCode);
+fs.writeFileSync(path.join(repoDir, 'infra', 'bare.tf'), 'resource "aws_instance" "web" {\n  instance_type = "t3.micro"\n}\n');
+fs.writeFileSync(path.join(repoDir, 'infra', 'prod.tfvars'), 'instance_type = "t3.large"\n');
+fs.writeFileSync(path.join(repoDir, 'Widget.tsx'), 'export const Widget = () => <div>TODO: empty state</div>;\n');
+fs.writeFileSync(path.join(repoDir, 'app.js'), jsCode);
+fs.writeFileSync(path.join(repoDir, 'build', 'bundle.js'), jsCode);
+fs.writeFileSync(path.join(repoDir, 'notes.txt'), 'TODO: ignored, unsupported file type');
+
+const scanReport = scanDirectory(repoDir, { exclude: ['app.*'] });
+const scannedFiles = scanReport.files.map(file => file.filePath);
+const scannedLanguages = scanReport.files.map(file => file.languageId);
+const scanFailures = evaluateThresholds(scanReport, { requirePurposeMetadata: true });
+console.log('✅ Scanner Results:');
+console.log(`   Files Scanned: ${scannedFiles.join(', ')} (${scannedLanguages.join(', ')})`);
+console.log(`   Infrastructure Files: ${scanReport.summary.infraFiles}`);
+console.log(`   Missing Purpose: ${scanReport.summary.infraFilesWithoutPurpose.join(', ')}`);
+console.log(`   Threshold Failures: ${scanFailures.length}`);
+
+const cliOutput = [];
+const cliErrors = [];
+const passingExit = cli.run([repoDir, '--include', '**/main.tf', '--require-purpose', '--quiet'], text => cliOutput.push(text));
+const failingExit = cli.run([repoDir, '--max-tags', 'debug=0', '--quiet'], text => cliOutput.push(text));
+const usageExit = cli.run(['--format', 'xml'], text => cliOutput.push(text), text => cliErrors.push(text));
+console.log(`   CLI Exit Codes: pass=${passingExit}, fail=${failingExit}, usage=${usageExit}`);
+fs.rmSync(repoDir, { recursive: true, force: true });
+
+// Unreadable entries are reported and skipped rather than ending the scan
+const unreadableDir = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-tags-unreadable-'));
+fs.mkdirSync(path.join(unreadableDir, 'locked'));
+fs.writeFileSync(path.join(unreadableDir, 'locked', 'hidden.tf'), terraformCode);
+fs.writeFileSync(path.join(unreadableDir, 'secret.tf'), terraformCode);
+fs.writeFileSync(path.join(unreadableDir, 'main.tf'), terraformCode);
+fs.symlinkSync(path.join(unreadableDir, 'missing.tf'), path.join(unreadableDir, 'broken.tf'));
+fs.chmodSync(path.join(unreadableDir, 'locked'), 0o000);
+fs.chmodSync(path.join(unreadableDir, 'secret.tf'), 0o000);
+// Root ignores permissions, so deny the same paths the way the kernel would
+const permissionDenied = (syscall, target) => Object.assign(new Error(`EACCES: permission denied, ${syscall} '${target}'`), { code: 'EACCES' });
+const { readdirSync, readFileSync } = fs;
+if (process.getuid && process.getuid() === 0) {
+    fs.readdirSync = (target, ...rest) => {
+        if (String(target).endsWith('locked')) {
+            throw permissionDenied('scandir', target);
+        }
+        return readdirSync(target, ...rest);
+    };
+    fs.readFileSync = (target, ...rest) => {
+        if (String(target).endsWith('secret.tf')) {
+            throw permissionDenied('open', target);
+        }
+        return readFileSync(target, ...rest);
+    };
+}
+const skippedEntries = [];
+const unreadableReport = scanDirectory(unreadableDir, { onError: filePath => skippedEntries.push(filePath) });
+const unreadableCliErrors = [];
+const unreadableExit = cli.run([unreadableDir, '--quiet'], () => {}, text => unreadableCliErrors.push(text));
+fs.readdirSync = readdirSync;
+fs.readFileSync = readFileSync;
+fs.chmodSync(path.join(unreadableDir, 'locked'), 0o755);
+fs.rmSync(unreadableDir, { recursive: true, force: true });
+console.log(`   Unreadable: skipped ${skippedEntries.join(', ')}, scanned ${unreadableReport.files.map(file => file.filePath).join(', ')}, CLI exit ${unreadableExit}`);
+
+if (scannedFiles.join(',') !== 'infra/bare.tf,infra/main.tf,infra/prod.tfvars,Widget.tsx' ||
+    skippedEntries.join(',') !== 'locked,secret.tf' || unreadableReport.files.map(file => file.filePath).join(',') !== 'main.tf' ||
+    unreadableExit !== 0 || unreadableCliErrors.length !== 2 || !unreadableCliErrors[0].startsWith('semantic-tags: skipped locked: EACCES') ||
+    scannedLanguages.join(',') !== 'terraform,terraform,terraform,typescript' || scanFailures.length !== 1 ||
+    passingExit !== 0 || failingExit !== 1 || usageExit !== 2 ||
+    cliOutput.length !== 2 || cliErrors.length !== 1 || !cliErrors[0].startsWith('semantic-tags: ')) {
+    throw new Error('Repository scanner returned unexpected results');
+}
+
+// Test 7: SARIF output
+console.log('\n7. Testing SARIF Output');
+console.log('-----------------------');
+
+const astTags = createASTAnalyzer().analyzeTypeScript(`import * as AWS from 'aws-sdk';\nconsole.log('ready');`);
+const sarifLog = toSarif([
+    { filePath: 'infra/main.tf', tags: terraformResult.tags },
+    { filePath: 'src/app.ts', tags: astTags },
+    { filePath: 'docs/release #2/notes?.ts', tags: astTags.slice(0, 1) }
+], { customTags: INFRASTRUCTURE_CUSTOM_TAGS, sourceRoot: '/my repo' });
+const sarifRun = sarifLog.runs[0];
+const firstResult = sarifRun.results[0];
+const encodedUri = sarifRun.results[sarifRun.results.length - 1].locations[0].physicalLocation.artifactLocation.uri;
+console.log('✅ SARIF Results:');
+console.log(`   Version: ${sarifLog.version}`);
+console.log(`   Rules: ${sarifRun.tool.driver.rules.map(rule => rule.id).join(', ')}`);
+console.log(`   Results: ${sarifRun.results.length}`);
+console.log(`   Encoded URIs: ${sarifRun.originalUriBaseIds['%SRCROOT%'].uri} + ${encodedUri}`);
+console.log(`   First Region: line ${firstResult.locations[0].physicalLocation.region.startLine}, column ${firstResult.locations[0].physicalLocation.region.startColumn}`);
+
+if (sarifRun.results.length !== terraformResult.totalTags + astTags.length + 1 ||
+    encodedUri !== 'docs/release%20%232/notes%3F.ts' || sarifRun.originalUriBaseIds['%SRCROOT%'].uri !== 'file:///my%20repo/' ||
+    sarifRun.results.some(result => sarifRun.tool.driver.rules[result.ruleIndex].id !== result.ruleId) ||
+    firstResult.locations[0].physicalLocation.region.startLine !== terraformResult.tags[0].line + 1) {
+    throw new Error('SARIF output does not match the analyzed tags');
+}
+
+// Test 8: Context-aware confidence scoring
+console.log('\n8. Testing Confidence Scoring');
+console.log('-----------------------------');
+
+const scoringCode = `const service = createService();\nlog('restarting the service now');`;
+const strictResult = analyzeCode(scoringCode, { languageId: 'typescript' });
+const lenientResult = analyzeCode(scoringCode, { languageId: 'typescript', minConfidence: 0.3 });
+const serviceTags = lenientResult.tags.filter(tag => tag.match === 'service');
+console.log('✅ Confidence Scoring Results:');
+console.log(`   Code Match Confidence: ${serviceTags[0].confidence}`);
+console.log(`   String Match Confidence: ${serviceTags[1].confidence}`);
+console.log(`   Container Tags (default threshold): ${strictResult.tagCounts['container'] || 0}`);
+
+if (serviceTags.length !== 2 || serviceTags[0].confidence <= serviceTags[1].confidence || strictResult.tagCounts['container'] !== 1) {
+    throw new Error('Confidence scoring did not separate code from strings');
+}
+
+// Test 9: Comment- and string-aware tokenization
+console.log('\n9. Testing Lexer Spans');
+console.log('----------------------');
+
+const lexerPython = `# print the model and node status
+def train(model):
+    """TODO: the service docstring"""
+    print(f"node ready")  # TODO: remove debug output
+`;
+const lexerResult = analyzeCode(lexerPython, { languageId: 'python', minConfidence: 0 });
+const lexerTypes = lexerResult.tags.map(tag => `${tag.type}@${tag.line}`);
+const spanKinds = tokenize('x = "s" // c', 'typescript').map(span => span.kind);
+console.log('✅ Lexer Results:');
+console.log(`   Tags: ${lexerTypes.join(', ')}`);
+console.log(`   Span Kinds: ${spanKinds.join(', ')}`);
+
+if (lexerTypes.includes('debug@0') || lexerTypes.includes('todo@2') || !lexerTypes.includes('todo@3') ||
+    !lexerTypes.includes('debug@3') || spanKinds.join(',') !== 'identifier,code,string,code,comment') {
+    throw new Error('Lexer spans were not respected by the patterns');
+}
+
+// Test 10: Terraform block-level analysis
+console.log('\n10. Testing Terraform Analyzer');
+console.log('------------------------------');
+
+const terraformTags = createTerraformAnalyzer().analyze(`${terraformCode}
+# owner = "a comment, not metadata"
+module "network" {
+  source = "./modules/vpc"
+  tags   = merge(local.common_tags, { owner = "netops" })
+}
+
+resource "aws_sqs_queue" {
+  tags = { owner = "half-typed" }
+}
+`);
+const unlabeledResources = createTerraformAnalyzer().findResources('resource {\n}\nresource "aws_sqs_queue" {\n}\nmodule "network" {\n}\n');
+const strayMetadata = new SemanticEngine().analyzeFile('infra/locals.tf', `locals {
+  owner = "not-a-resource"
+}
+
+resource "aws_sqs_queue" "jobs" {
+  tags = { owner = "platform" }
+}
+`);
+const blockTags = terraformTags.filter(tag => tag.type.startsWith('terraform_'));
+const metadataTags = terraformTags.filter(tag => !tag.type.startsWith('terraform_'));
+console.log('✅ Terraform Analyzer Results:');
+console.log(`   Blocks: ${blockTags.map(tag => tag.terraformContext.address).join(', ')}`);
+console.log(`   Metadata: ${metadataTags.map(tag => `${tag.type}=${tag.match} (${tag.terraformContext.address})`).join(', ')}`);
+console.log(`   Resources With Unlabeled Blocks: ${unlabeledResources.map(record => record.resource).join(', ')}`);
+console.log(`   Owner Outside a Resource: ${strayMetadata.tags.filter(tag => tag.type === 'owner').map(tag => `${tag.match} (line ${tag.line})`).join(', ')}`);
+
+if (blockTags.length !== 3 || blockTags[0].terraformContext.resourceType !== 'aws_s3_bucket' ||
+    metadataTags.length !== 4 || metadataTags[3].terraformContext.address !== 'module.network' ||
+    unlabeledResources.map(record => record.resource).join() !== 'module.network' ||
+    strayMetadata.tags.filter(tag => tag.type === 'owner').map(tag => tag.match).join() !== 'platform') {
+    throw new Error('Terraform analyzer did not read blocks and tags maps');
+}
+
+// Test 11: Kubernetes manifest analysis
+console.log('\n11. Testing YAML Analyzer');
+console.log('-------------------------');
+
+const yamlTags = createYamlAnalyzer().analyze(`${k8sCode}---
+apiVersion: v1
+kind: Service
+metadata:
+  name: web-app
+  annotations:
+    cosca.tech/expiry: "2026-12-31"
+spec:
+  ports:
+  - port: 80
+---
+apiVersion: rbac.authorization.k8s.io/v1
+kind: ClusterRole
+metadata:
+  name: reader
+`);
+const kindTags = yamlTags.filter(tag => tag.type.startsWith('k8s_') && !tag.type.startsWith('k8s_resource_'));
+console.log('✅ YAML Analyzer Results:');
+console.log(`   Objects: ${kindTags.map(tag => `${tag.type}=${tag.match} (doc ${tag.kubernetesContext.documentIndex})`).join(', ')}`);
+console.log(`   Other: ${yamlTags.filter(tag => !kindTags.includes(tag)).map(tag => `${tag.type}@${tag.line}`).join(', ')}`);
+
+const yamlTypes = yamlTags.map(tag => tag.type);
+if (kindTags.map(tag => tag.type).join(',') !== 'k8s_deployment,k8s_service,k8s_rbac' ||
+    !yamlTypes.includes('k8s_resource_limits') || !yamlTypes.includes('expiry') ||
+    yamlTags.find(tag => tag.type === 'owner').kubernetesContext.name !== 'web-app') {
+    throw new Error('YAML analyzer did not read Kubernetes manifests');
+}
+
+// Test 12: Dockerfile instruction analysis
+console.log('\n12. Testing Dockerfile Analyzer');
+console.log('-------------------------------');
+
+const dockerfileTags = createDockerfileAnalyzer().analyze(`# syntax=docker/dockerfile:1
+FROM golang:1.22 AS build
+ARG GITHUB_TOKEN
+RUN go build -o /app ./cmd/server
+
+FROM gcr.io/distroless/base@sha256:0123abcd AS runtime
+FROM node
+LABEL tech.cosca.purpose="api_gateway" \\
+      tech.cosca.owner="platform_team"
+ENV PORT=8080 DB_PASSWORD=changeme
+COPY --from=build /app /app
+EXPOSE 8080/tcp 9090
+`);
+console.log('✅ Dockerfile Analyzer Results:');
+console.log(`   Tags: ${dockerfileTags.map(tag => `${tag.type}=${tag.match}@${tag.line}`).join(', ')}`);
+
+const dockerfileTypes = dockerfileTags.map(tag => tag.type);
+const dockerLanguage = new SemanticEngine().detectLanguage('services/api/Dockerfile.prod');
+const dockerNamedSources = ['src/languages/dockerfile.ts', 'pkg/dockerfile.go', 'images/base.dockerfile', 'Containerfile', 'docs/dockerfile-guide.md']
+    .map(file => new SemanticEngine().detectLanguage(file));
+console.log(`   Dockerfile.prod detected as: ${dockerLanguage}`);
+console.log(`   dockerfile.ts, dockerfile.go, base.dockerfile, Containerfile, dockerfile-guide.md detected as: ${dockerNamedSources.join(', ')}`);
+if (dockerfileTypes.filter(type => type === 'docker_build_stage').length !== 3 ||
+    dockerfileTags.find(tag => tag.type === 'docker_floating_image').match !== 'node' ||
+    dockerfileTypes.filter(type => type === 'docker_base_image').length !== 2 ||
+    dockerfileTags.filter(tag => tag.type === 'docker_secret').map(tag => tag.match).join(',') !== 'GITHUB_TOKEN,DB_PASSWORD' ||
+    dockerfileTags.find(tag => tag.type === 'owner').line !== 8 ||
+    !dockerfileTypes.includes('docker_root_user') || dockerLanguage !== 'dockerfile' ||
+    dockerNamedSources.join(',') !== 'typescript,go,dockerfile,dockerfile,unknown') {
+    throw new Error('Dockerfile analyzer did not read instructions');
+}
+
+// Test 13: Go analysis
+console.log('\n13. Testing Go Analyzer');
+console.log('-----------------------');
+
+const goTags = createGoAnalyzer().analyze(`package storage
+
+import (
+    "database/sql"
+    "net/http"
+
+    "github.com/aws/aws-sdk-go-v2/service/s3"
+)
+
+type Bucket struct {
+    Name string \`json:"name" purpose:"analytics" owner:"data_team"\`
+}
+
+func (h *Handler) ServeHTTP(w http.ResponseWriter, r *http.Request) {
+    // db.Query("SELECT 1")
+    rows, err := h.db.QueryContext(r.Context(), "SELECT name FROM buckets")
+}
+
+func main() {
+    client := s3.NewFromConfig(cfg)
+    db, _ := sql.Open("postgres", os.Getenv("DATABASE_URL"))
+}
+`);
+console.log('✅ Go Analyzer Results:');
+console.log(`   Tags: ${goTags.map(tag => `${tag.type}@${tag.line}`).join(', ')}`);
+
+const handlerTag = goTags.find(tag => tag.type === 'http_handler_go');
+if (goTags.filter(tag => tag.type === 'aws_sdk_go').length !== 2 ||
+    goTags.find(tag => tag.type === 'owner_go').goContext.structName !== 'Bucket' ||
+    handlerTag.goContext.receiverType !== 'Handler' || handlerTag.goContext.functionName !== 'ServeHTTP' ||
+    goTags.filter(tag => tag.type === 'sql_query_go').length !== 1 ||
+    !goTags.some(tag => tag.type === 'sql_database_go')) {
+    throw new Error('Go analyzer did not find expected patterns');
+}
+
+// Test 14: Analyzer registry dispatch
+console.log('\n14. Testing Analyzer Registry');
+console.log('-----------------------------');
+
+const registryResult = analyzeFile('infra/main.tf', terraformCode);
+const registryPurpose = registryResult.tags.filter(tag => tag.type === 'purpose');
+const dockerResult = analyzeFile('services/api/Dockerfile', 'FROM node\nEXPOSE 3000\n');
+const customRegistry = new AnalyzerRegistry().register({
+    id: 'sql',
+    languageIds: [],
+    filePatterns: ['**/*.sql'],
+    analyzer: { analyze: code => code.includes('DROP') ? [{ type: 'destructive_sql', label: 'Destructive SQL', line: 0, column: 0, length: 4, confidence: 0.9, match: 'DROP' }] : [] },
+    categorize: () => 'infrastructure'
+});
+const sqlResult = new SemanticEngine(undefined, customRegistry).analyze('DROP TABLE users;', { filePath: 'db/reset.sql' });
+console.log('✅ Registry Results:');
+console.log(`   Terraform Tags: ${registryResult.totalTags} (purpose: ${registryPurpose.length}, resources: ${registryResult.tagCounts['terraform_resource'] || 0})`);
+console.log(`   Dockerfile Tags: ${dockerResult.tags.map(tag => tag.type).join(', ')}`);
+console.log(`   Custom Registration: ${sqlResult.tags.map(tag => `${tag.type} (${tag.category})`).join(', ')}`);
+
+if (registryPurpose.length !== 1 || !registryPurpose[0].terraformContext || !registryResult.tagCounts['terraform_resource'] ||
+    !dockerResult.tagCounts['docker_floating_image'] || !dockerResult.tagCounts['compute'] ||
+    sqlResult.infraTagCount !== 1 || new SemanticEngine().getRegistry().getAnalyzers('go').length !== 1) {
+    throw new Error('Analyzer registry did not dispatch by language and file pattern');
+}
+
+// Test 15: Overlap resolution
+console.log('\n15. Testing Overlap Resolution');
+console.log('------------------------------');
+
+const nestedTodoTags = createASTAnalyzer().analyzeTypeScript(`function deploy() {\n  // TODO: add retries\n  console.log('deploying');\n}\n`);
+const todoTags = nestedTodoTags.filter(tag => tag.type === 'todo' || (tag.secondaryTypes || []).includes('todo'));
+const mergedTags = resolveOverlaps([
+    { type: 'iac', label: 'Infrastructure Declaration', line: 0, column: 0, length: 13, confidence: 0.85, match: 'aws_s3_bucket' },
+    { type: 'storage', label: 'Data Persistence Intent', line: 0, column: 0, length: 13, confidence: 0.9, match: 'aws_s3_bucket' },
+    { type: 'cloud', label: 'Cloud Service Intent', line: 0, column: 0, length: 13, confidence: 0.85, match: 'aws_s3_bucket' },
+    { type: 'cloud', label: 'Cloud Service Intent', line: 0, column: 4, length: 2, confidence: 0.85, match: 's3' }
+], 'aws_s3_bucket');
+console.log('✅ Overlap Results:');
+console.log(`   Nested TODO Tags: ${todoTags.length} (${todoTags.map(tag => tag.astNode).join(', ')})`);
+console.log(`   Merged Tags: ${mergedTags.map(tag => `${tag.type}+[${(tag.secondaryTypes || []).join(',')}]`).join(', ')}`);
+
+if (todoTags.length !== 1 || mergedTags.length !== 2 || mergedTags[0].type !== 'storage' ||
+    mergedTags[0].secondaryTypes.join(',') !== 'iac' || mergedTags[1].match !== 's3') {
+    throw new Error('Overlapping tags were not resolved');
+}
+
+// Test 16: Cancellation and deadlines
+console.log('\n16. Testing Cancellation');
+console.log('------------------------');
+
+const cancellableCode = Array.from({ length: 50 }, (_, i) => `const bucket${i} = AWS.createBucket({ region: 'us-east-1' });`).join('\n');
+const completeResult = analyzeCode(cancellableCode, { languageId: 'typescript' });
+const abortController = new AbortController();
+abortController.abort();
+const abortedResult = analyzeCode(cancellableCode, { languageId: 'typescript', signal: abortController.signal });
+const expiredResult = analyzeCode(cancellableCode, { languageId: 'typescript', deadline: Date.now() - 1 });
+
+// A signal that aborts partway through the AST walk
+let abortChecks = 0;
+const midwaySignal = { get aborted() { return ++abortChecks > 100; } };
+const midwayResult = createASTAnalyzer().analyzeTypeScriptCancellable(cancellableCode, 'bucket.ts', { signal: midwaySignal });
+console.log('✅ Cancellation Results:');
+console.log(`   Complete: partial=${completeResult.partial}, lines=${completeResult.linesAnalyzed}`);
+console.log(`   Aborted: partial=${abortedResult.partial}, lines=${abortedResult.linesAnalyzed}, tags=${abortedResult.totalTags}`);
+console.log(`   Past Deadline: partial=${expiredResult.partial}, lines=${expiredResult.linesAnalyzed}`);
+console.log(`   Aborted Midway: partial=${midwayResult.partial}, lines=${midwayResult.linesAnalyzed}, tags=${midwayResult.tags.length}`);
+
+if (completeResult.partial || completeResult.linesAnalyzed !== 50 ||
+    !abortedResult.partial || abortedResult.linesAnalyzed !== 0 || abortedResult.totalTags !== 0 ||
+    !expiredResult.partial || expiredResult.linesAnalyzed !== 0 ||
+    !midwayResult.partial || midwayResult.linesAnalyzed <= 0 || midwayResult.linesAnalyzed >= 50 || midwayResult.tags.length === 0 ||
+    midwayResult.tags.some(tag => tag.line > midwayResult.linesAnalyzed)) {
+    throw new Error('Cancelled analysis did not stop cleanly with a partial result');
+}
+
+// Test 17: .semantictags.json workspace configuration
+console.log('\n17. Testing Workspace Configuration');
+console.log('-----------------------------------');
+
+const workspaceConfig = parseWorkspaceConfig(JSON.stringify({
+    patterns: [
+        { type: 'feature_flag', label: 'Feature Flag', pattern: '\\bisEnabled\\(', confidence: 0.9, spanKinds: ['code', 'identifier'] }
+    ],
+    astSelectors: [
+        { type: 'payments_client', label: 'Payments Client', category: 'infrastructure', selector: { kind: 'CallExpression', text: '^payments\\.' } }
+    ],
+    disabledTypes: ['debug', 'todo']
+}));
+const configuredEngine = createConfiguredEngine(workspaceConfig);
+const configuredCode = `// TODO: remove the flag
+if (flags.isEnabled('checkout')) {
+    payments.charge(order);
+    console.log('charged');
+}`;
+const configuredResult = configuredEngine.analyze(configuredCode, { languageId: 'typescript', filePath: 'checkout.ts' });
+const configuredTypes = new Set(configuredResult.tags.map(tag => tag.type));
+const enabledChecks = ['feature_flag', 'payments_client', 'todo', 'network'].map(type => isTypeEnabled(workspaceConfig, type));
+const compiledWorkspacePatterns = compileWorkspacePatterns(workspaceConfig);
+
+const configErrors = [
+    '{ "patterns": [{ "type": "x", "pattern": "(" }] }',
+    '{ "astSelectors": [{ "type": "x", "selector": { "kind": "CallExpresion" } }] }',
+    '{ "patterns": [{ "type": "x", "pattern": "x", "category": "custom" }] }',
+    '{ "disabledTypes": "debug" }',
+    '{ "patterns": [] '
+].map(text => {
+    try {
+        parseWorkspaceConfig(text);
+        return undefined;
+    } catch (error) {
+        return error instanceof WorkspaceConfigError ? error.message : undefined;
+    }
+});
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-tags-config-'));
+fs.writeFileSync(path.join(configDir, 'app.js'), jsCode);
+fs.writeFileSync(path.join(configDir, '.semantictags.json'), JSON.stringify({ enabledTypes: ['network'] }));
+const configuredCliOutput = [];
+const configuredCliErrors = [];
+const configuredExit = cli.run([configDir, '--format', 'json'], text => configuredCliOutput.push(text));
+const configuredCliTypes = Object.keys(JSON.parse(configuredCliOutput[0]).summary.tagCounts);
+// SARIF rules describe the configured patterns and selectors, not the defaults
+fs.writeFileSync(path.join(configDir, 'pay.ts'), 'payments.charge(order);\n');
+fs.writeFileSync(path.join(configDir, '.semantictags.json'), JSON.stringify({
+    enabledTypes: ['network'],
+    astSelectors: [{ type: 'payments_client', label: 'Payments Client', category: 'infrastructure', selector: { callee: 'payments.*' } }]
+}));
+const configuredSarifOutput = [];
+cli.run([configDir, '--format', 'sarif'], text => configuredSarifOutput.push(text));
+const configuredSarifRules = JSON.parse(configuredSarifOutput[0]).runs[0].tool.driver.rules;
+const paymentsRule = configuredSarifRules.find(rule => rule.id === 'payments_client');
+fs.writeFileSync(path.join(configDir, '.semantictags.json'), '{ "patterns": [{ "type": "x" }] }');
+const invalidConfigExit = cli.run([configDir], text => configuredCliOutput.push(text), text => configuredCliErrors.push(text));
+fs.rmSync(configDir, { recursive: true, force: true });
+
+console.log('✅ Workspace Configuration Results:');
+console.log(`   Types: ${[...configuredTypes].sort().join(', ')}`);
+console.log(`   Enabled (feature_flag, payments_client, todo, network): ${enabledChecks.join(', ')}`);
+console.log(`   Errors: ${configErrors.join(' | ')}`);
+console.log(`   CLI Types: ${configuredCliTypes.join(', ')} (exit ${configuredExit}), invalid config exit ${invalidConfigExit}`);
+console.log(`   SARIF Rules: ${configuredSarifRules.map(rule => `${rule.id}(${rule.properties.category})`).join(', ')}`);
+
+if (!configuredTypes.has('feature_flag') || !configuredTypes.has('payments_client') ||
+    configuredTypes.has('debug') || configuredTypes.has('todo') ||
+    configuredResult.tags.find(tag => tag.type === 'payments_client').category !== 'infrastructure' ||
+    enabledChecks.join(',') !== 'true,true,false,true' ||
+    compiledWorkspacePatterns.length !== 1 || !compiledWorkspacePatterns[0].pattern.flags.includes('g') || compiledWorkspacePatterns[0].weight !== 0.9 ||
+    configErrors.some(message => message === undefined) || !configErrors[1].includes('astSelectors[0].selector.kind') ||
+    configuredExit !== 0 || configuredCliTypes.join(',') !== 'network' || invalidConfigExit !== 2 ||
+    !paymentsRule || paymentsRule.properties.category !== 'infrastructure' ||
+    configuredSarifRules.some(rule => !['network', 'payments_client'].includes(rule.id)) ||
+    configuredCliOutput.length !== 1 || !configuredCliErrors.some(message => message.includes('patterns[0].pattern'))) {
+    throw new Error('Workspace configuration was not applied as declared');
+}
+
+// Test 18: Declarative AST selectors
+console.log('\n18. Testing AST Selectors');
+console.log('-------------------------');
+
+const selectorAnalyzer = new ASTAnalyzer([
+    { name: 's3_write', description: 'S3 Write', category: 'infrastructure', confidence: 0.9, selector: { callee: '*.putObject' } },
+    { name: 'aws_import', description: 'AWS SDK Import', category: 'infrastructure', confidence: 0.9, selector: { importModule: '@aws-sdk/*' } },
+    { name: 'handler_region', description: 'Region in Handler', category: 'infrastructure', confidence: 0.9,
+        selector: { property: 'region', ancestor: { kind: 'FunctionDeclaration', text: '^export' } } },
+    { name: 'top_level_fetch', description: 'Top-level Fetch', category: 'general', confidence: 0.9,
+        selector: { callee: 'fetch', notAncestor: { kind: ['FunctionDeclaration', 'ArrowFunction'] } } },
+    { name: 'legacy_require', description: 'Legacy Require', category: 'general', confidence: 0.9,
+        selector: { callee: 'require', importModule: 'aws-sdk', parent: { kind: 'VariableDeclaration' } } }
+]);
+const selectorSource = `import { S3Client } from '@aws-sdk/client-s3';
+const AWS = require('aws-sdk');
+fetch('/warmup');
+export function upload(s3) {
+    const client = new S3Client({ region: 'eu-west-1' });
+    fetch('/in-function');
+    return s3.putObject({ Bucket: 'logs' });
+}
+const defaults = { region: 'us-east-1' };`;
+const selectorTags = selectorAnalyzer.analyzeTypeScript(selectorSource, 'upload.ts');
+// Built-in checks tag some of the same nodes, so selector types may be secondary
+const selectorLines = type => selectorTags
+    .filter(tag => tag.type === type || (tag.secondaryTypes || []).includes(type))
+    .map(tag => tag.line + 1).join(',');
+
+const selectorErrors = [
+    { calee: 'fetch' },
+    { kind: 'CallExpresion' },
+    { kind: 'ImportDeclaration', callee: 'fetch' },
+    { ancestor: { property: '' } },
+    { text: '(' },
+    {}
+].map(selector => {
+    try {
+        new ASTAnalyzer([{ name: 'broken', description: 'Broken', category: 'general', confidence: 0.9, selector }]);
+        return undefined;
+    } catch (error) {
+        return error instanceof AstSelectorError ? error.message : undefined;
+    }
+});
+
+console.log('✅ AST Selector Results:');
+['s3_write', 'aws_import', 'handler_region', 'top_level_fetch', 'legacy_require'].forEach(type => console.log(`   ${type}: line ${selectorLines(type)}`));
+selectorErrors.forEach(message => console.log(`   Error: ${message}`));
+
+if (selectorLines('s3_write') !== '7' || selectorLines('aws_import') !== '1' || selectorLines('handler_region') !== '5' ||
+    selectorLines('top_level_fetch') !== '3' || selectorLines('legacy_require') !== '2' ||
+    selectorErrors.some(message => message === undefined) ||
+    !selectorErrors[0].includes("did you mean 'callee'") || !selectorErrors[1].includes("did you mean 'CallExpression'") ||
+    !selectorErrors[3].startsWith('broken.selector.ancestor.property')) {
+    throw new Error('AST selectors did not match as declared');
+}
+
+// Test 19: Overriding built-in AST rules
+console.log('\n19. Testing AST Rule Overrides');
+console.log('------------------------------');
+
+const overrideSource = `import AWS from 'aws-sdk';
+// TODO: HIGH remove before launch
+console.log('starting');
+const bucket = AWS.createBucket();`;
+const defaultOverrideTags = createASTAnalyzer().analyzeTypeScript(overrideSource, 'launch.ts');
+const overriddenAnalyzer = createASTAnalyzer();
+overriddenAnalyzer.overrideDefaultTags({
+    debug: false,
+    cloud: { confidence: 0.7 },
+    aws_sdk_import: { label: 'AWS SDK v2 Import' },
+    todo: {
+        name: 'todo', description: 'High Priority TODO', category: 'general', confidence: 0.95,
+        matcher: (node, sourceFile) => ts.isExpressionStatement(node) && node.getFullText(sourceFile).includes('TODO: HIGH')
+    }
+});
+overriddenAnalyzer.registerRule({
+    name: 'bucket_variable', type: 'storage', label: 'Bucket Variable', confidence: 0.85,
+    check: (node, sourceFile) => ts.isVariableDeclaration(node) && node.name.getText(sourceFile) === 'bucket' ? { match: 'bucket' } : undefined
+});
+const overriddenTags = overriddenAnalyzer.analyzeTypeScript(overrideSource, 'launch.ts');
+const overrideType = (tagList, type) => tagList.filter(tag => tag.type === type || (tag.secondaryTypes || []).includes(type));
+
+// Replacements report their own name, and a later override of the key still finds them
+const renamedReplacement = createASTAnalyzer();
+renamedReplacement.overrideDefaultTags({
+    todo: { name: 'strict_todo', description: 'Strict TODO', category: 'general', confidence: 0.95, matcher: node => ts.isExpressionStatement(node) }
+});
+const renamedReplacementTypes = renamedReplacement.analyzeTypeScript(overrideSource, 'launch.ts').map(tag => tag.type);
+renamedReplacement.overrideDefaultTags({ todo: false });
+const removedReplacementTypes = renamedReplacement.analyzeTypeScript(overrideSource, 'launch.ts').map(tag => tag.type);
+
+// Overriding a single rule by its name keeps the replacement's type rather than the rule name
+const ruleReplacement = createASTAnalyzer();
+ruleReplacement.overrideDefaultTags({
+    console_call: { name: 'debug', description: 'Console Output', category: 'general', confidence: 0.6,
+        matcher: (node, sourceFile) => ts.isCallExpression(node) && node.expression.getText(sourceFile) === 'console.log' }
+});
+const ruleReplacementTags = ruleReplacement.analyzeTypeScript(overrideSource, 'launch.ts').filter(tag => tag.label === 'Console Output');
+
+let unknownOverrideError;
+try {
+    createASTAnalyzer().overrideDefaultTags({ clould: { confidence: 0.5 } });
+} catch (error) {
+    unknownOverrideError = error.message;
+}
+
+console.log('✅ AST Rule Override Results:');
+console.log(`   Default: ${defaultOverrideTags.map(tag => `${tag.type}(${tag.confidence})`).join(', ')}`);
+console.log(`   Overridden: ${overriddenTags.map(tag => `${tag.type}(${tag.confidence}, ${tag.label})`).join(', ')}`);
+const activeRuleNames = overriddenAnalyzer.getRules().map(rule => rule.name);
+console.log(`   Disabled Rules: ${createASTAnalyzer().getRules().map(rule => rule.name).filter(name => !activeRuleNames.includes(name)).join(', ')}`);
+console.log(`   Renamed Replacement: ${renamedReplacementTypes.filter(type => type.includes('todo')).join(', ')}, after removal: ${removedReplacementTypes.filter(type => type.includes('todo')).length}`);
+console.log(`   Rule Replacement: ${ruleReplacementTags.map(tag => `${tag.type}(${tag.confidence})`).join(', ')}`);
+console.log(`   Unknown Key: ${unknownOverrideError}`);
+
+if (overrideType(defaultOverrideTags, 'debug').length === 0 || overrideType(overriddenTags, 'debug').length !== 0 ||
+    overrideType(overriddenTags, 'cloud').some(tag => tag.confidence !== 0.7 && tag.label !== 'AWS SDK v2 Import') ||
+    !overriddenTags.some(tag => tag.label === 'AWS SDK v2 Import') ||
+    overrideType(overriddenTags, 'todo').length !== 1 || overrideType(overriddenTags, 'todo')[0].label !== 'High Priority TODO' ||
+    overrideType(overriddenTags, 'storage').length === 0 || !activeRuleNames.includes('bucket_variable') ||
+    activeRuleNames.includes('console_call') || activeRuleNames.includes('todo_comment') ||
+    !renamedReplacementTypes.includes('strict_todo') ||
+    ruleReplacementTags.length !== 1 || ruleReplacementTags[0].type !== 'debug' || ruleReplacement.getRules().some(rule => rule.name === 'console_call') ||
+    removedReplacementTypes.some(type => type.includes('todo')) ||
+    !unknownOverrideError || !unknownOverrideError.includes("'clould'")) {
+    throw new Error('Built-in AST rules were not overridden as requested');
+}
+
+// Test 20: Resource records
+console.log('\n20. Testing Resource Records');
+console.log('----------------------------');
+
+const resourceEngine = new SemanticEngine();
+const terraformResources = resourceEngine.analyzeFile('infra/main.tf', `resource "aws_s3_bucket" "logs" {
+  tags = {
+    purpose       = "audit logs"
+    "cosca:owner" = "platform"
+  }
+}
+
+module "network" {
+  source = "./network"
+}`).resources;
+const manifestResources = resourceEngine.analyzeFile('deploy.yaml', `apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: api
+  labels:
+    cosca.tech/owner: payments
+  annotations:
+    expiry: "2026-12-31"
+`).resources;
+const typescriptResources = resourceEngine.analyzeFile('stack.ts', `export class Pipeline {
+  static readonly purpose = 'nightly ETL';
+}
+new s3.Bucket(this, 'Logs', { tags: { purpose: 'request logs', owner: 'sre' } });`).resources;
+const pythonResources = resourceEngine.analyzeFile('jobs.py', `bucket = s3.Bucket(self, "raw",
+    purpose="training data",
+    owner="ml-team")
+
+class Cleanup:
+    def __init__(self):
+        self.expiry = "2026-03-01"  # owner="not this"
+`).resources;
+const describeResource = record => `${record.resource}[${['purpose', 'owner', 'expiry'].filter(field => record[field]).map(field => `${field}=${record[field]}`).join(', ')}]`;
+
+console.log('✅ Resource Record Results:');
+console.log(`   Terraform: ${terraformResources.map(describeResource).join(' ')}`);
+console.log(`   Kubernetes: ${manifestResources.map(describeResource).join(' ')}`);
+console.log(`   TypeScript: ${typescriptResources.map(describeResource).join(' ')}`);
+console.log(`   Python: ${pythonResources.map(describeResource).join(' ')}`);
+
+const findResource = (records, name) => records.find(record => record.resource === name) || {};
+const logsBucket = findResource(terraformResources, 'aws_s3_bucket.logs');
+const cleanupJob = findResource(pythonResources, 'Cleanup');
+if (logsBucket.purpose !== 'audit logs' || logsBucket.owner !== 'platform' || logsBucket.location.file !== 'infra/main.tf' ||
+    logsBucket.location.line !== 0 || logsBucket.location.endLine !== 5 ||
+    !terraformResources.some(record => record.resource === 'module.network' && record.purpose === undefined) ||
+    findResource(manifestResources, 'Deployment/api').owner !== 'payments' || findResource(manifestResources, 'Deployment/api').expiry !== '2026-12-31' ||
+    findResource(typescriptResources, 'Pipeline').purpose !== 'nightly ETL' || findResource(typescriptResources, 'Logs').owner !== 'sre' ||
+    findResource(pythonResources, 'bucket').owner !== 'ml-team' || findResource(pythonResources, 'bucket').location.endLine !== 2 ||
+    cleanupJob.expiry !== '2026-03-01' || cleanupJob.owner !== undefined) {
+    throw new Error('Purpose metadata was not grouped into resource records');
+}
+
+// Test 21: Expiry parsing and expired-resource detection
+console.log('\n21. Testing Expiry Detection');
+console.log('----------------------------');
+
+const expiryNow = new Date('2026-10-19T09:00:00Z');
+const expiryChecks = ['2025-06-30', 'Q3 2026', '2026-Q4', '2026-11', '2_years', '6 months', 'P90D', 'never', '2025-02-30']
+    .map(value => [value, checkExpiry(value, { now: expiryNow, referenceDate: new Date('2024-10-01T15:00:00Z') })]);
+const expiryTerraform = `resource "aws_s3_bucket" "scratch" {
+  tags = {
+    expiry = "Q3 2026"
+  }
+}
+
+resource "aws_s3_bucket" "reports" {
+  tags = {
+    expiry = "2026-11-01"
+  }
+}`;
+const expiryAnalysis = new SemanticEngine().analyzeFile('infra/main.tf', expiryTerraform, { expiry: { now: expiryNow } });
+const narrowWindowAnalysis = new SemanticEngine().analyzeFile('infra/main.tf', expiryTerraform, { expiry: { now: expiryNow, warningDays: 7 } });
+const expiredTag = expiryAnalysis.tags.find(tag => tag.type === 'expired');
+
+const expiryRepo = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-tags-expiry-'));
+fs.writeFileSync(path.join(expiryRepo, 'queue.tf'), 'resource "aws_sqs_queue" "batch" {\n  tags = {\n    expiry = "1_year"\n  }\n}\n');
+const gitAt = date => (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: expiryRepo, stdio: 'ignore', env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date }
+});
+const git = gitAt('2024-01-15T12:00:00Z');
+git('init', '-q');
+git('add', 'queue.tf');
+git('commit', '-q', '-m', 'Add queue');
+// A later edit elsewhere in the file must not move the expiry's reference date
+fs.writeFileSync(path.join(expiryRepo, 'queue.tf'), 'resource "aws_sqs_queue" "batch" {\n  tags = {\n    purpose = "batch jobs"\n    expiry = "1_year"\n  }\n}\n');
+gitAt('2024-06-01T12:00:00Z')('commit', '-q', '-a', '-m', 'Describe queue');
+const committedAt = gitFileDate(path.join(expiryRepo, 'queue.tf'));
+const expiryLineDate = gitLineDate(path.join(expiryRepo, 'queue.tf'), 3);
+const queueLineDates = gitLineDates(path.join(expiryRepo, 'queue.tf'));
+const blamedLines = [0, 2, 3, 9].map(line => queueLineDates(line)).map(date => date && date.toISOString().slice(0, 10));
+const scannedQueue = scanDirectory(expiryRepo, { expiry: { now: expiryNow } }).files[0].result.resources[0];
+const expiryCliOutput = [];
+const expiredCliExit = cli.run([expiryRepo, '--max-tags', 'expired=0', '--quiet'], text => expiryCliOutput.push(text));
+const referenceCliExit = cli.run([expiryRepo, '--max-tags', 'expired=0', '--reference-date', '2099-01-01', '--quiet'], text => expiryCliOutput.push(text));
+const badDateCliExit = cli.run([expiryRepo, '--reference-date', 'yesterday'], text => expiryCliOutput.push(text), text => expiryCliOutput.push(text));
+fs.rmSync(expiryRepo, { recursive: true, force: true });
+
+console.log('✅ Expiry Detection Results:');
+expiryChecks.forEach(([value, check]) => console.log(`   ${value}: ${check ? `${check.expiresAt} ${check.status} (${check.daysRemaining} days)` : 'no date'}`));
+console.log(`   Tags: ${expiryAnalysis.tags.filter(tag => tag.type.startsWith('expir')).map(tag => `${tag.type}(${tag.match})`).join(', ')}`);
+console.log(`   7-day Window: ${narrowWindowAnalysis.tags.filter(tag => tag.type === 'expiring_soon').length} expiring soon`);
+console.log(`   Resources: ${expiryAnalysis.resources.map(record => `${record.resource}=${record.expiryStatus}`).join(', ')}`);
+console.log(`   Git Dates: file ${committedAt && committedAt.toISOString()}, expiry line ${expiryLineDate && expiryLineDate.toISOString()}, scanned 1_year expires ${scannedQueue.expiresAt}`);
+console.log(`   Blamed Lines (0, 2, 3, 9): ${blamedLines.join(', ')}`);
+console.log(`   CLI Exit Codes: git date=${expiredCliExit}, reference date=${referenceCliExit}, bad date=${badDateCliExit}`);
+
+const expiryStatus = value => (expiryChecks.find(([checked]) => checked === value)[1] || {}).status;
+if (expiryStatus('2025-06-30') !== 'expired' || expiryStatus('Q3 2026') !== 'expired' || expiryStatus('2026-11') !== 'active' ||
+    expiryStatus('2_years') !== 'expired' || expiryChecks.find(([value]) => value === '2_years')[1].expiresAt !== '2026-10-01' ||
+    expiryStatus('P90D') !== 'expired' || expiryStatus('never') !== undefined || expiryStatus('2025-02-30') !== undefined ||
+    !expiredTag || expiredTag.match !== 'Q3 2026' || expiredTag.line !== 2 || expiredTag.expiryContext.expiresAt !== '2026-09-30' ||
+    !expiryAnalysis.tags.some(tag => tag.type === 'expiring_soon' && tag.match === '2026-11-01') ||
+    narrowWindowAnalysis.tags.some(tag => tag.type === 'expiring_soon') ||
+    expiryAnalysis.resources.map(record => record.expiryStatus).join() !== 'expired,expiring_soon' ||
+    !committedAt || committedAt.toISOString() !== '2024-06-01T12:00:00.000Z' ||
+    !expiryLineDate || expiryLineDate.toISOString() !== '2024-01-15T12:00:00.000Z' || scannedQueue.expiresAt !== '2025-01-15' ||
+    blamedLines.join(',') !== '2024-01-15,2024-06-01,2024-01-15,' ||
+    expiredCliExit !== 1 || referenceCliExit !== 0 || badDateCliExit !== 2) {
+    throw new Error('Expiry values were not parsed or evaluated correctly');
+}
+
 // Summary
 console.log('\n🎯 Test Summary');
 console.log('===============');
@@ -128,4 +840,20 @@ console.log('✅ JavaScript analysis working');
 console.log('✅ Kubernetes analysis working');
 console.log('✅ Custom analyzer working');
 console.log('✅ File analysis working');
+console.log('✅ Repository scanner working');
+console.log('✅ SARIF output working');
+console.log('✅ Confidence scoring working');
+console.log('✅ Lexer spans working');
+console.log('✅ Terraform analyzer working');
+console.log('✅ YAML analyzer working');
+console.log('✅ Dockerfile analyzer working');
+console.log('✅ Go analyzer working');
+console.log('✅ Analyzer registry working');
+console.log('✅ Overlap resolution working');
+console.log('✅ Cancellation working');
+console.log('✅ Workspace configuration working');
+console.log('✅ AST selectors working');
+console.log('✅ AST rule overrides working');
+console.log('✅ Resource records working');
+console.log('✅ Expiry detection working');
 console.log('\n📦 @cosca/semantic-tags is ready for publication!');
\ No newline at end of file
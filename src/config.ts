@@ -2,6 +2,19 @@
  * Centralized configuration management for the semantic tagging extension
  */
 import * as vscode from 'vscode';
+import { PatternCategory } from 'cosca-semantic-tags';
+import { MetadataValues } from './utils/metadataInsertion';
+
+export type OverviewRulerLaneSetting = 'left' | 'center' | 'right' | 'full' | 'none';
+
+export interface DecorationConfig {
+    categories: Record<PatternCategory, { enabled: boolean; color: string }>;
+    typeColors: Record<string, string>; // Tag types drawn in their own color instead of their category's
+    gutterIcons: boolean;
+    overviewRulerLane: OverviewRulerLaneSetting;
+}
+
+export type DiagnosticSeveritySetting = 'error' | 'warning' | 'information' | 'hint' | 'off';
 
 export interface ExtensionConfig {
     analysis: {
@@ -10,6 +23,7 @@ export interface ExtensionConfig {
         debounceDelay: number;
         maxCacheSize: number;
         cacheTTL: number;
+        incrementalAnalysis: boolean;
     };
     telemetry: {
         enabled: boolean;
@@ -25,6 +39,20 @@ export interface ExtensionConfig {
         useWebWorker: boolean;
         webWorkerThreshold: number;
     };
+    workspaceScan: {
+        include: string;
+        exclude: string;
+        maxFiles: number;
+    };
+    decorations: DecorationConfig;
+    diagnostics: {
+        enabled: boolean;
+        severity: Record<string, DiagnosticSeveritySetting>; // Tag types reported in the Problems panel
+    };
+    metadataDefaults: MetadataValues; // Pre-filled by the add-metadata quick fix
+    codeLens: {
+        enabled: boolean;
+    };
 }
 
 export const DEFAULT_CONFIG: ExtensionConfig = {
@@ -33,7 +61,8 @@ export const DEFAULT_CONFIG: ExtensionConfig = {
         maxFileSize: 1024 * 1024,      // 1MB limit to prevent UI blocking
         debounceDelay: 300,            // 300ms feels responsive
         maxCacheSize: 500,             // Max 500 files cached
-        cacheTTL: 1000 * 60 * 10       // 10 minute TTL
+        cacheTTL: 1000 * 60 * 10,      // 10 minute TTL
+        incrementalAnalysis: true      // Re-tag only edited lines while typing
     },
     telemetry: {
         enabled: false,                // Opt-in by default
@@ -48,9 +77,42 @@ export const DEFAULT_CONFIG: ExtensionConfig = {
         maxAnalysisTime: 5000,         // 5 second timeout for analysis
         useWebWorker: true,            // Use web workers for large files
         webWorkerThreshold: 5000       // Use worker for files >5k lines
+    },
+    workspaceScan: {
+        include: '**/{*.{tf,tfvars,hcl,yaml,yml,ts,tsx,js,jsx,py,go,sh,json},Dockerfile,Dockerfile.*}',
+        exclude: '**/{node_modules,.git,.terraform,vendor,out,dist,build}/**',
+        maxFiles: 5000                 // Stop listing files after 5k matches
+    },
+    decorations: {
+        categories: {
+            infrastructure: { enabled: true, color: '#2196f3' },
+            purpose: { enabled: true, color: '#9c27b0' },
+            general: { enabled: true, color: '#ffc107' }
+        },
+        typeColors: {},
+        gutterIcons: true,
+        overviewRulerLane: 'right'
+    },
+    diagnostics: {
+        enabled: true,
+        severity: {
+            debug: 'information',      // Leftover console.log and debugger statements
+            todo: 'hint',
+            missing_owner: 'warning'   // Infrastructure files without an owner tag
+        }
+    },
+    metadataDefaults: {
+        purpose: 'TODO: describe why this exists',
+        owner: 'TODO: owning team',
+        expiry: 'TODO: review date'
+    },
+    codeLens: {
+        enabled: true                  // Tag summaries above resources and functions
     }
 };
 
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
 export class ConfigManager {
     private config: ExtensionConfig;
     private disposables: vscode.Disposable[] = [];
@@ -69,7 +131,8 @@ export class ConfigManager {
                 maxFileSize: vscodeConfig.get('analysis.maxFileSize', DEFAULT_CONFIG.analysis.maxFileSize),
                 debounceDelay: vscodeConfig.get('analysis.debounceDelay', DEFAULT_CONFIG.analysis.debounceDelay),
                 maxCacheSize: vscodeConfig.get('analysis.maxCacheSize', DEFAULT_CONFIG.analysis.maxCacheSize),
-                cacheTTL: vscodeConfig.get('analysis.cacheTTL', DEFAULT_CONFIG.analysis.cacheTTL)
+                cacheTTL: vscodeConfig.get('analysis.cacheTTL', DEFAULT_CONFIG.analysis.cacheTTL),
+                incrementalAnalysis: vscodeConfig.get('analysis.incrementalAnalysis', DEFAULT_CONFIG.analysis.incrementalAnalysis)
             },
             telemetry: {
                 enabled: vscodeConfig.get('enableTelemetry', DEFAULT_CONFIG.telemetry.enabled),
@@ -84,10 +147,46 @@ export class ConfigManager {
                 maxAnalysisTime: vscodeConfig.get('performance.maxAnalysisTime', DEFAULT_CONFIG.performance.maxAnalysisTime),
                 useWebWorker: vscodeConfig.get('performance.useWebWorker', DEFAULT_CONFIG.performance.useWebWorker),
                 webWorkerThreshold: vscodeConfig.get('performance.webWorkerThreshold', DEFAULT_CONFIG.performance.webWorkerThreshold)
+            },
+            workspaceScan: {
+                include: vscodeConfig.get('workspaceScan.include', DEFAULT_CONFIG.workspaceScan.include),
+                exclude: vscodeConfig.get('workspaceScan.exclude', DEFAULT_CONFIG.workspaceScan.exclude),
+                maxFiles: vscodeConfig.get('workspaceScan.maxFiles', DEFAULT_CONFIG.workspaceScan.maxFiles)
+            },
+            decorations: {
+                categories: {
+                    infrastructure: this.loadCategoryDecoration(vscodeConfig, 'infrastructure'),
+                    purpose: this.loadCategoryDecoration(vscodeConfig, 'purpose'),
+                    general: this.loadCategoryDecoration(vscodeConfig, 'general')
+                },
+                typeColors: vscodeConfig.get('decorations.typeColors', DEFAULT_CONFIG.decorations.typeColors),
+                gutterIcons: vscodeConfig.get('decorations.gutterIcons', DEFAULT_CONFIG.decorations.gutterIcons),
+                overviewRulerLane: vscodeConfig.get('decorations.overviewRulerLane', DEFAULT_CONFIG.decorations.overviewRulerLane)
+            },
+            diagnostics: {
+                enabled: vscodeConfig.get('diagnostics.enabled', DEFAULT_CONFIG.diagnostics.enabled),
+                severity: vscodeConfig.get('diagnostics.severity', DEFAULT_CONFIG.diagnostics.severity)
+            },
+            metadataDefaults: {
+                purpose: vscodeConfig.get('metadataDefaults.purpose', DEFAULT_CONFIG.metadataDefaults.purpose),
+                owner: vscodeConfig.get('metadataDefaults.owner', DEFAULT_CONFIG.metadataDefaults.owner),
+                expiry: vscodeConfig.get('metadataDefaults.expiry', DEFAULT_CONFIG.metadataDefaults.expiry)
+            },
+            codeLens: {
+                enabled: vscodeConfig.get('codeLens.enabled', DEFAULT_CONFIG.codeLens.enabled)
             }
         };
     }
 
+    private loadCategoryDecoration(vscodeConfig: vscode.WorkspaceConfiguration, category: PatternCategory): { enabled: boolean; color: string } {
+        const defaults = DEFAULT_CONFIG.decorations.categories[category];
+        const color = vscodeConfig.get(`decorations.${category}.color`, defaults.color);
+        return {
+            enabled: vscodeConfig.get(`decorations.${category}.enabled`, defaults.enabled),
+            color: HEX_COLOR.test(color) ? color : defaults.color // Decorations derive tints from the hex value
+        };
+    }
+
     private setupConfigWatcher(): void {
         const disposable = vscode.workspace.onDidChangeConfiguration((event) => {
             if (event.affectsConfiguration('semanticTagging')) {
@@ -2,9 +2,16 @@ import * as vscode from 'vscode';
 import { ProtectedSemanticTagger } from './protection/protectedSemanticTagger';
 import { TelemetryService } from './telemetry';
 import { configManager } from './config';
+import { WorkspaceTagConfig } from './workspaceTagConfig';
+import { registerSemanticTagsTree } from './views/semanticTagsTree';
+import { TagDiagnosticsProvider } from './providers/tagDiagnostics';
+import { METADATA_LANGUAGES, MetadataCodeActionProvider } from './providers/metadataCodeActions';
+import { TagHoverProvider } from './providers/tagHover';
+import { CODE_LENS_LANGUAGES, TagCodeLensProvider } from './providers/tagCodeLens';
 
 let semanticTagger: ProtectedSemanticTagger;
 let telemetryService: TelemetryService;
+let workspaceTagConfig: WorkspaceTagConfig;
 
 async function showPrivacyNoticeIfNeeded(context: vscode.ExtensionContext) {
     const hasSeenNotice = context.globalState.get('hasSeenPrivacyNotice', false);
@@ -39,7 +46,9 @@ export async function activate(context: vscode.ExtensionContext): Promise<void>
     try {
         // Initialize services
         telemetryService = new TelemetryService();
-        semanticTagger = new ProtectedSemanticTagger(telemetryService);
+        workspaceTagConfig = new WorkspaceTagConfig();
+        await workspaceTagConfig.load();
+        semanticTagger = new ProtectedSemanticTagger(telemetryService, workspaceTagConfig);
 
         // Show privacy notice on first run
         await showPrivacyNoticeIfNeeded(context);
@@ -68,6 +77,46 @@ export async function activate(context: vscode.ExtensionContext): Promise<void>
         semanticTagger.showInsights();
     });
 
+    const scanWorkspaceCommand = vscode.commands.registerCommand('semanticTagging.scanWorkspace', async () => {
+        const summary = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'Scanning workspace for semantic tags',
+            cancellable: true
+        }, (progress, token) => semanticTagger.scanWorkspace(progress, token));
+
+        const skipped = summary.filesSkipped > 0 ? ` (${summary.filesSkipped} skipped)` : '';
+        const message = summary.cancelled ?
+            `Workspace scan cancelled after ${summary.filesScanned} files${skipped}` :
+            `Found ${summary.totalTags} semantic tags in ${summary.filesScanned} files${skipped}`;
+        const choice = await vscode.window.showInformationMessage(message, 'Show Insights');
+        if (choice === 'Show Insights') {
+            semanticTagger.showInsights();
+        }
+    });
+
+    // Explorer tree fed from the tagger's results
+    const tagsTree = registerSemanticTagsTree(semanticTagger);
+
+    // Selected tag types in the Problems panel
+    const tagDiagnostics = new TagDiagnosticsProvider(semanticTagger);
+
+    // Explains tags under the cursor
+    const tagHover = vscode.languages.registerHoverProvider(
+        [{ scheme: 'file' }, { scheme: 'untitled' }],
+        new TagHoverProvider(semanticTagger)
+    );
+
+    // Tag summaries above resources and functions
+    const codeLensProvider = new TagCodeLensProvider(semanticTagger);
+    const tagCodeLens = vscode.languages.registerCodeLensProvider(CODE_LENS_LANGUAGES, codeLensProvider);
+
+    // Quick fixes that add purpose/owner/expiry to infrastructure blocks
+    const metadataActions = vscode.languages.registerCodeActionsProvider(
+        METADATA_LANGUAGES,
+        new MetadataCodeActionProvider(semanticTagger),
+        { providedCodeActionKinds: MetadataCodeActionProvider.providedCodeActionKinds }
+    );
+
     // Auto-scan on file open/save
     const onDidOpenTextDocument = vscode.workspace.onDidOpenTextDocument((document) => {
         semanticTagger.scanDocument(document);
@@ -77,11 +126,25 @@ export async function activate(context: vscode.ExtensionContext): Promise<void>
         semanticTagger.scanDocument(document);
     });
 
+    // Keep tags in step with edits between saves
+    const onDidChangeTextDocument = vscode.workspace.onDidChangeTextDocument((event) => {
+        semanticTagger.updateDocument(event);
+    });
+
     context.subscriptions.push(
+        workspaceTagConfig,
         scanCommand,
         insightsCommand,
+        scanWorkspaceCommand,
+        tagsTree,
+        tagDiagnostics,
+        metadataActions,
+        tagHover,
+        codeLensProvider,
+        tagCodeLens,
         onDidOpenTextDocument,
-        onDidSaveTextDocument
+        onDidSaveTextDocument,
+        onDidChangeTextDocument
     );
 }
 
@@ -5,136 +5,219 @@ import { LRUCache } from '../utils/lruCache';
 import { ErrorClassifier } from '../utils/errorHandling';
 import { encryptionService } from './encryptionService';
 import { PatternObfuscator, RuntimeProtection, ObfuscatedPattern } from './obfuscator';
+import { IncrementalTagIndex } from '../utils/incrementalTags';
+import { CompiledPattern, SemanticTag, TagScanResult, tagLine } from '../utils/lineTagger';
+import { languageIdForPath } from '../utils/languageIds';
+import { applyWorkspaceConfig, WorkspaceTagConfig } from '../workspaceTagConfig';
+import { TagDecorations } from '../views/tagDecorations';
+import { AnalysisWorkerPool, PartialAnalysisError } from '../workers/workerPool';
 
-export interface SemanticTag {
-    type: string;
-    label: string;
-    line: number;
-    column: number;
-    length: number;
-    confidence: number;
+export { SemanticTag };
+
+// Lines a worker analyzes between partial results
+const WORKER_PARTIAL_INTERVAL = 1000;
+
+// Languages whose metadata values are usually written unquoted
+const YAML_LANGUAGES = ['yaml', 'dockercompose'];
+
+// Lines analyzed on the extension host before yielding, so cancellation requests get delivered
+const INLINE_YIELD_INTERVAL = 500;
+
+interface ScanLimits {
+    token?: vscode.CancellationToken;
+    deadline: number; // Epoch milliseconds
+}
+
+// Settings that change which tags are found; the rest only change how they are presented
+function tagAffectingSettings(config: ExtensionConfig): string {
+    const { analysis, performance, workspaceScan } = config;
+    return JSON.stringify({ analysis, performance, workspaceScan });
+}
+
+export interface WorkspaceScanSummary {
+    filesScanned: number;
+    filesSkipped: number; // Too large, unreadable or binary
+    totalTags: number;
+    cancelled: boolean;
 }
 
-interface CompiledPattern {
-    regex: RegExp;
-    type: string;
-    label: string;
+interface DocumentTagState {
+    version: number;
+    index: IncrementalTagIndex<SemanticTag>;
 }
 
 export class ProtectedSemanticTagger {
     private cache: LRUCache<string, SemanticTag[]>;
-    private decorationType: vscode.TextEditorDecorationType;
+    private documentStates: LRUCache<string, DocumentTagState>; // Latest tags per document URI
+    private pendingUpdates: Map<string, NodeJS.Timeout> = new Map();
+    private workspaceResults: Map<string, SemanticTag[]> = new Map(); // Tags per file URI from the last workspace scan
+    private decorations: TagDecorations;
     private config: ExtensionConfig;
     private encryptedPatterns: ObfuscatedPattern[];
     private debounceTimers: Map<string, NodeJS.Timeout> = new Map();
+    private activeScans: Map<string, vscode.CancellationTokenSource> = new Map(); // In-flight full scans per document URI
     private disposables: vscode.Disposable[] = [];
     private sessionToken: string;
+    private workerPool?: AnalysisWorkerPool; // Created on the first large file
+    private tagsChanged = new vscode.EventEmitter<void>();
 
-    constructor(private telemetryService: TelemetryService) {
+    // Fires whenever the tags returned by getTagsByFile change
+    readonly onDidChangeTags = this.tagsChanged.event;
+
+    constructor(private telemetryService: TelemetryService, private tagConfig: WorkspaceTagConfig) {
         this.sessionToken = encryptionService.generateSecureToken();
         this.config = configManager.getConfig();
         this.cache = new LRUCache({
             maxSize: this.config.analysis.maxCacheSize,
             ttl: this.config.analysis.cacheTTL
         });
+        this.documentStates = new LRUCache({ maxSize: this.config.analysis.maxCacheSize });
         
-        this.decorationType = vscode.window.createTextEditorDecorationType({
-            backgroundColor: 'rgba(255, 193, 7, 0.2)',
-            border: '1px solid rgba(255, 193, 7, 0.5)',
-            borderRadius: '3px'
-        });
+        this.decorations = new TagDecorations(this.config.decorations);
 
         this.encryptedPatterns = this.initializeProtectedPatterns();
         this.setupConfigListener();
+        this.disposables.push(tagConfig.onDidChange(() => this.reloadPatterns()));
     }
 
     private initializeProtectedPatterns(): ObfuscatedPattern[] {
         // The core IP - semantic patterns are now encrypted
         const rawPatterns = [
             // External Communication Intent
-            { regex: /\b(fetch|axios|http\.get|http\.post|XMLHttpRequest)\b/gi, type: 'network', label: 'External Communication' },
+            { regex: /\b(fetch|axios|http\.get|http\.post|XMLHttpRequest)\b/gi, type: 'network', label: 'External Communication', category: 'general', weight: 0.9 },
             
             // Development Insights
-            { regex: /\b(console\.log|console\.error|console\.warn|print|println|debugger)\b/gi, type: 'debug', label: 'Development Insight' },
+            { regex: /\b(console\.log|console\.error|console\.warn|print|println|debugger)\b/gi, type: 'debug', label: 'Development Insight', category: 'general', weight: 0.9 },
             
             // Future Intentions
-            { regex: /\b(TODO|FIXME|HACK|XXX|NOTE)\b/gi, type: 'todo', label: 'Future Intention' },
+            { regex: /\b(TODO|FIXME|HACK|XXX|NOTE)\b/gi, type: 'todo', label: 'Future Intention', category: 'general', weight: 0.9, locationWeights: { comment: 0.05, code: -0.2, string: -0.2 } },
             
             // Data Interactions
-            { regex: /\b(SELECT|INSERT|UPDATE|DELETE|query|findOne|save|create)\b/gi, type: 'database', label: 'Data Interaction' },
+            { regex: /\b(SELECT|INSERT|UPDATE|DELETE|query|findOne|save|create)\b/gi, type: 'database', label: 'Data Interaction', category: 'general', weight: 0.8 },
             
             // Resilience Patterns
-            { regex: /\b(try|catch|throw|error|exception)\b/gi, type: 'error', label: 'Resilience Pattern' },
+            { regex: /\b(try|catch|throw|error|exception)\b/gi, type: 'error', label: 'Resilience Pattern', category: 'general', weight: 0.75 },
             
             // Identity Verification
-            { regex: /\b(auth|login|logout|token|jwt|session|password)\b/gi, type: 'auth', label: 'Identity Verification' },
+            { regex: /\b(auth|login|logout|token|jwt|session|password)\b/gi, type: 'auth', label: 'Identity Verification', category: 'general', weight: 0.8 },
             
             // Behavior Configuration
-            { regex: /\b(config|env|process\.env|settings|options)\b/gi, type: 'config', label: 'Behavior Configuration' },
+            { regex: /\b(config|env|process\.env|settings|options)\b/gi, type: 'config', label: 'Behavior Configuration', category: 'general', weight: 0.75 },
             
             // Infrastructure Declaration
-            { regex: /\b(terraform|pulumi|cloudformation|aws_|azure_|gcp_|resource|provider)\b/gi, type: 'iac', label: 'Infrastructure Declaration' },
+            { regex: /\b(terraform|pulumi|cloudformation|aws_|azure_|gcp_|resource|provider)\b/gi, type: 'iac', label: 'Infrastructure Declaration', category: 'infrastructure', weight: 0.85 },
             
             // Cloud Service Intent
-            { regex: /\b(s3|ec2|lambda|rds|dynamodb|sqs|sns|cloudwatch|ecs|eks|fargate)\b/gi, type: 'cloud', label: 'Cloud Service Intent' },
+            { regex: /\b(s3|ec2|lambda|rds|dynamodb|sqs|sns|cloudwatch|ecs|eks|fargate)\b/gi, type: 'cloud', label: 'Cloud Service Intent', category: 'infrastructure', weight: 0.85 },
             
             // Orchestration Intent
-            { regex: /\b(docker|kubernetes|k8s|pod|deployment|service|ingress|helm)\b/gi, type: 'container', label: 'Orchestration Intent' },
+            { regex: /\b(docker|kubernetes|k8s|pod|deployment|service|ingress|helm)\b/gi, type: 'container', label: 'Orchestration Intent', category: 'infrastructure', weight: 0.8 },
             
             // Compute Requirements
-            { regex: /\b(cpu|memory|gpu|instance|cluster|node|worker|scale)\b/gi, type: 'compute', label: 'Compute Requirement' },
+            { regex: /\b(cpu|memory|gpu|instance|cluster|node|worker|scale)\b/gi, type: 'compute', label: 'Compute Requirement', category: 'infrastructure', weight: 0.75 },
             
             // Data Persistence Intent
-            { regex: /\b(bucket|volume|disk|storage|backup|snapshot|archive)\b/gi, type: 'storage', label: 'Data Persistence Intent' },
+            { regex: /\b(bucket|volume|disk|storage|backup|snapshot|archive)\b/gi, type: 'storage', label: 'Data Persistence Intent', category: 'infrastructure', weight: 0.8 },
             
             // Visibility Intent
-            { regex: /\b(metrics|logs|traces|alert|monitor|dashboard|prometheus|grafana)\b/gi, type: 'observability', label: 'Visibility Intent' },
+            { regex: /\b(metrics|logs|traces|alert|monitor|dashboard|prometheus|grafana)\b/gi, type: 'observability', label: 'Visibility Intent', category: 'infrastructure', weight: 0.8 },
             
             // Resource Lifecycle Intent
-            { regex: /\b(create|destroy|provision|deprovision|scale_up|scale_down|terminate)\b/gi, type: 'lifecycle', label: 'Resource Lifecycle Intent' },
+            { regex: /\b(create|destroy|provision|deprovision|scale_up|scale_down|terminate)\b/gi, type: 'lifecycle', label: 'Resource Lifecycle Intent', category: 'infrastructure', weight: 0.75 },
             
             // Economic Considerations
-            { regex: /\b(cost|billing|budget|pricing|reserved|spot|savings)\b/gi, type: 'cost', label: 'Economic Consideration' },
+            { regex: /\b(cost|billing|budget|pricing|reserved|spot|savings)\b/gi, type: 'cost', label: 'Economic Consideration', category: 'infrastructure', weight: 0.8 },
             
             // Security Boundaries
-            { regex: /\b(iam|role|policy|security_group|vpc|encryption|compliance)\b/gi, type: 'security', label: 'Security Boundary' },
+            { regex: /\b(iam|role|policy|security_group|vpc|encryption|compliance)\b/gi, type: 'security', label: 'Security Boundary', category: 'infrastructure', weight: 0.8 },
             
             // Intelligence Infrastructure
-            { regex: /\b(model|training|inference|gpu_cluster|sagemaker|ml_pipeline)\b/gi, type: 'ml_infra', label: 'Intelligence Infrastructure' },
+            { regex: /\b(model|training|inference|gpu_cluster|sagemaker|ml_pipeline)\b/gi, type: 'ml_infra', label: 'Intelligence Infrastructure', category: 'infrastructure', weight: 0.75 },
             
             // Purpose-Driven Metadata (COSCA-specific)
-            { regex: /purpose\s*[:=]\s*["']([^"']+)["']/gi, type: 'purpose', label: 'Declared Purpose' },
-            { regex: /expiry\s*[:=]\s*["']([^"']+)["']/gi, type: 'expiry', label: 'Lifecycle Expectation' },
-            { regex: /owner\s*[:=]\s*["']([^"']+)["']/gi, type: 'owner', label: 'Responsibility Assignment' }
+            { regex: /purpose\s*[:=]\s*["']([^"']+)["']/gi, type: 'purpose', label: 'Declared Purpose', category: 'purpose', weight: 0.95 },
+            { regex: /expiry\s*[:=]\s*["']([^"']+)["']/gi, type: 'expiry', label: 'Lifecycle Expectation', category: 'purpose', weight: 0.95 },
+            { regex: /owner\s*[:=]\s*["']([^"']+)["']/gi, type: 'owner', label: 'Responsibility Assignment', category: 'purpose', weight: 0.95 },
+
+            // YAML labels and annotations usually leave the value unquoted, e.g. cosca.tech/owner: payments.
+            // Built-in pattern ids default to the type, so these need their own
+            { regex: /\bpurpose:[ \t]+(?!["'|>])[^\s#][^#]*?(?=\s*(?:#|$))/gi, type: 'purpose', label: 'Declared Purpose', category: 'purpose', weight: 0.95, languages: YAML_LANGUAGES, id: 'purpose-yaml' },
+            { regex: /\bexpiry:[ \t]+(?!["'|>])[^\s#][^#]*?(?=\s*(?:#|$))/gi, type: 'expiry', label: 'Lifecycle Expectation', category: 'purpose', weight: 0.95, languages: YAML_LANGUAGES, id: 'expiry-yaml' },
+            { regex: /\bowner:[ \t]+(?!["'|>])[^\s#][^#]*?(?=\s*(?:#|$))/gi, type: 'owner', label: 'Responsibility Assignment', category: 'purpose', weight: 0.95, languages: YAML_LANGUAGES, id: 'owner-yaml' }
         ];
 
-        // Encrypt and obfuscate the patterns
-        return PatternObfuscator.obfuscatePatterns(rawPatterns);
+        // Encrypt and obfuscate the patterns (RegExp objects don't survive JSON serialization)
+        return PatternObfuscator.obfuscatePatterns(rawPatterns.map(pattern => ({
+            ...pattern,
+            regex: { source: pattern.regex.source, flags: pattern.regex.flags }
+        })));
     }
 
     private setupConfigListener(): void {
         const disposable = vscode.commands.registerCommand('semanticTagging.configChanged', (newConfig: ExtensionConfig) => {
+            const oldConfig = this.config;
             this.config = newConfig;
+
+            // Styling changes only need a redraw of the tags we already have
+            if (JSON.stringify(oldConfig.decorations) !== JSON.stringify(newConfig.decorations)) {
+                this.decorations.update(newConfig.decorations);
+                this.refreshDecorations();
+            }
+            if (tagAffectingSettings(oldConfig) === tagAffectingSettings(newConfig)) {
+                return;
+            }
+
             this.cache.clear(); // Clear cache when config changes
+            this.documentStates.clear();
+            this.workspaceResults.clear();
+            this.tagsChanged.fire();
         });
         this.disposables.push(disposable);
     }
 
-    private getCompiledPatterns(): CompiledPattern[] {
+    /**
+     * Forget results found with the old .semantictags.json and re-tag what's on screen
+     */
+    private reloadPatterns(): void {
+        this.cache.clear();
+        this.documentStates.clear();
+        this.workspaceResults.clear();
+        this.tagsChanged.fire();
+
+        for (const editor of vscode.window.visibleTextEditors) {
+            this.scanDocument(editor.document);
+        }
+    }
+
+    /**
+     * Built-in patterns as adjusted by the file's workspace .semantictags.json
+     */
+    private getCompiledPatterns(uri: vscode.Uri): CompiledPattern[] {
+        const builtIn = this.getBuiltInPatterns();
+        const tagConfig = this.tagConfig.getConfig(uri);
+        return tagConfig ? applyWorkspaceConfig(builtIn, tagConfig) : builtIn;
+    }
+
+    private getBuiltInPatterns(): CompiledPattern[] {
         try {
             // Decrypt patterns at runtime
             const decryptedPatterns = PatternObfuscator.deobfuscatePatterns(this.encryptedPatterns);
             
             return decryptedPatterns.map(pattern => ({
+                id: `builtin:${pattern.id || pattern.type}`,
                 regex: new RegExp(pattern.regex.source, pattern.regex.flags),
                 type: pattern.type,
-                label: pattern.label
+                label: pattern.label,
+                category: pattern.category,
+                weight: pattern.weight,
+                locationWeights: pattern.locationWeights,
+                languages: pattern.languages
             }));
         } catch (error) {
             console.error('Failed to decrypt semantic patterns:', error);
             // Return minimal fallback patterns
             return [
-                { regex: /\b(TODO|FIXME)\b/gi, type: 'todo', label: 'Future Intention' }
+                { id: 'builtin:todo', regex: /\b(TODO|FIXME)\b/gi, type: 'todo', label: 'Future Intention', category: 'general', weight: 0.9, locationWeights: { comment: 0.05, code: -0.2, string: -0.2 } }
             ];
         }
     }
@@ -171,6 +254,7 @@ export class ProtectedSemanticTagger {
             try {
                 const documentUri = document.uri.toString();
                 const text = document.getText();
+                const version = document.version; // The text analyzed; edits may land while the analysis awaits
 
                 // Input validation
                 if (!text || text.length === 0) {
@@ -182,18 +266,63 @@ export class ProtectedSemanticTagger {
                     return;
                 }
 
+                // Incremental updates already track this version; no need to hash and re-tag the text
+                const state = this.documentStates.get(documentUri);
+                if (this.config.analysis.incrementalAnalysis && state && state.version === version) {
+                    this.flushIncrementalUpdate(document);
+                    return;
+                }
+
                 // Check cache first
                 const cacheKey = this.generateSecureCacheKey(documentUri, text);
                 let tags = this.cache.get(cacheKey);
 
                 if (!tags) {
-                    // Perform protected analysis
-                    tags = await this.extractSemanticTagsProtected(text, document.languageId);
-                    
+                    // A newer scan of the same document supersedes this one
+                    this.activeScans.get(documentUri)?.cancel();
+                    const scan = new vscode.CancellationTokenSource();
+                    this.activeScans.set(documentUri, scan);
+
+                    let result: TagScanResult;
+                    try {
+                        const limits: ScanLimits = {
+                            token: scan.token,
+                            deadline: Date.now() + this.config.performance.maxAnalysisTime
+                        };
+                        const { useWebWorker, webWorkerThreshold } = this.config.performance;
+                        result = useWebWorker && document.lineCount > webWorkerThreshold ?
+                            await this.extractSemanticTagsInWorker(text, document, limits) :
+                            await this.extractSemanticTagsProtected(text, document.uri, document.languageId, limits);
+                    } finally {
+                        if (this.activeScans.get(documentUri) === scan) {
+                            this.activeScans.delete(documentUri);
+                        }
+                        scan.dispose();
+                    }
+
+                    if (scan.token.isCancellationRequested) {
+                        return;
+                    }
+                    if (document.version !== version) {
+                        // Tags of the old text would overwrite edits applied meanwhile; scan the new text instead
+                        this.scanDocument(document);
+                        return;
+                    }
+                    if (result.partial) {
+                        // Show what was found, but don't cache or track an incomplete scan
+                        console.warn(`Semantic analysis stopped after ${result.linesAnalyzed} of ${document.lineCount} lines`);
+                        this.updateDecorations(document, result.tags);
+                        return;
+                    }
+                    tags = result.tags;
+
                     // Cache the results
                     this.cache.set(cacheKey, tags);
                 }
 
+                this.documentStates.set(documentUri, { version, index: new IncrementalTagIndex(tags) });
+                this.tagsChanged.fire();
+
                 this.updateDecorations(document, tags);
                 
                 // Send telemetry (async, don't wait) - but sanitize first
@@ -210,6 +339,169 @@ export class ProtectedSemanticTagger {
         'performScan'
     );
 
+    /**
+     * Follow an edit without re-tagging the whole document: tags below the edit are shifted
+     * at once and only the edited lines are re-analyzed after the debounce delay
+     */
+    updateDocument(event: vscode.TextDocumentChangeEvent): void {
+        const document = event.document;
+        const documentUri = document.uri.toString();
+
+        if (!this.config.analysis.incrementalAnalysis || event.contentChanges.length === 0) {
+            return;
+        }
+
+        const state = this.documentStates.get(documentUri);
+        if (!state) {
+            // Nothing to update yet; a full scan builds the initial state
+            this.scanDocument(document);
+            return;
+        }
+
+        state.index.applyEdits(event.contentChanges.map(change => ({
+            startLine: change.range.start.line,
+            endLine: change.range.end.line,
+            newLineCount: change.text.split('\n').length
+        })));
+        state.version = document.version;
+
+        // A pending full scan will replace the state anyway
+        if (this.debounceTimers.has(documentUri)) {
+            return;
+        }
+
+        const existingTimer = this.pendingUpdates.get(documentUri);
+        if (existingTimer) {
+            clearTimeout(existingTimer);
+        }
+
+        const timer = setTimeout(() => {
+            this.pendingUpdates.delete(documentUri);
+            this.flushIncrementalUpdate(document);
+        }, this.config.analysis.debounceDelay);
+
+        this.pendingUpdates.set(documentUri, timer);
+    }
+
+    private flushIncrementalUpdate(document: vscode.TextDocument): void {
+        const documentUri = document.uri.toString();
+        const state = this.documentStates.get(documentUri);
+        if (!state || document.isClosed) {
+            return;
+        }
+
+        const pendingTimer = this.pendingUpdates.get(documentUri);
+        if (pendingTimer) {
+            clearTimeout(pendingTimer);
+            this.pendingUpdates.delete(documentUri);
+        }
+
+        try {
+            // Lines past the end were removed by later edits
+            const lines = state.index.takeDirtyLines().filter(line => line < document.lineCount);
+            const compiledPatterns = this.getCompiledPatterns(document.uri);
+            const lineTags: SemanticTag[] = [];
+
+            for (const line of lines) {
+                this.analyzeLine(document.lineAt(line).text, line, document.languageId, compiledPatterns, lineTags);
+            }
+
+            state.index.replaceLines(lines, lineTags);
+            this.updateDecorations(document, state.index.getTags());
+            this.tagsChanged.fire();
+        } catch (error) {
+            const classifiedError = ErrorClassifier.classify(error);
+            console.error('Failed to update semantic tags incrementally:', classifiedError.message);
+        }
+    }
+
+    /**
+     * Analyze every file matching the workspace scan globs and keep the results, so insights
+     * cover the whole project rather than only the documents opened this session
+     */
+    async scanWorkspace(
+        progress: vscode.Progress<{ message?: string; increment?: number }>,
+        token: vscode.CancellationToken
+    ): Promise<WorkspaceScanSummary> {
+        const summary: WorkspaceScanSummary = { filesScanned: 0, filesSkipped: 0, totalTags: 0, cancelled: false };
+        const { include, exclude, maxFiles } = this.config.workspaceScan;
+        const files = await vscode.workspace.findFiles(include, exclude, maxFiles, token);
+        const results = new Map<string, SemanticTag[]>();
+
+        for (const uri of files) {
+            if (token.isCancellationRequested) {
+                break;
+            }
+
+            progress.report({ message: vscode.workspace.asRelativePath(uri), increment: 100 / files.length });
+            const tags = await this.scanWorkspaceFile(uri, token);
+            if (tags) {
+                results.set(uri.toString(), tags);
+                summary.filesScanned++;
+                summary.totalTags += tags.length;
+            } else if (!token.isCancellationRequested) {
+                summary.filesSkipped++;
+            }
+        }
+
+        summary.cancelled = token.isCancellationRequested;
+        if (!summary.cancelled) {
+            // A complete scan also forgets files that were deleted since the last one
+            this.workspaceResults.clear();
+        }
+        for (const [uri, tags] of results) {
+            this.workspaceResults.set(uri, tags);
+        }
+        this.tagsChanged.fire();
+
+        return summary;
+    }
+
+    /**
+     * Tags for one workspace file, or undefined when it was skipped or the scan was cancelled.
+     * Open documents are analyzed as edited; other files are read from disk without opening
+     * them, so the scan doesn't fire open events or decorate editors.
+     */
+    private async scanWorkspaceFile(uri: vscode.Uri, token: vscode.CancellationToken): Promise<SemanticTag[] | undefined> {
+        try {
+            const openDocument = vscode.workspace.textDocuments.find(document => document.uri.toString() === uri.toString());
+            let text: string;
+            let languageId: string;
+
+            if (openDocument) {
+                text = openDocument.getText();
+                languageId = openDocument.languageId;
+            } else {
+                const stat = await vscode.workspace.fs.stat(uri);
+                if (stat.size > this.config.analysis.maxFileSize) {
+                    return undefined;
+                }
+                text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+                languageId = languageIdForPath(uri.path);
+            }
+
+            if (text.length === 0 || text.length > this.config.analysis.maxFileSize || text.includes('\0')) {
+                return undefined;
+            }
+
+            const result = await this.extractSemanticTagsProtected(text, uri, languageId, {
+                token,
+                deadline: Date.now() + this.config.performance.maxAnalysisTime
+            });
+            if (result.partial) {
+                if (token.isCancellationRequested) {
+                    return undefined;
+                }
+                console.warn(`Semantic analysis of ${vscode.workspace.asRelativePath(uri)} stopped after ${result.linesAnalyzed} lines`);
+            }
+            return result.tags;
+        } catch (error) {
+            const classifiedError = ErrorClassifier.classify(error);
+            console.warn('Failed to scan workspace file:', classifiedError.message);
+            return undefined;
+        }
+    }
+
     private generateSecureCacheKey(uri: string, text: string): string {
         // Create a secure hash-based key
         const combined = `${this.sessionToken}:${uri}:${text}`;
@@ -217,46 +509,77 @@ export class ProtectedSemanticTagger {
     }
 
     private extractSemanticTagsProtected = RuntimeProtection.wrapFunction(
-        async (text: string, languageId: string): Promise<SemanticTag[]> => {
+        async (text: string, uri: vscode.Uri, languageId: string, limits: ScanLimits): Promise<TagScanResult> => {
             const tags: SemanticTag[] = [];
             const lines = text.split('\n');
 
             // Get decrypted patterns
-            const compiledPatterns = this.getCompiledPatterns();
+            const compiledPatterns = this.getCompiledPatterns(uri);
 
-            // Use compiled patterns for analysis
+            // Use compiled patterns for analysis, stopping between lines when cancelled or out of time
             for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                
-                for (const pattern of compiledPatterns) {
-                    this.findPatternOptimized(line, i, pattern, tags);
+                if (i > 0 && i % INLINE_YIELD_INTERVAL === 0) {
+                    await new Promise(resolve => setImmediate(resolve));
                 }
+                if (limits.token?.isCancellationRequested || Date.now() >= limits.deadline) {
+                    return { tags, partial: true, linesAnalyzed: i };
+                }
+                this.analyzeLine(lines[i], i, languageId, compiledPatterns, tags);
             }
 
-            return tags;
+            return { tags, partial: false, linesAnalyzed: lines.length };
         },
         'extractSemanticTagsProtected'
     );
 
-    private findPatternOptimized(line: string, lineNumber: number, pattern: CompiledPattern, tags: SemanticTag[]): void {
-        // Reset regex lastIndex to ensure consistent matching
-        pattern.regex.lastIndex = 0;
-        
-        let match;
-        while ((match = pattern.regex.exec(line)) !== null) {
-            tags.push({
-                type: pattern.type,
-                label: pattern.label,
-                line: lineNumber,
-                column: match.index,
-                length: match[0].length,
-                confidence: this.config.analysis.confidenceThreshold
+    private analyzeLine(line: string, lineNumber: number, languageId: string, compiledPatterns: CompiledPattern[], tags: SemanticTag[]): void {
+        tagLine(line, lineNumber, languageId, compiledPatterns, this.config.analysis.confidenceThreshold, tags);
+    }
+
+    /**
+     * Analyze a large document on a worker thread, updating decorations as partial results arrive.
+     * Falls back to the extension host if the worker fails for any reason other than the time limit or cancellation.
+     */
+    private async extractSemanticTagsInWorker(text: string, document: vscode.TextDocument, limits: ScanLimits): Promise<TagScanResult> {
+        if (!this.workerPool) {
+            this.workerPool = new AnalysisWorkerPool();
+        }
+
+        const streamedTags: SemanticTag[] = [];
+        const patterns = this.getCompiledPatterns(document.uri).map(pattern => ({
+            ...pattern,
+            regex: { source: pattern.regex.source, flags: pattern.regex.flags }
+        }));
+
+        // The worker pool speaks AbortSignal; cancelling the token terminates the worker
+        const abort = new AbortController();
+        const subscription = limits.token?.onCancellationRequested(() => abort.abort());
+
+        try {
+            const tags = await this.workerPool.analyze({
+                text,
+                languageId: document.languageId,
+                patterns,
+                confidenceThreshold: this.config.analysis.confidenceThreshold,
+                partialInterval: WORKER_PARTIAL_INTERVAL
+            }, {
+                timeout: Math.max(0, limits.deadline - Date.now()),
+                signal: abort.signal,
+                onPartial: partialTags => {
+                    streamedTags.push(...partialTags);
+                    this.updateDecorations(document, streamedTags);
+                }
             });
-            
-            // Prevent infinite loop for global regexes
-            if (!pattern.regex.global) {
-                break;
+            return { tags, partial: false, linesAnalyzed: document.lineCount };
+        } catch (error) {
+            if (error instanceof PartialAnalysisError) {
+                return { tags: error.partialTags, partial: true, linesAnalyzed: error.linesAnalyzed };
             }
+
+            console.warn('Worker analysis failed, analyzing on the extension host:', ErrorClassifier.classify(error).message);
+            return this.extractSemanticTagsProtected(text, document.uri, document.languageId, limits);
+        } finally {
+            subscription?.dispose();
         }
     }
 
@@ -268,7 +591,9 @@ export class ProtectedSemanticTagger {
             line: -1, // Don't send exact line numbers
             column: -1, // Don't send exact column positions
             length: Math.min(tag.length, 50), // Limit length information
-            confidence: Math.round(tag.confidence * 10) / 10 // Round confidence
+            confidence: Math.round(tag.confidence * 10) / 10, // Round confidence
+            category: tag.category,
+            patternId: tag.patternId
         }));
     }
 
@@ -279,22 +604,43 @@ export class ProtectedSemanticTagger {
         }
 
         try {
-            const decorations: vscode.DecorationOptions[] = tags.map(tag => ({
-                range: new vscode.Range(
-                    Math.max(0, tag.line),
-                    Math.max(0, tag.column),
-                    Math.max(0, tag.line),
-                    Math.max(0, tag.column + tag.length)
-                ),
-                hoverMessage: `**${tag.label}** (${tag.type}) - Confidence: ${Math.round(tag.confidence * 100)}%`
-            }));
-
-            editor.setDecorations(this.decorationType, decorations);
+            this.decorations.apply(editor, tags);
         } catch (error) {
             console.error('Failed to update decorations:', error);
         }
     }
 
+    /**
+     * Redraw visible editors from stored results, e.g. after decoration settings change
+     */
+    private refreshDecorations(): void {
+        const tagsByFile = this.getTagsByFile();
+        for (const editor of vscode.window.visibleTextEditors) {
+            const tags = tagsByFile.get(editor.document.uri.toString());
+            if (tags) {
+                try {
+                    this.decorations.apply(editor, tags);
+                } catch (error) {
+                    console.error('Failed to update decorations:', error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Latest tags per file URI: the workspace scan, overridden by documents scanned since
+     */
+    getTagsByFile(): Map<string, SemanticTag[]> {
+        const tagsByFile = new Map(this.workspaceResults);
+        for (const uri of this.documentStates.keys()) {
+            const state = this.documentStates.get(uri);
+            if (state) {
+                tagsByFile.set(uri, state.index.getTags());
+            }
+        }
+        return tagsByFile;
+    }
+
     showInsights(): void {
         const panel = vscode.window.createWebviewPanel(
             'semanticInsights',
@@ -308,16 +654,13 @@ export class ProtectedSemanticTagger {
     }
 
     private generateInsights(): any {
-        // Get all cached tags (sanitized)
+        // Latest tags of every scanned document (sanitized)
         const allTags: SemanticTag[] = [];
-        const cacheKeys = this.cache.keys();
+        const tagsByFile = this.getTagsByFile();
         
-        for (const key of cacheKeys) {
-            const tags = this.cache.get(key);
-            if (tags) {
-                // Sanitize tags before including in insights
-                allTags.push(...this.sanitizeTagsForTelemetry(tags));
-            }
+        for (const tags of tagsByFile.values()) {
+            // Sanitize tags before including in insights
+            allTags.push(...this.sanitizeTagsForTelemetry(tags));
         }
 
         const tagCounts = allTags.reduce((acc, tag) => {
@@ -327,6 +670,7 @@ export class ProtectedSemanticTagger {
 
         return {
             totalTags: allTags.length,
+            fileCount: tagsByFile.size,
             tagCounts,
             topPatterns: Object.entries(tagCounts)
                 .sort(([,a], [,b]) => b - a)
@@ -344,17 +688,36 @@ export class ProtectedSemanticTagger {
             clearTimeout(timer);
         }
         this.debounceTimers.clear();
+        for (const timer of this.pendingUpdates.values()) {
+            clearTimeout(timer);
+        }
+        this.pendingUpdates.clear();
+
+        // Stop in-flight scans
+        for (const scan of this.activeScans.values()) {
+            scan.cancel();
+        }
+        this.activeScans.clear();
 
         // Clear cache
         this.cache.clear();
+        this.documentStates.clear();
+        this.workspaceResults.clear();
 
         // Dispose of decorations
-        this.decorationType.dispose();
+        this.decorations.dispose();
+        this.tagsChanged.dispose();
 
         // Dispose of VSCode disposables
         this.disposables.forEach(d => d.dispose());
         this.disposables = [];
 
+        // Stop analysis workers
+        if (this.workerPool) {
+            this.workerPool.dispose().catch(error => console.warn('Failed to stop analysis workers:', error));
+            this.workerPool = undefined;
+        }
+
         // Clear encrypted patterns from memory
         this.encryptedPatterns = [];
     }
@@ -395,7 +758,7 @@ export class ProtectedSemanticTagger {
                 <h2>💭 Intent Overview</h2>
                 <div class="metric">
                     <h3>Semantic Insights Discovered: ${insights.totalTags}</h3>
-                    <p>Reflecting on the deeper meaning behind your code patterns</p>
+                    <p>Reflecting on the deeper meaning behind your code patterns across ${insights.fileCount} files</p>
                 </div>
             </div>
 
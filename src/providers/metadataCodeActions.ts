@@ -0,0 +1,66 @@
+/**
+ * Quick fixes that add purpose/owner/expiry metadata to infrastructure blocks
+ */
+import * as vscode from 'vscode';
+import { configManager } from '../config';
+import { METADATA_FIELDS, MetadataEdit, planMetadataInsertion } from '../utils/metadataInsertion';
+import { TagSource } from '../views/semanticTagsTree';
+import { diagnosticCode, MISSING_OWNER_TYPE } from './tagDiagnostics';
+
+export const METADATA_LANGUAGES = ['terraform', 'hcl', 'yaml', 'python', 'typescript', 'typescriptreact', 'javascript', 'javascriptreact'];
+
+export class MetadataCodeActionProvider implements vscode.CodeActionProvider {
+    static readonly providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+    constructor(private source: TagSource) {}
+
+    provideCodeActions(
+        document: vscode.TextDocument,
+        range: vscode.Range | vscode.Selection,
+        context: vscode.CodeActionContext
+    ): vscode.CodeAction[] {
+        const tags = this.source.getTagsByFile().get(document.uri.toString());
+        if (!tags) {
+            return [];
+        }
+
+        const lines = document.getText().split(/\r?\n/);
+        const defaults = configManager.getConfig().metadataDefaults;
+        const plan = planMetadataInsertion(lines, range.start.line, range.start.character, document.languageId, defaults);
+        if (!plan || plan.missing.length === 0) {
+            return [];
+        }
+
+        // Only offer metadata for blocks that declare infrastructure
+        if (!tags.some(tag => tag.category === 'infrastructure' && tag.line >= plan.startLine && tag.line <= plan.endLine)) {
+            return [];
+        }
+
+        const fields = plan.missing.length === METADATA_FIELDS.length ?
+            'purpose, owner and expiry' :
+            plan.missing.join(' and ');
+        const action = new vscode.CodeAction(`Add ${fields} metadata`, vscode.CodeActionKind.QuickFix);
+        action.edit = new vscode.WorkspaceEdit();
+        for (const edit of plan.edits) {
+            this.addEdit(action.edit, document, edit);
+        }
+
+        action.diagnostics = context.diagnostics.filter(diagnostic => diagnostic.code === diagnosticCode(MISSING_OWNER_TYPE));
+        action.isPreferred = action.diagnostics.length > 0;
+        return [action];
+    }
+
+    private addEdit(workspaceEdit: vscode.WorkspaceEdit, document: vscode.TextDocument, edit: MetadataEdit): void {
+        if (edit.line >= document.lineCount) {
+            // Past the last line of a file without a trailing newline
+            const end = document.lineAt(document.lineCount - 1).range.end;
+            workspaceEdit.insert(document.uri, end, '\n' + edit.text.replace(/\n$/, ''));
+            return;
+        }
+        workspaceEdit.replace(
+            document.uri,
+            new vscode.Range(edit.line, edit.startColumn, edit.line, edit.endColumn),
+            edit.text
+        );
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * CodeLens summaries of the tags inside Terraform blocks, Kubernetes objects and functions
+ */
+import * as vscode from 'vscode';
+import { ResourceRecord, TerraformAnalyzer, YamlAnalyzer } from 'cosca-semantic-tags';
+import { configManager } from '../config';
+import { CodeBlock, findPythonFunctions } from '../utils/codeBlocks';
+import { SemanticTag } from '../utils/lineTagger';
+import { TagScope, TagSource } from '../views/semanticTagsTree';
+
+export const CODE_LENS_LANGUAGES = ['terraform', 'hcl', 'yaml', 'python', 'typescript', 'typescriptreact', 'javascript', 'javascriptreact'];
+
+const FUNCTION_SYMBOLS = [vscode.SymbolKind.Function, vscode.SymbolKind.Method, vscode.SymbolKind.Constructor];
+
+// Tag types listed before the rest are summarized as "+N more"
+const MAX_SUMMARY_TYPES = 4;
+
+export class TagCodeLensProvider implements vscode.CodeLensProvider, vscode.Disposable {
+    private changed = new vscode.EventEmitter<void>();
+    private disposables: vscode.Disposable[] = [];
+
+    readonly onDidChangeCodeLenses = this.changed.event;
+
+    constructor(private source: TagSource) {
+        this.disposables.push(
+            this.changed,
+            source.onDidChangeTags(() => this.changed.fire()),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('semanticTagging.codeLens')) {
+                    this.changed.fire();
+                }
+            })
+        );
+    }
+
+    async provideCodeLenses(document: vscode.TextDocument): Promise<vscode.CodeLens[]> {
+        const tags = this.source.getTagsByFile().get(document.uri.toString());
+        if (!configManager.getConfig().codeLens.enabled || !tags || tags.length === 0) {
+            return [];
+        }
+
+        const lenses: vscode.CodeLens[] = [];
+        for (const block of await this.findBlocks(document)) {
+            const blockTags = tags.filter(tag => tag.line >= block.startLine && tag.line <= block.endLine);
+            if (blockTags.length === 0) {
+                continue;
+            }
+
+            const scope: TagScope = { uri: document.uri.toString(), ...block };
+            lenses.push(new vscode.CodeLens(new vscode.Range(block.startLine, 0, block.startLine, 0), {
+                title: summarize(blockTags),
+                tooltip: `Show the semantic tags in ${block.name}`,
+                command: 'semanticTagging.showBlockTags',
+                arguments: [scope]
+            }));
+        }
+        return lenses;
+    }
+
+    /**
+     * Terraform resources and Kubernetes objects come from the lib analyzers' parse trees, functions
+     * from the language's document symbols; symbol-less Python falls back to line scanning
+     */
+    private async findBlocks(document: vscode.TextDocument): Promise<CodeBlock[]> {
+        switch (document.languageId) {
+            case 'terraform':
+            case 'hcl':
+                return new TerraformAnalyzer().findResources(document.getText()).map(toCodeBlock);
+            case 'yaml':
+                return new YamlAnalyzer().findResources(document.getText()).map(toCodeBlock);
+        }
+
+        const symbols = await vscode.commands.executeCommand<(vscode.DocumentSymbol | vscode.SymbolInformation)[]>(
+            'vscode.executeDocumentSymbolProvider',
+            document.uri
+        );
+        const functions = flattenFunctions(symbols || []);
+        if (functions.length === 0 && document.languageId === 'python') {
+            return findPythonFunctions(document.getText().split(/\r?\n/));
+        }
+        return functions;
+    }
+
+    dispose(): void {
+        this.disposables.forEach(d => d.dispose());
+        this.disposables = [];
+    }
+}
+
+function toCodeBlock(record: ResourceRecord): CodeBlock {
+    return { name: record.resource, startLine: record.location.line, endLine: record.location.endLine };
+}
+
+function flattenFunctions(symbols: (vscode.DocumentSymbol | vscode.SymbolInformation)[]): CodeBlock[] {
+    const functions: CodeBlock[] = [];
+    for (const symbol of symbols) {
+        const range = 'children' in symbol ? symbol.range : symbol.location.range;
+        if (FUNCTION_SYMBOLS.includes(symbol.kind)) {
+            functions.push({ name: symbol.name, startLine: range.start.line, endLine: range.end.line });
+        }
+        if ('children' in symbol) {
+            functions.push(...flattenFunctions(symbol.children));
+        }
+    }
+    return functions;
+}
+
+/**
+ * "cloud ×3 · security ×1 · no owner"
+ */
+function summarize(tags: SemanticTag[]): string {
+    const counts = new Map<string, number>();
+    tags.forEach(tag => counts.set(tag.type, (counts.get(tag.type) || 0) + 1));
+
+    const sorted = [...counts.entries()].sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b));
+    const parts = sorted.slice(0, MAX_SUMMARY_TYPES).map(([type, count]) => `${type} ×${count}`);
+    if (sorted.length > MAX_SUMMARY_TYPES) {
+        parts.push(`+${sorted.length - MAX_SUMMARY_TYPES} more`);
+    }
+
+    const declaresInfrastructure = tags.some(tag => tag.category === 'infrastructure');
+    const hasOwner = tags.some(tag => tag.category === 'purpose' && tag.type.startsWith('owner'));
+    if (declaresInfrastructure && !hasOwner) {
+        parts.push('no owner');
+    }
+    return parts.join(' · ');
+}
@@ -0,0 +1,112 @@
+/**
+ * Publishes selected tag types to the Problems panel
+ */
+import * as vscode from 'vscode';
+import { INFRASTRUCTURE_LANGUAGES } from 'cosca-semantic-tags';
+import { configManager, DiagnosticSeveritySetting } from '../config';
+import { engineLanguageId } from '../utils/languageIds';
+import { SemanticTag } from '../utils/lineTagger';
+import { TagSource } from '../views/semanticTagsTree';
+
+export const DIAGNOSTIC_SOURCE = 'Semantic Tagging';
+
+// Reported for infrastructure files that declare resources but no owner
+export const MISSING_OWNER_TYPE = 'missing_owner';
+
+const SEVERITIES: Record<Exclude<DiagnosticSeveritySetting, 'off'>, vscode.DiagnosticSeverity> = {
+    error: vscode.DiagnosticSeverity.Error,
+    warning: vscode.DiagnosticSeverity.Warning,
+    information: vscode.DiagnosticSeverity.Information,
+    hint: vscode.DiagnosticSeverity.Hint
+};
+
+/**
+ * Diagnostic code for a tag type. Codes are derived from the type alone so they stay
+ * stable across releases and can be used in filters and suppressions.
+ */
+export function diagnosticCode(type: string): string {
+    return `semantic-tags.${type}`;
+}
+
+export class TagDiagnosticsProvider implements vscode.Disposable {
+    private collection = vscode.languages.createDiagnosticCollection('semanticTagging');
+    private disposables: vscode.Disposable[] = [];
+
+    constructor(private source: TagSource) {
+        this.disposables.push(
+            this.collection,
+            source.onDidChangeTags(() => this.refresh()),
+            vscode.workspace.onDidCloseTextDocument(document => this.collection.delete(document.uri)),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('semanticTagging.diagnostics')) {
+                    this.refresh();
+                }
+            })
+        );
+        this.refresh();
+    }
+
+    /**
+     * Rebuild diagnostics for open documents. Closed files are left out so the
+     * Problems panel doesn't fill up with every file a workspace scan touched.
+     */
+    refresh(): void {
+        const { enabled, severity } = configManager.getConfig().diagnostics;
+        this.collection.clear();
+        if (!enabled) {
+            return;
+        }
+
+        const tagsByFile = this.source.getTagsByFile();
+        for (const document of vscode.workspace.textDocuments) {
+            const tags = tagsByFile.get(document.uri.toString());
+            if (tags) {
+                this.collection.set(document.uri, this.createDiagnostics(document, tags, severity));
+            }
+        }
+    }
+
+    private createDiagnostics(
+        document: vscode.TextDocument,
+        tags: SemanticTag[],
+        severity: Record<string, DiagnosticSeveritySetting>
+    ): vscode.Diagnostic[] {
+        const diagnostics: vscode.Diagnostic[] = [];
+
+        for (const tag of tags) {
+            const setting = severity[tag.type];
+            if (setting && setting !== 'off') {
+                const range = new vscode.Range(tag.line, tag.column, tag.line, tag.column + tag.length);
+                diagnostics.push(this.createDiagnostic(range, `${tag.label} (${tag.type})`, tag.type, SEVERITIES[setting]));
+            }
+        }
+
+        const missingOwner = severity[MISSING_OWNER_TYPE];
+        if (missingOwner && missingOwner !== 'off' && INFRASTRUCTURE_LANGUAGES.includes(engineLanguageId(document.languageId))) {
+            const firstInfraTag = tags.find(tag => tag.category === 'infrastructure');
+            const hasOwner = tags.some(tag => tag.category === 'purpose' && tag.type.startsWith('owner'));
+            if (firstInfraTag && !hasOwner && firstInfraTag.line < document.lineCount) {
+                diagnostics.push(this.createDiagnostic(
+                    document.lineAt(firstInfraTag.line).range,
+                    'Infrastructure is declared without an owner; add an owner tag so it is clear who is responsible',
+                    MISSING_OWNER_TYPE,
+                    SEVERITIES[missingOwner]
+                ));
+            }
+        }
+
+        return diagnostics;
+    }
+
+    private createDiagnostic(range: vscode.Range, message: string, type: string, severity: vscode.DiagnosticSeverity): vscode.Diagnostic {
+        const diagnostic = new vscode.Diagnostic(range, message, severity);
+        diagnostic.source = DIAGNOSTIC_SOURCE;
+        diagnostic.code = diagnosticCode(type);
+        return diagnostic;
+    }
+
+    dispose(): void {
+        this.disposables.forEach(d => d.dispose());
+        this.disposables = [];
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * Hover explaining the semantic tags under the cursor
+ */
+import * as vscode from 'vscode';
+import { PatternCategory } from 'cosca-semantic-tags';
+import { SemanticTag } from '../utils/lineTagger';
+import { findMetadataBlock, METADATA_FIELDS, MetadataField } from '../utils/metadataInsertion';
+import { TagSource } from '../views/semanticTagsTree';
+
+const DOCS_URL = 'https://github.com/coscatech/semantic-tags-plugin/blob/main/lib/README.md';
+
+// Sections of the pattern reference for each category
+const CATEGORY_DOCS: Record<PatternCategory, string> = {
+    infrastructure: `${DOCS_URL}#infrastructure-patterns`,
+    purpose: `${DOCS_URL}#purpose-driven-metadata-cosca-specific`,
+    general: `${DOCS_URL}#general-code-patterns`
+};
+
+export class TagHoverProvider implements vscode.HoverProvider {
+    constructor(private source: TagSource) {}
+
+    provideHover(document: vscode.TextDocument, position: vscode.Position): vscode.Hover | undefined {
+        const tags = this.source.getTagsByFile().get(document.uri.toString()) || [];
+        const hovered = tags.filter(tag =>
+            tag.line === position.line && position.character >= tag.column && position.character < tag.column + tag.length
+        );
+        if (hovered.length === 0) {
+            return undefined;
+        }
+
+        const markdown = new vscode.MarkdownString();
+        markdown.isTrusted = { enabledCommands: ['semanticTagging.showTagOccurrences'] };
+
+        for (const tag of hovered) {
+            const matched = document.getText(tagRange(tag));
+            const occurrences = `command:semanticTagging.showTagOccurrences?${encodeURIComponent(JSON.stringify([tag.type]))}`;
+
+            markdown.appendMarkdown(`**${tag.label}** \`${tag.type}\` · ${tag.category} · ${Math.round(tag.confidence * 100)}% confidence\n\n`);
+            markdown.appendMarkdown(`Matched \`${escapeCode(matched)}\` with pattern \`${tag.patternId}\`\n\n`);
+            markdown.appendMarkdown(`[Documentation](${CATEGORY_DOCS[tag.category]}) · [Show all occurrences](${occurrences})\n\n`);
+        }
+
+        const metadata = this.getEnclosingMetadata(document, position, tags);
+        if (metadata) {
+            markdown.appendMarkdown('---\n\n');
+            markdown.appendMarkdown(METADATA_FIELDS
+                .map(field => `**${field}**: ${metadata[field] !== undefined ? escapeText(metadata[field]!) : '_not declared_'}`)
+                .join('  \n'));
+        }
+
+        return new vscode.Hover(markdown, tagRange(hovered[0]));
+    }
+
+    /**
+     * Purpose, owner and expiry declared in the resource block around the position
+     */
+    private getEnclosingMetadata(
+        document: vscode.TextDocument,
+        position: vscode.Position,
+        tags: SemanticTag[]
+    ): Partial<Record<MetadataField, string>> | undefined {
+        const lines = document.getText().split(/\r?\n/);
+        const block = findMetadataBlock(lines, position.line, position.character, document.languageId);
+        if (!block) {
+            return undefined;
+        }
+
+        const metadata: Partial<Record<MetadataField, string>> = {};
+        for (const tag of tags) {
+            const field = tag.type.split('_')[0] as MetadataField;
+            if (tag.category !== 'purpose' || !METADATA_FIELDS.includes(field) || tag.line < block.startLine || tag.line > block.endLine) {
+                continue;
+            }
+            // Metadata patterns match `owner = "team"`, or `owner: team` in YAML; the value is the quoted part or follows the colon
+            const matched = document.getText(tagRange(tag));
+            const value = /["']([^"']*)["']/.exec(matched) || /:\s*(.+)$/.exec(matched);
+            if (value && metadata[field] === undefined) {
+                metadata[field] = value[1];
+            }
+        }
+        return metadata;
+    }
+}
+
+function tagRange(tag: SemanticTag): vscode.Range {
+    return new vscode.Range(tag.line, tag.column, tag.line, tag.column + tag.length);
+}
+
+function escapeCode(text: string): string {
+    return text.replace(/`/g, "'");
+}
+
+function escapeText(text: string): string {
+    return text.replace(/[\\`*_{}[\]()#+\-.!<>|]/g, '\\$&');
+}
@@ -0,0 +1,67 @@
+/**
+ * Line-based block scanning: Python functions for when no language server reports symbols,
+ * and the Terraform block headers and braces the metadata quick fix edits around
+ */
+
+export interface CodeBlock {
+    name: string;
+    startLine: number;
+    endLine: number;
+}
+
+// resource "aws_s3_bucket" "logs" {, data "aws_iam_policy" "x" {, module "vpc" {
+export const TERRAFORM_BLOCK = /^\s*(resource|data|module)\s+"([^"]*)"(?:\s+"([^"]*)")?\s*\{/;
+
+/**
+ * Functions and methods, ending at the last line indented deeper than the def
+ */
+export function findPythonFunctions(lines: string[]): CodeBlock[] {
+    const functions: CodeBlock[] = [];
+    for (let line = 0; line < lines.length; line++) {
+        const match = /^(\s*)(?:async\s+)?def\s+(\w+)/.exec(lines[line]);
+        if (!match) {
+            continue;
+        }
+
+        const indent = match[1].length;
+        let end = line + 1;
+        while (end < lines.length && (lines[end].trim() === '' || /^\s*/.exec(lines[end])![0].length > indent)) {
+            end++;
+        }
+        functions.push({ name: match[2], startLine: line, endLine: lastContentLine(lines, line, end - 1) });
+    }
+    return functions;
+}
+
+/**
+ * Line of the `}` that closes the first `{` at or after a position
+ */
+export function findClosingLine(lines: string[], line: number, column?: number): number | undefined {
+    let depth = 0;
+    for (let i = line; i < lines.length; i++) {
+        const start = i === line && column !== undefined ? column : 0;
+        for (const char of stripStrings(lines[i]).slice(start)) {
+            if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth === 0) {
+                    return i;
+                }
+            }
+        }
+    }
+    return undefined;
+}
+
+// Blank out string contents so braces inside them aren't counted
+export function stripStrings(text: string): string {
+    return text.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, match => match[0] + ' '.repeat(match.length - 2) + match[0]);
+}
+
+function lastContentLine(lines: string[], start: number, end: number): number {
+    while (end > start && lines[end].trim() === '') {
+        end--;
+    }
+    return end;
+}
@@ -0,0 +1,74 @@
+/**
+ * Line-indexed tag store that follows document edits, so only changed lines need re-analysis
+ */
+
+export interface LineEdit {
+    startLine: number;    // First line touched by the edit, in the document before the edit
+    endLine: number;      // Last line touched by the edit, in the document before the edit
+    newLineCount: number; // Lines occupied by the inserted text (1 for a single-line edit)
+}
+
+export class IncrementalTagIndex<T extends { line: number; column: number }> {
+    private tags: T[];
+    private dirtyLines = new Set<number>();
+
+    constructor(tags: T[]) {
+        this.tags = [...tags];
+    }
+
+    /**
+     * Apply edits from one change event. Edits are applied bottom-up so the
+     * line numbers of edits further up the document stay valid.
+     */
+    applyEdits(edits: LineEdit[]): void {
+        const ordered = [...edits].sort((a, b) => b.startLine - a.startLine);
+        for (const edit of ordered) {
+            this.applyEdit(edit);
+        }
+    }
+
+    private applyEdit(edit: LineEdit): void {
+        const delta = (edit.newLineCount - 1) - (edit.endLine - edit.startLine);
+        const shift = (line: number): number => line > edit.endLine ? line + delta : line;
+
+        // Tags on replaced lines are stale; everything below moves with the edit
+        this.tags = this.tags
+            .filter(tag => tag.line < edit.startLine || tag.line > edit.endLine)
+            .map(tag => tag.line > edit.endLine ? { ...tag, line: shift(tag.line) } : tag);
+
+        const dirty = new Set<number>();
+        for (const line of this.dirtyLines) {
+            if (line < edit.startLine || line > edit.endLine) {
+                dirty.add(shift(line));
+            }
+        }
+        for (let line = edit.startLine; line < edit.startLine + edit.newLineCount; line++) {
+            dirty.add(line);
+        }
+        this.dirtyLines = dirty;
+    }
+
+    /**
+     * Lines edited since the last call, in ascending order
+     */
+    takeDirtyLines(): number[] {
+        const lines = [...this.dirtyLines].sort((a, b) => a - b);
+        this.dirtyLines.clear();
+        return lines;
+    }
+
+    /**
+     * Replace the tags of re-analyzed lines
+     */
+    replaceLines(lines: number[], lineTags: T[]): void {
+        const replaced = new Set(lines);
+        this.tags = this.tags
+            .filter(tag => !replaced.has(tag.line))
+            .concat(lineTags)
+            .sort((a, b) => a.line - b.line || a.column - b.column);
+    }
+
+    getTags(): T[] {
+        return this.tags;
+    }
+}
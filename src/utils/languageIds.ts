@@ -0,0 +1,59 @@
+/**
+ * VSCode language IDs for files read from disk, where no TextDocument supplies one,
+ * and the cosca-semantic-tags engine's names for them
+ */
+import * as path from 'path';
+
+const EXTENSION_LANGUAGES: Record<string, string> = {
+    '.ts': 'typescript',
+    '.tsx': 'typescriptreact',
+    '.js': 'javascript',
+    '.jsx': 'javascriptreact',
+    '.mjs': 'javascript',
+    '.cjs': 'javascript',
+    '.py': 'python',
+    '.go': 'go',
+    '.tf': 'terraform',
+    '.tfvars': 'terraform',
+    '.hcl': 'hcl',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.json': 'json',
+    '.sh': 'shellscript',
+    '.md': 'markdown',
+    '.txt': 'plaintext',
+    '.dockerfile': 'dockerfile'
+};
+
+// The engine's lexer and scorer know these languages; it calls everything else unknown, as the CLI does
+const ENGINE_LANGUAGES: Record<string, string> = {
+    typescript: 'typescript',
+    typescriptreact: 'typescript',
+    javascript: 'javascript',
+    javascriptreact: 'javascript',
+    python: 'python',
+    go: 'go',
+    terraform: 'terraform',
+    hcl: 'terraform',
+    yaml: 'yaml',
+    dockercompose: 'yaml',
+    json: 'json',
+    dockerfile: 'dockerfile'
+};
+
+export function languageIdForPath(filePath: string): string {
+    const basename = path.basename(filePath);
+    if (/^(docker-)?compose\.ya?ml$/i.test(basename)) {
+        return 'dockercompose';
+    }
+    const languageId = EXTENSION_LANGUAGES[path.extname(basename).toLowerCase()];
+    if (languageId) {
+        return languageId;
+    }
+    // Dockerfiles are usually named rather than suffixed: Dockerfile, Dockerfile.prod, Containerfile
+    return /^(dockerfile(\..+)?|containerfile)$/i.test(basename) ? 'dockerfile' : 'plaintext';
+}
+
+export function engineLanguageId(languageId: string): string {
+    return ENGINE_LANGUAGES[languageId] || 'unknown';
+}
@@ -0,0 +1,137 @@
+/**
+ * Line-by-line pattern tagging shared by the extension host and analysis workers.
+ * Kept free of the vscode API so it can run inside a worker thread.
+ */
+import { describeMatchShape, MatchLocation, PatternCategory, scoreConfidence, SpanIndex, SpanKind } from 'cosca-semantic-tags';
+import { engineLanguageId } from './languageIds';
+
+export interface SemanticTag {
+    type: string;
+    label: string;
+    line: number;
+    column: number;
+    length: number;
+    confidence: number;
+    category: PatternCategory;
+    patternId: string; // Id of the pattern that matched
+}
+
+/**
+ * Tags from a scan that may have stopped early on cancellation or a deadline
+ */
+export interface TagScanResult {
+    tags: SemanticTag[];
+    partial: boolean;
+    linesAnalyzed: number;
+}
+
+export interface CompiledPattern {
+    id: string; // Stable name shown to users, e.g. builtin:owner or .semantictags.json:patterns[0]
+    regex: RegExp;
+    type: string;
+    label: string;
+    category: PatternCategory;
+    weight?: number;
+    locationWeights?: Partial<Record<MatchLocation, number>>;
+    spanKinds?: SpanKind[]; // Where a match may start; anywhere when omitted
+    languages?: string[]; // Language ids the pattern runs in; every language when omitted
+}
+
+interface LineMatch {
+    pattern: CompiledPattern;
+    index: number;
+    length: number;
+    spanKind: SpanKind;
+}
+
+/**
+ * Tag a single line, scoring matches with the cosca-semantic-tags engine's model. The line is
+ * lexed on its own, which is what lets incremental updates and workers analyze lines in isolation;
+ * comments and strings spanning several lines are not tracked.
+ */
+export function tagLine(
+    line: string,
+    lineNumber: number,
+    languageId: string,
+    compiledPatterns: CompiledPattern[],
+    confidenceThreshold: number,
+    tags: SemanticTag[]
+): void {
+    const lineMatches: LineMatch[] = [];
+    const engineLanguage = engineLanguageId(languageId);
+    const spans = SpanIndex.fromText(line, engineLanguage);
+
+    for (const pattern of compiledPatterns) {
+        if (pattern.languages && !pattern.languages.includes(languageId)) {
+            continue;
+        }
+        findPatternOptimized(line, pattern, spans, lineMatches);
+    }
+
+    scoreLineMatches(line, lineNumber, engineLanguage, lineMatches, confidenceThreshold, tags);
+}
+
+function findPatternOptimized(line: string, pattern: CompiledPattern, spans: SpanIndex, lineMatches: LineMatch[]): void {
+    // Reset regex lastIndex to ensure consistent matching
+    pattern.regex.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.regex.exec(line)) !== null) {
+        const spanKind = spans.kindAt(match.index);
+        if (!pattern.spanKinds || pattern.spanKinds.includes(spanKind)) {
+            lineMatches.push({ pattern, index: match.index, length: match[0].length, spanKind });
+        }
+
+        // Prevent infinite loop for global regexes
+        if (!pattern.regex.global) {
+            break;
+        }
+        // Workspace patterns such as "x*" can match the empty string
+        if (match[0].length === 0) {
+            pattern.regex.lastIndex++;
+        }
+    }
+}
+
+function scoreLineMatches(
+    line: string,
+    lineNumber: number,
+    languageId: string,
+    lineMatches: LineMatch[],
+    confidenceThreshold: number,
+    tags: SemanticTag[]
+): void {
+    for (const { pattern, index, length, spanKind } of lineMatches) {
+        const neighbourTypes = new Set(
+            lineMatches
+                .filter(other => other.pattern.category === pattern.category && other.pattern.type !== pattern.type)
+                .map(other => other.pattern.type)
+        ).size;
+
+        const confidence = scoreConfidence(pattern.category, {
+            languageId,
+            location: spanKind === 'comment' || spanKind === 'string' ? spanKind : 'code',
+            ...describeMatchShape(line, index, length),
+            neighbourTypes
+        }, {
+            baseWeight: pattern.weight,
+            locationWeights: pattern.locationWeights
+        });
+
+        // Drop low-confidence matches so the threshold setting actually filters noise
+        if (confidence < confidenceThreshold) {
+            continue;
+        }
+
+        tags.push({
+            type: pattern.type,
+            label: pattern.label,
+            line: lineNumber,
+            column: index,
+            length,
+            confidence,
+            category: pattern.category,
+            patternId: pattern.id
+        });
+    }
+}
@@ -0,0 +1,368 @@
+/**
+ * Where and how to add purpose/owner/expiry metadata to the block around a line.
+ * Works on plain lines so the placement rules stay free of the vscode API.
+ */
+import { findClosingLine, stripStrings, TERRAFORM_BLOCK } from './codeBlocks';
+
+export interface MetadataValues {
+    purpose: string;
+    owner: string;
+    expiry: string;
+}
+
+export type MetadataField = keyof MetadataValues;
+
+export const METADATA_FIELDS: MetadataField[] = ['purpose', 'owner', 'expiry'];
+
+export interface MetadataEdit {
+    line: number;
+    startColumn: number;
+    endColumn: number; // Equal to startColumn for a pure insertion
+    text: string;
+}
+
+export interface MetadataPlan {
+    startLine: number; // Extent of the block that receives the metadata
+    endLine: number;
+    missing: MetadataField[];
+    edits: MetadataEdit[];
+}
+
+type LiteralStyle = 'python' | 'typescript';
+
+const LITERAL_LANGUAGES: Record<string, LiteralStyle> = {
+    python: 'python',
+    typescript: 'typescript',
+    typescriptreact: 'typescript',
+    javascript: 'typescript',
+    javascriptreact: 'typescript'
+};
+
+/**
+ * Plan the edits that add the metadata fields missing from the block enclosing a position:
+ * a Terraform block's `tags`, a Kubernetes object's labels and annotations, or the
+ * Python dict or TS object literal around it. Undefined when there is no such block.
+ */
+export function planMetadataInsertion(
+    lines: string[],
+    line: number,
+    column: number,
+    languageId: string,
+    values: MetadataValues
+): MetadataPlan | undefined {
+    if (languageId === 'terraform' || languageId === 'hcl') {
+        return planTerraform(lines, line, values);
+    }
+    if (languageId === 'yaml') {
+        return planKubernetes(lines, line, values);
+    }
+    const style = LITERAL_LANGUAGES[languageId];
+    return style ? planLiteral(lines, line, column, values, style) : undefined;
+}
+
+/**
+ * Lines of the Terraform block, Kubernetes object, dict or object literal enclosing a position
+ */
+export function findMetadataBlock(
+    lines: string[],
+    line: number,
+    column: number,
+    languageId: string
+): { startLine: number; endLine: number } | undefined {
+    if (languageId === 'terraform' || languageId === 'hcl') {
+        // Including blocks the quick fix leaves alone
+        const block = findTerraformBlock(lines, line);
+        return block && { startLine: block.startLine, endLine: block.endLine };
+    }
+    const plan = planMetadataInsertion(lines, line, column, languageId, { purpose: '', owner: '', expiry: '' });
+    return plan && { startLine: plan.startLine, endLine: plan.endLine };
+}
+
+// Label values must be empty or up to 63 of [A-Za-z0-9_.-], starting and ending alphanumeric
+const LABEL_VALUE = /^(?:[A-Za-z0-9](?:[-A-Za-z0-9_.]{0,61}[A-Za-z0-9])?)?$/;
+
+/**
+ * Only resource blocks take a tags argument; data sources reject it and modules only accept it
+ * when they declare a tags variable
+ */
+function planTerraform(lines: string[], line: number, values: MetadataValues): MetadataPlan | undefined {
+    const block = findTerraformBlock(lines, line);
+    if (!block || block.keyword !== 'resource') {
+        return undefined;
+    }
+    const { startLine, endLine } = block;
+
+    // tags = merge(local.tags, {...}) and other expressions can't be extended line by line
+    const body = lines.slice(startLine + 1, endLine);
+    if (body.some(text => /^\s*tags\s*=/.test(text) && !/^\s*tags\s*=\s*\{/.test(text))) {
+        return undefined;
+    }
+
+    const blockIndent = indentOf(lines[startLine]);
+    let tagsLine = -1;
+    for (let i = startLine + 1; i < endLine; i++) {
+        // Only the block's own tags, not those of nested blocks
+        if (/^\s*tags\s*=\s*\{/.test(lines[i]) && indentOf(lines[i]).length > blockIndent.length) {
+            tagsLine = i;
+            break;
+        }
+    }
+
+    if (tagsLine === -1) {
+        const missing = [...METADATA_FIELDS];
+        const indent = childIndent(lines, startLine, endLine, blockIndent);
+        const entries = missing.map(field => `${indent}${indent.slice(blockIndent.length)}${field} = ${JSON.stringify(values[field])}\n`);
+        return {
+            startLine,
+            endLine,
+            missing,
+            edits: [{ line: endLine, startColumn: 0, endColumn: 0, text: `${indent}tags = {\n${entries.join('')}${indent}}\n` }]
+        };
+    }
+
+    const tagsEnd = findClosingLine(lines, tagsLine);
+    if (tagsEnd === undefined || tagsEnd === tagsLine) {
+        return undefined; // Single-line tags maps are left to the user
+    }
+
+    const existing = lines.slice(tagsLine + 1, tagsEnd).join('\n');
+    const missing = METADATA_FIELDS.filter(field => !new RegExp(`^\\s*"?${field}"?\\s*=`, 'm').test(existing));
+    const indent = childIndent(lines, tagsLine, tagsEnd, indentOf(lines[tagsLine]));
+    return {
+        startLine,
+        endLine,
+        missing,
+        edits: missing.length === 0 ? [] : [{
+            line: tagsLine + 1,
+            startColumn: 0,
+            endColumn: 0,
+            text: missing.map(field => `${indent}${field} = ${JSON.stringify(values[field])}\n`).join('')
+        }]
+    };
+}
+
+function findTerraformBlock(lines: string[], line: number): { keyword: string; startLine: number; endLine: number } | undefined {
+    let startLine = line;
+    while (startLine >= 0 && !TERRAFORM_BLOCK.test(lines[startLine])) {
+        startLine--;
+    }
+    if (startLine < 0) {
+        return undefined;
+    }
+
+    const endLine = findClosingLine(lines, startLine);
+    if (endLine === undefined || endLine < line) {
+        return undefined;
+    }
+    return { keyword: TERRAFORM_BLOCK.exec(lines[startLine])![1], startLine, endLine };
+}
+
+/**
+ * Owner and expiry go in labels so they can be selected on, unless their values aren't valid
+ * label values (spaces, colons, ...); those and the free-text purpose go in annotations
+ */
+function planKubernetes(lines: string[], line: number, values: MetadataValues): MetadataPlan | undefined {
+    let startLine = line;
+    while (startLine > 0 && !/^---/.test(lines[startLine])) {
+        startLine--;
+    }
+    let endLine = line + 1;
+    while (endLine < lines.length && !/^---/.test(lines[endLine])) {
+        endLine++;
+    }
+    endLine--;
+
+    const metadataLine = findLine(lines, startLine, endLine, text => /^metadata:\s*$/.test(text));
+    if (metadataLine === -1 || findLine(lines, startLine, endLine, text => /^kind:/.test(text)) === -1) {
+        return undefined;
+    }
+
+    // metadata's children run until the next top-level key
+    let metadataEnd = metadataLine + 1;
+    while (metadataEnd <= endLine && (lines[metadataEnd].trim() === '' || indentOf(lines[metadataEnd]).length > 0)) {
+        metadataEnd++;
+    }
+    metadataEnd--;
+
+    const indent = childIndent(lines, metadataLine, metadataEnd + 1, '');
+    const sections = {
+        labels: findSection(lines, metadataLine + 1, metadataEnd, indent, 'labels'),
+        annotations: findSection(lines, metadataLine + 1, metadataEnd, indent, 'annotations')
+    };
+    if (sections.labels === null || sections.annotations === null) {
+        return undefined; // Flow-style maps are left to the user
+    }
+
+    const existing = [sections.labels, sections.annotations]
+        .filter((section): section is { line: number; end: number } => section !== undefined)
+        .map(section => lines.slice(section.line + 1, section.end + 1).join('\n'))
+        .join('\n');
+    const missing = METADATA_FIELDS.filter(field => !new RegExp(`^\\s*["']?(?:[\\w.-]+/)?${field}["']?\\s*:`, 'm').test(existing));
+
+    const edits: MetadataEdit[] = [];
+    const newSections: string[] = [];
+    const placements: ['labels' | 'annotations', MetadataField[]][] = [
+        ['labels', missing.filter(field => field !== 'purpose' && LABEL_VALUE.test(values[field]))],
+        ['annotations', missing.filter(field => field === 'purpose' || !LABEL_VALUE.test(values[field]))]
+    ];
+
+    for (const [name, fields] of placements) {
+        if (fields.length === 0) {
+            continue;
+        }
+        const section = sections[name];
+        if (section) {
+            const entryIndent = childIndent(lines, section.line, section.end + 1, indent);
+            edits.push({
+                line: section.line + 1,
+                startColumn: 0,
+                endColumn: 0,
+                text: fields.map(field => `${entryIndent}${field}: ${JSON.stringify(values[field])}\n`).join('')
+            });
+        } else {
+            newSections.push(`${indent}${name}:\n` + fields.map(field => `${indent}${indent}${field}: ${JSON.stringify(values[field])}\n`).join(''));
+        }
+    }
+    if (newSections.length > 0) {
+        edits.push({ line: metadataEnd + 1, startColumn: 0, endColumn: 0, text: newSections.join('') });
+    }
+
+    return { startLine, endLine, missing, edits };
+}
+
+function planLiteral(lines: string[], line: number, column: number, values: MetadataValues, style: LiteralStyle): MetadataPlan | undefined {
+    // Prefer the literal around the position, then one opened later on its line
+    const open = findEnclosingLiteral(lines, line, column, style) || findEnclosingLiteral(lines, line, lines[line].length, style);
+    if (!open) {
+        return undefined;
+    }
+
+    const endLine = findClosingLine(lines, open.line, open.column);
+    if (endLine === undefined) {
+        return undefined;
+    }
+
+    const closeColumn = findClosingColumn(lines, open.line, open.column, endLine);
+    const existing = endLine === open.line ?
+        lines[open.line].slice(open.column + 1, closeColumn) :
+        lines.slice(open.line, endLine + 1).join('\n');
+    const missing = METADATA_FIELDS.filter(field => !new RegExp(`["']?\\b${field}["']?\\s*:`).test(existing));
+    const entry = (field: MetadataField): string => style === 'python' ?
+        `${JSON.stringify(field)}: ${JSON.stringify(values[field])}` :
+        `${field}: ${quoteTypeScript(values[field])}`;
+
+    const plan: MetadataPlan = { startLine: open.line, endLine, missing, edits: [] };
+    if (missing.length === 0) {
+        return plan;
+    }
+
+    if (endLine === open.line) {
+        // { } becomes { purpose: ..., owner: ... }; existing entries keep their place after the new ones
+        const inner = lines[open.line].slice(open.column + 1, closeColumn);
+        plan.edits.push(inner.trim() === '' ?
+            { line: open.line, startColumn: open.column + 1, endColumn: closeColumn, text: ` ${missing.map(entry).join(', ')} ` } :
+            { line: open.line, startColumn: open.column + 1, endColumn: open.column + 1, text: ` ${missing.map(entry).join(', ')},` });
+        return plan;
+    }
+
+    const indent = childIndent(lines, open.line, endLine, indentOf(lines[open.line]));
+    plan.edits.push({
+        line: open.line + 1,
+        startColumn: 0,
+        endColumn: 0,
+        text: missing.map(field => `${indent}${entry(field)},\n`).join('')
+    });
+    return plan;
+}
+
+/**
+ * Nearest unclosed `{` before a position that opens a dict or object literal rather than a code block
+ */
+function findEnclosingLiteral(lines: string[], line: number, before: number, style: LiteralStyle): { line: number; column: number } | undefined {
+    let depth = 0;
+    for (let i = line; i >= 0; i--) {
+        const text = stripStrings(lines[i]);
+        for (let column = (i === line ? before : text.length) - 1; column >= 0; column--) {
+            const char = text[column];
+            if (char === '}') {
+                depth++;
+            } else if (char === '{') {
+                if (depth > 0) {
+                    depth--;
+                } else if (style === 'python' || opensObjectLiteral(lines, i, column)) {
+                    return { line: i, column };
+                }
+            }
+        }
+    }
+    return undefined;
+}
+
+function opensObjectLiteral(lines: string[], line: number, column: number): boolean {
+    const before = (lines.slice(Math.max(0, line - 1), line).join('\n') + '\n' + lines[line].slice(0, column)).trimEnd();
+    return /([=(,:[?]|\breturn)$/.test(before);
+}
+
+function findClosingColumn(lines: string[], line: number, column: number, endLine: number): number {
+    if (endLine !== line) {
+        return lines[endLine].lastIndexOf('}');
+    }
+    const text = stripStrings(lines[line]);
+    let depth = 0;
+    for (let i = column; i < text.length; i++) {
+        if (text[i] === '{') {
+            depth++;
+        } else if (text[i] === '}' && --depth === 0) {
+            return i;
+        }
+    }
+    return text.length;
+}
+
+function findLine(lines: string[], start: number, end: number, predicate: (text: string) => boolean): number {
+    for (let i = start; i <= end && i < lines.length; i++) {
+        if (predicate(lines[i])) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * A block-style `labels:`/`annotations:` key directly under metadata; null when it uses flow style
+ */
+function findSection(lines: string[], start: number, end: number, indent: string, name: string): { line: number; end: number } | null | undefined {
+    const line = findLine(lines, start, end, text => text.startsWith(`${indent}${name}:`) && indentOf(text) === indent);
+    if (line === -1) {
+        return undefined;
+    }
+    if (lines[line].slice(indent.length + name.length + 1).trim() !== '') {
+        return null;
+    }
+
+    let sectionEnd = line + 1;
+    while (sectionEnd <= end && (lines[sectionEnd].trim() === '' || indentOf(lines[sectionEnd]).length > indent.length)) {
+        sectionEnd++;
+    }
+    return { line, end: sectionEnd - 1 };
+}
+
+function indentOf(text: string): string {
+    return /^\s*/.exec(text)![0];
+}
+
+/**
+ * Indentation of the first non-blank line inside a block, or the parent's plus two spaces
+ */
+function childIndent(lines: string[], start: number, end: number, parentIndent: string): string {
+    for (let i = start + 1; i < end && i < lines.length; i++) {
+        if (lines[i].trim() !== '' && indentOf(lines[i]).length > parentIndent.length) {
+            return indentOf(lines[i]);
+        }
+    }
+    return parentIndent + '  ';
+}
+
+function quoteTypeScript(value: string): string {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
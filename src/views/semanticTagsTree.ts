@@ -0,0 +1,255 @@
+/**
+ * Explorer tree of semantic tags, grouped category → type → file → occurrence
+ */
+import * as vscode from 'vscode';
+import { PatternCategory } from 'cosca-semantic-tags';
+import { SemanticTag } from '../utils/lineTagger';
+
+export interface TagSource {
+    getTagsByFile(): Map<string, SemanticTag[]>;
+    onDidChangeTags: vscode.Event<void>;
+}
+
+export interface TagScope {
+    uri: string;
+    name: string; // Shown in the view's description, e.g. aws_s3_bucket.logs
+    startLine: number;
+    endLine: number;
+}
+
+export interface TagTreeFilter {
+    minConfidence: number;
+    types?: string[]; // Undefined shows every type
+    scope?: TagScope; // Only tags inside this block
+}
+
+export type TagTreeNode =
+    | { kind: 'category'; category: PatternCategory; tags: FileTag[] }
+    | { kind: 'type'; type: string; tags: FileTag[] }
+    | { kind: 'file'; uri: string; tags: FileTag[] }
+    | { kind: 'occurrence'; uri: string; tag: SemanticTag };
+
+interface FileTag {
+    uri: string;
+    tag: SemanticTag;
+}
+
+const CATEGORY_ORDER: PatternCategory[] = ['infrastructure', 'purpose', 'general'];
+
+const CATEGORY_LABELS: Record<PatternCategory, string> = {
+    infrastructure: 'Infrastructure',
+    purpose: 'Purpose Metadata',
+    general: 'Code Intent'
+};
+
+const CATEGORY_ICONS: Record<PatternCategory, string> = {
+    infrastructure: 'server-environment',
+    purpose: 'tag',
+    general: 'code'
+};
+
+export class SemanticTagsTreeProvider implements vscode.TreeDataProvider<TagTreeNode>, vscode.Disposable {
+    private changed = new vscode.EventEmitter<TagTreeNode | undefined>();
+    private filter: TagTreeFilter = { minConfidence: 0 };
+    private subscription: vscode.Disposable;
+
+    readonly onDidChangeTreeData = this.changed.event;
+
+    constructor(private source: TagSource) {
+        this.subscription = source.onDidChangeTags(() => this.changed.fire(undefined));
+    }
+
+    getFilter(): TagTreeFilter {
+        return { ...this.filter };
+    }
+
+    setFilter(filter: TagTreeFilter): void {
+        this.filter = { ...filter };
+        this.changed.fire(undefined);
+    }
+
+    /**
+     * Tag types present in the current results, for picking a type filter
+     */
+    getKnownTypes(): string[] {
+        const types = new Set<string>();
+        for (const tags of this.source.getTagsByFile().values()) {
+            tags.forEach(tag => types.add(tag.type));
+        }
+        return [...types].sort();
+    }
+
+    getChildren(node?: TagTreeNode): TagTreeNode[] {
+        if (!node) {
+            const tags = this.getFilteredTags();
+            return CATEGORY_ORDER
+                .map(category => ({ kind: 'category' as const, category, tags: tags.filter(({ tag }) => tag.category === category) }))
+                .filter(group => group.tags.length > 0);
+        }
+
+        switch (node.kind) {
+            case 'category':
+                return groupBy(node.tags, ({ tag }) => tag.type)
+                    .sort(([a], [b]) => a.localeCompare(b))
+                    .map(([type, tags]) => ({ kind: 'type', type, tags }));
+            case 'type':
+                return groupBy(node.tags, ({ uri }) => uri)
+                    .sort(([a], [b]) => relativePath(a).localeCompare(relativePath(b)))
+                    .map(([uri, tags]) => ({ kind: 'file', uri, tags }));
+            case 'file':
+                return node.tags
+                    .sort((a, b) => a.tag.line - b.tag.line || a.tag.column - b.tag.column)
+                    .map(({ uri, tag }) => ({ kind: 'occurrence', uri, tag }));
+            default:
+                return [];
+        }
+    }
+
+    getTreeItem(node: TagTreeNode): vscode.TreeItem {
+        switch (node.kind) {
+            case 'category': {
+                const item = new vscode.TreeItem(CATEGORY_LABELS[node.category], vscode.TreeItemCollapsibleState.Expanded);
+                item.description = String(node.tags.length);
+                item.iconPath = new vscode.ThemeIcon(CATEGORY_ICONS[node.category]);
+                return item;
+            }
+            case 'type': {
+                const item = new vscode.TreeItem(node.type, vscode.TreeItemCollapsibleState.Collapsed);
+                item.description = `${node.tags[0].tag.label} · ${node.tags.length}`;
+                item.iconPath = new vscode.ThemeIcon('symbol-constant');
+                return item;
+            }
+            case 'file': {
+                const uri = vscode.Uri.parse(node.uri);
+                const item = new vscode.TreeItem(uri, vscode.TreeItemCollapsibleState.Collapsed);
+                item.description = `${relativeDirectory(node.uri)} · ${node.tags.length}`;
+                item.iconPath = vscode.ThemeIcon.File;
+                return item;
+            }
+            case 'occurrence': {
+                const { tag } = node;
+                const range = new vscode.Range(tag.line, tag.column, tag.line, tag.column + tag.length);
+                const item = new vscode.TreeItem(`Line ${tag.line + 1}, column ${tag.column + 1}`, vscode.TreeItemCollapsibleState.None);
+                item.description = `${Math.round(tag.confidence * 100)}%`;
+                item.tooltip = `${tag.label} (${tag.type}) - Confidence: ${Math.round(tag.confidence * 100)}%`;
+                item.command = {
+                    command: 'vscode.open',
+                    title: 'Reveal Tag',
+                    arguments: [vscode.Uri.parse(node.uri), { selection: range }]
+                };
+                return item;
+            }
+        }
+    }
+
+    private getFilteredTags(): FileTag[] {
+        const { minConfidence, types, scope } = this.filter;
+        const tags: FileTag[] = [];
+        for (const [uri, fileTags] of this.source.getTagsByFile()) {
+            if (scope && scope.uri !== uri) {
+                continue;
+            }
+            for (const tag of fileTags) {
+                if (tag.confidence >= minConfidence && (!types || types.includes(tag.type)) &&
+                    (!scope || (tag.line >= scope.startLine && tag.line <= scope.endLine))) {
+                    tags.push({ uri, tag });
+                }
+            }
+        }
+        return tags;
+    }
+
+    dispose(): void {
+        this.subscription.dispose();
+        this.changed.dispose();
+    }
+}
+
+function groupBy<T>(items: T[], key: (item: T) => string): [string, T[]][] {
+    const groups = new Map<string, T[]>();
+    for (const item of items) {
+        const group = groups.get(key(item));
+        if (group) {
+            group.push(item);
+        } else {
+            groups.set(key(item), [item]);
+        }
+    }
+    return [...groups.entries()];
+}
+
+function relativePath(uri: string): string {
+    return vscode.workspace.asRelativePath(vscode.Uri.parse(uri));
+}
+
+function relativeDirectory(uri: string): string {
+    const path = relativePath(uri);
+    const separator = path.lastIndexOf('/');
+    return separator === -1 ? '' : path.slice(0, separator);
+}
+
+/**
+ * Create the tree view and the commands that filter it
+ */
+export function registerSemanticTagsTree(source: TagSource): vscode.Disposable {
+    const provider = new SemanticTagsTreeProvider(source);
+    const view = vscode.window.createTreeView('semanticTagging.tagsView', { treeDataProvider: provider, showCollapseAll: true });
+
+    const describeFilter = (): void => {
+        const { minConfidence, types, scope } = provider.getFilter();
+        const parts = [
+            scope ? scope.name : undefined,
+            minConfidence > 0 ? `≥ ${Math.round(minConfidence * 100)}%` : undefined,
+            types ? types.join(', ') : undefined
+        ].filter(part => part !== undefined);
+        view.description = parts.length > 0 ? parts.join(' · ') : undefined;
+    };
+
+    const filterByConfidence = vscode.commands.registerCommand('semanticTagging.filterTagsByConfidence', async () => {
+        const value = await vscode.window.showInputBox({
+            prompt: 'Minimum confidence to show (0-1)',
+            value: String(provider.getFilter().minConfidence),
+            validateInput: input => {
+                const number = Number(input);
+                return input.trim() !== '' && number >= 0 && number <= 1 ? undefined : 'Enter a number between 0 and 1';
+            }
+        });
+        if (value !== undefined) {
+            provider.setFilter({ ...provider.getFilter(), minConfidence: Number(value) });
+            describeFilter();
+        }
+    });
+
+    const filterByType = vscode.commands.registerCommand('semanticTagging.filterTagsByType', async () => {
+        const selected = provider.getFilter().types;
+        const picks = await vscode.window.showQuickPick(
+            provider.getKnownTypes().map(type => ({ label: type, picked: !selected || selected.includes(type) })),
+            { canPickMany: true, placeHolder: 'Tag types to show' }
+        );
+        if (picks) {
+            provider.setFilter({ ...provider.getFilter(), types: picks.length > 0 ? picks.map(pick => pick.label) : undefined });
+            describeFilter();
+        }
+    });
+
+    const clearFilters = vscode.commands.registerCommand('semanticTagging.clearTagFilters', () => {
+        provider.setFilter({ minConfidence: 0 });
+        describeFilter();
+    });
+
+    // Used by hover links; takes the tag type to show
+    const showOccurrences = vscode.commands.registerCommand('semanticTagging.showTagOccurrences', async (type: string) => {
+        provider.setFilter({ minConfidence: 0, types: [type] });
+        describeFilter();
+        await vscode.commands.executeCommand('semanticTagging.tagsView.focus');
+    });
+
+    // Used by CodeLenses; takes the block to show
+    const showBlockTags = vscode.commands.registerCommand('semanticTagging.showBlockTags', async (scope: TagScope) => {
+        provider.setFilter({ minConfidence: 0, scope });
+        describeFilter();
+        await vscode.commands.executeCommand('semanticTagging.tagsView.focus');
+    });
+
+    return vscode.Disposable.from(provider, view, filterByConfidence, filterByType, clearFilters, showOccurrences, showBlockTags);
+}
@@ -0,0 +1,111 @@
+/**
+ * Editor decorations for semantic tags: one decoration type per category, plus one per tag type with its own color
+ */
+import * as vscode from 'vscode';
+import { PatternCategory } from 'cosca-semantic-tags';
+import { DecorationConfig, OverviewRulerLaneSetting } from '../config';
+import { SemanticTag } from '../utils/lineTagger';
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+const RULER_LANES: Record<Exclude<OverviewRulerLaneSetting, 'none'>, vscode.OverviewRulerLane> = {
+    left: vscode.OverviewRulerLane.Left,
+    center: vscode.OverviewRulerLane.Center,
+    right: vscode.OverviewRulerLane.Right,
+    full: vscode.OverviewRulerLane.Full
+};
+
+export class TagDecorations implements vscode.Disposable {
+    private categoryTypes = new Map<PatternCategory, vscode.TextEditorDecorationType>();
+    private tagTypes = new Map<string, vscode.TextEditorDecorationType>(); // Tag types with a color of their own
+
+    constructor(private config: DecorationConfig) {
+        this.createDecorationTypes();
+    }
+
+    /**
+     * Replace the decoration styles. Editors keep their old decorations until the next apply.
+     */
+    update(config: DecorationConfig): void {
+        this.disposeDecorationTypes();
+        this.config = config;
+        this.createDecorationTypes();
+    }
+
+    apply(editor: vscode.TextEditor, tags: SemanticTag[]): void {
+        const byDecorationType = new Map<vscode.TextEditorDecorationType, vscode.DecorationOptions[]>();
+        for (const decorationType of [...this.categoryTypes.values(), ...this.tagTypes.values()]) {
+            byDecorationType.set(decorationType, []);
+        }
+
+        for (const tag of tags) {
+            // Disabled categories have no decoration type and are cleared below
+            const decorationType = this.categoryTypes.has(tag.category) ?
+                this.tagTypes.get(tag.type) || this.categoryTypes.get(tag.category) :
+                undefined;
+            if (!decorationType) {
+                continue;
+            }
+
+            byDecorationType.get(decorationType)!.push({
+                range: new vscode.Range(
+                    Math.max(0, tag.line),
+                    Math.max(0, tag.column),
+                    Math.max(0, tag.line),
+                    Math.max(0, tag.column + tag.length)
+                )
+            });
+        }
+
+        for (const [decorationType, decorations] of byDecorationType) {
+            editor.setDecorations(decorationType, decorations);
+        }
+    }
+
+    private createDecorationTypes(): void {
+        for (const [category, style] of Object.entries(this.config.categories) as [PatternCategory, DecorationConfig['categories'][PatternCategory]][]) {
+            if (style.enabled) {
+                this.categoryTypes.set(category, this.createDecorationType(style.color));
+            }
+        }
+        for (const [type, color] of Object.entries(this.config.typeColors)) {
+            if (HEX_COLOR.test(color)) {
+                this.tagTypes.set(type, this.createDecorationType(color));
+            }
+        }
+    }
+
+    private createDecorationType(color: string): vscode.TextEditorDecorationType {
+        const { gutterIcons, overviewRulerLane } = this.config;
+        return vscode.window.createTextEditorDecorationType({
+            backgroundColor: withAlpha(color, 0.2),
+            border: `1px solid ${withAlpha(color, 0.5)}`,
+            borderRadius: '3px',
+            gutterIconPath: gutterIcons ? gutterIcon(color) : undefined,
+            gutterIconSize: 'contain',
+            overviewRulerColor: overviewRulerLane === 'none' ? undefined : color,
+            overviewRulerLane: overviewRulerLane === 'none' ? undefined : RULER_LANES[overviewRulerLane]
+        });
+    }
+
+    private disposeDecorationTypes(): void {
+        [...this.categoryTypes.values(), ...this.tagTypes.values()].forEach(decorationType => decorationType.dispose());
+        this.categoryTypes.clear();
+        this.tagTypes.clear();
+    }
+
+    dispose(): void {
+        this.disposeDecorationTypes();
+    }
+}
+
+function withAlpha(hex: string, alpha: number): string {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+// Inline SVG so the extension doesn't ship an icon per color
+function gutterIcon(color: string): vscode.Uri {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16"><circle cx="8" cy="8" r="4" fill="${color}"/></svg>`;
+    return vscode.Uri.parse(`data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`);
+}
@@ -0,0 +1,39 @@
+/**
+ * Worker thread entry point: tags a document line by line and streams results back in batches
+ */
+import { parentPort } from 'worker_threads';
+import { CompiledPattern, SemanticTag, tagLine } from '../utils/lineTagger';
+import { AnalysisRequest, WorkerMessage } from './protocol';
+
+function post(message: WorkerMessage): void {
+    parentPort!.postMessage(message);
+}
+
+function analyze(request: AnalysisRequest): void {
+    const patterns: CompiledPattern[] = request.patterns.map(pattern => ({
+        ...pattern,
+        regex: new RegExp(pattern.regex.source, pattern.regex.flags)
+    }));
+    const lines = request.text.split('\n');
+    let batch: SemanticTag[] = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        tagLine(lines[i], i, request.languageId, patterns, request.confidenceThreshold, batch);
+
+        if ((i + 1) % request.partialInterval === 0) {
+            post({ type: 'partial', tags: batch, linesAnalyzed: i + 1 });
+            batch = [];
+        }
+    }
+
+    post({ type: 'partial', tags: batch, linesAnalyzed: lines.length });
+    post({ type: 'done', linesAnalyzed: lines.length });
+}
+
+parentPort?.on('message', (request: AnalysisRequest) => {
+    try {
+        analyze(request);
+    } catch (error) {
+        post({ type: 'error', message: error instanceof Error ? error.message : String(error) });
+    }
+});
@@ -0,0 +1,31 @@
+/**
+ * Messages exchanged between the extension host and analysis workers
+ */
+import { MatchLocation, PatternCategory, SpanKind } from 'cosca-semantic-tags';
+import { SemanticTag } from '../utils/lineTagger';
+
+// RegExp objects can't be posted to a worker, so patterns travel as source and flags
+export interface SerializedPattern {
+    id: string;
+    regex: { source: string; flags: string };
+    type: string;
+    label: string;
+    category: PatternCategory;
+    weight?: number;
+    locationWeights?: Partial<Record<MatchLocation, number>>;
+    spanKinds?: SpanKind[];
+    languages?: string[];
+}
+
+export interface AnalysisRequest {
+    text: string;
+    languageId: string;
+    patterns: SerializedPattern[];
+    confidenceThreshold: number;
+    partialInterval: number; // Lines analyzed between partial results
+}
+
+export type WorkerMessage =
+    | { type: 'partial'; tags: SemanticTag[]; linesAnalyzed: number }
+    | { type: 'done'; linesAnalyzed: number }
+    | { type: 'error'; message: string };
@@ -0,0 +1,178 @@
+/**
+ * Pool of worker threads for analyzing large documents off the extension host thread
+ */
+import * as os from 'os';
+import * as path from 'path';
+import { Worker } from 'worker_threads';
+import { SemanticTag } from '../utils/lineTagger';
+import { AnalysisRequest, WorkerMessage } from './protocol';
+
+export interface AnalysisJobOptions {
+    timeout: number; // Milliseconds before the worker is terminated
+    signal?: AbortSignal; // Aborting terminates the worker, or drops the job if it is still queued
+    onPartial?: (tags: SemanticTag[], linesAnalyzed: number) => void;
+}
+
+/**
+ * Raised when a worker is stopped before it finishes. Carries whatever the worker streamed back before it was stopped.
+ */
+export class PartialAnalysisError extends Error {
+    constructor(message: string, readonly partialTags: SemanticTag[], readonly linesAnalyzed: number) {
+        super(message);
+        this.name = 'PartialAnalysisError';
+    }
+}
+
+export class AnalysisTimeoutError extends PartialAnalysisError {
+    constructor(readonly timeout: number, partialTags: SemanticTag[], linesAnalyzed: number) {
+        super(`Analysis exceeded the ${timeout}ms timeout after ${linesAnalyzed} lines`, partialTags, linesAnalyzed);
+        this.name = 'TimeoutError'; // Recognised by ErrorClassifier
+    }
+}
+
+export class AnalysisCancelledError extends PartialAnalysisError {
+    constructor(partialTags: SemanticTag[], linesAnalyzed: number) {
+        super(`Analysis was cancelled after ${linesAnalyzed} lines`, partialTags, linesAnalyzed);
+        this.name = 'AnalysisCancelledError';
+    }
+}
+
+interface PendingJob {
+    request: AnalysisRequest;
+    options: AnalysisJobOptions;
+    resolve: (tags: SemanticTag[]) => void;
+    reject: (error: Error) => void;
+}
+
+export class AnalysisWorkerPool {
+    private idleWorkers: Worker[] = [];
+    private busyWorkers = new Set<Worker>();
+    private queue: PendingJob[] = [];
+    private disposed = false;
+    private readonly size: number;
+    private readonly workerScript: string;
+
+    constructor(size?: number, workerScript = path.join(__dirname, 'analysisWorker.js')) {
+        // Leave a core for the extension host
+        this.size = size ?? Math.max(1, Math.min(4, os.cpus().length - 1));
+        this.workerScript = workerScript;
+    }
+
+    analyze(request: AnalysisRequest, options: AnalysisJobOptions): Promise<SemanticTag[]> {
+        if (this.disposed) {
+            return Promise.reject(new Error('Analysis worker pool has been disposed'));
+        }
+
+        if (options.signal?.aborted) {
+            return Promise.reject(new AnalysisCancelledError([], 0));
+        }
+
+        return new Promise((resolve, reject) => {
+            const job: PendingJob = { request, options, resolve, reject };
+            this.queue.push(job);
+
+            // A job cancelled while queued never reaches a worker
+            options.signal?.addEventListener('abort', () => {
+                const index = this.queue.indexOf(job);
+                if (index !== -1) {
+                    this.queue.splice(index, 1);
+                    reject(new AnalysisCancelledError([], 0));
+                }
+            }, { once: true });
+
+            this.runNext();
+        });
+    }
+
+    private runNext(): void {
+        if (this.queue.length === 0) {
+            return;
+        }
+
+        let worker = this.idleWorkers.pop();
+        if (!worker) {
+            if (this.busyWorkers.size >= this.size) {
+                return; // Picked up when a busy worker finishes
+            }
+            worker = new Worker(this.workerScript);
+        }
+
+        this.run(worker, this.queue.shift()!);
+    }
+
+    private run(worker: Worker, job: PendingJob): void {
+        const tags: SemanticTag[] = [];
+        let linesAnalyzed = 0;
+        this.busyWorkers.add(worker);
+
+        const finish = (keepWorker: boolean): void => {
+            clearTimeout(timer);
+            job.options.signal?.removeEventListener('abort', onAbort);
+            worker.off('message', onMessage);
+            worker.off('error', onError);
+            worker.off('exit', onExit);
+            this.busyWorkers.delete(worker);
+
+            if (keepWorker && !this.disposed) {
+                this.idleWorkers.push(worker);
+            } else {
+                worker.terminate().catch(() => undefined);
+            }
+            this.runNext();
+        };
+
+        const onMessage = (message: WorkerMessage): void => {
+            if (message.type === 'partial') {
+                tags.push(...message.tags);
+                linesAnalyzed = message.linesAnalyzed;
+                job.options.onPartial?.(message.tags, linesAnalyzed);
+            } else if (message.type === 'done') {
+                finish(true);
+                job.resolve(tags);
+            } else {
+                finish(true);
+                job.reject(new Error(`Analysis worker failed: ${message.message}`));
+            }
+        };
+
+        const onError = (error: Error): void => {
+            finish(false);
+            job.reject(error);
+        };
+
+        const onExit = (code: number): void => {
+            finish(false);
+            job.reject(new Error(`Analysis worker exited unexpectedly with code ${code}`));
+        };
+
+        // A worker stuck in a pathological regex can't be interrupted, only terminated
+        const timer = setTimeout(() => {
+            finish(false);
+            job.reject(new AnalysisTimeoutError(job.options.timeout, tags, linesAnalyzed));
+        }, job.options.timeout);
+
+        const onAbort = (): void => {
+            finish(false);
+            job.reject(new AnalysisCancelledError(tags, linesAnalyzed));
+        };
+        job.options.signal?.addEventListener('abort', onAbort, { once: true });
+
+        worker.on('message', onMessage);
+        worker.on('error', onError);
+        worker.on('exit', onExit);
+        worker.postMessage(job.request);
+    }
+
+    async dispose(): Promise<void> {
+        this.disposed = true;
+
+        for (const job of this.queue) {
+            job.reject(new Error('Analysis worker pool has been disposed'));
+        }
+        this.queue = [];
+
+        const workers = [...this.idleWorkers, ...this.busyWorkers];
+        this.idleWorkers = [];
+        await Promise.allSettled(workers.map(worker => worker.terminate()));
+    }
+}
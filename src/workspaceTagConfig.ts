@@ -0,0 +1,111 @@
+/**
+ * Loads the .semantictags.json at the root of each workspace folder and reloads it when it changes.
+ * Parsing and type selection come from the lib, so the editor and the CLI read the file the same way;
+ * AST selectors are validated but only the lib engine and CLI apply them, since the extension tags line by line.
+ */
+import * as vscode from 'vscode';
+import {
+    compileWorkspacePatterns,
+    isTypeEnabled,
+    parseWorkspaceConfig,
+    WorkspaceConfig,
+    WorkspaceConfigError,
+    WORKSPACE_CONFIG_FILE
+} from 'cosca-semantic-tags';
+import { CompiledPattern } from './utils/lineTagger';
+
+/**
+ * Built-in patterns the configuration keeps, followed by its own patterns
+ */
+export function applyWorkspaceConfig(builtIn: CompiledPattern[], config: WorkspaceConfig): CompiledPattern[] {
+    return [
+        ...builtIn.filter(pattern => isTypeEnabled(config, pattern.type)),
+        ...compileWorkspacePatterns(config).map(({ pattern, ...fields }, index) => ({
+            ...fields,
+            id: `${WORKSPACE_CONFIG_FILE}:patterns[${index}]`,
+            regex: pattern
+        }))
+    ];
+}
+
+export class WorkspaceTagConfig implements vscode.Disposable {
+    private configs = new Map<string, WorkspaceConfig>(); // Per workspace folder URI
+    private changed = new vscode.EventEmitter<void>();
+    private disposables: vscode.Disposable[] = [];
+
+    // Fires after a configuration file is created, edited or deleted
+    readonly onDidChange = this.changed.event;
+
+    constructor() {
+        const watcher = vscode.workspace.createFileSystemWatcher(`**/${WORKSPACE_CONFIG_FILE}`);
+        const reload = async (uri: vscode.Uri): Promise<void> => {
+            // Only the file at a folder's root applies
+            const folder = vscode.workspace.getWorkspaceFolder(uri);
+            if (folder && vscode.Uri.joinPath(folder.uri, WORKSPACE_CONFIG_FILE).toString() === uri.toString()) {
+                await this.loadFolder(folder);
+                this.changed.fire();
+            }
+        };
+
+        this.disposables.push(
+            this.changed,
+            watcher,
+            watcher.onDidCreate(reload),
+            watcher.onDidChange(reload),
+            watcher.onDidDelete(reload),
+            vscode.workspace.onDidChangeWorkspaceFolders(async () => {
+                await this.load();
+                this.changed.fire();
+            })
+        );
+    }
+
+    /**
+     * Read every workspace folder's configuration
+     */
+    async load(): Promise<void> {
+        const folders = vscode.workspace.workspaceFolders || [];
+        for (const key of [...this.configs.keys()]) {
+            if (!folders.some(folder => folder.uri.toString() === key)) {
+                this.configs.delete(key);
+            }
+        }
+        await Promise.all(folders.map(folder => this.loadFolder(folder)));
+    }
+
+    /**
+     * Configuration for the workspace folder containing a file, if it has one
+     */
+    getConfig(uri: vscode.Uri): WorkspaceConfig | undefined {
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        return folder ? this.configs.get(folder.uri.toString()) : undefined;
+    }
+
+    private async loadFolder(folder: vscode.WorkspaceFolder): Promise<void> {
+        const key = folder.uri.toString();
+        const uri = vscode.Uri.joinPath(folder.uri, WORKSPACE_CONFIG_FILE);
+
+        let text: string;
+        try {
+            text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+        } catch {
+            this.configs.delete(key); // No configuration file
+            return;
+        }
+
+        try {
+            this.configs.set(key, parseWorkspaceConfig(text, vscode.workspace.asRelativePath(uri)));
+        } catch (error) {
+            if (!(error instanceof WorkspaceConfigError)) {
+                throw error;
+            }
+            // Keep the last valid configuration while the file is being edited
+            vscode.window.showWarningMessage(error.message);
+        }
+    }
+
+    dispose(): void {
+        this.disposables.forEach(d => d.dispose());
+        this.disposables = [];
+    }
+}